@@ -0,0 +1,292 @@
+/**
+ * This file helps more players play the game. The accessibility settings pick the language, turn on a
+ * high contrast look that is easier to see, and turn on assist mode, where the cows are slower and easier
+ * to lead. The narrator tells screen readers what is happening in the game, like the weather changing or
+ * the sun setting, so that it can be followed without watching every part of the screen.
+ */
+
+/**
+ * Keeps the accessibility settings. They can be saved to any storage that works like the browser's
+ * localStorage, so they stay between visits to the page.
+ */
+class AccessibilitySettings {
+  /**
+   * storage is optional. Without it, the settings are only kept until the page is closed. languages are
+   * the player's languages in order of preference, like the browser's navigator.languages; the first one
+   * the game has text for is used until another is picked.
+   */
+  constructor({ storage = null, languages = [] } = {}) {
+    this._storage = storage;
+    this._settings = this._load({ languages: languages });
+  }
+
+  /**
+   * Get the language code of the language to play in, like "en".
+   */
+  getLocale() {
+    return this._settings.locale;
+  }
+
+  /**
+   * Change to the next language the game has text for, going back to the first one after the last.
+   */
+  nextLocale() {
+    const locales = Localization.getLocales();
+    this._settings.locale = locales[(locales.indexOf(this._settings.locale) + 1) % locales.length];
+    this._save();
+  }
+
+  /**
+   * Tests whether the high contrast look is on.
+   */
+  isHighContrast() {
+    return this._settings.highContrast;
+  }
+
+  toggleHighContrast() {
+    this._settings.highContrast = !this._settings.highContrast;
+    this._save();
+  }
+
+  /**
+   * Tests whether new games should be played in assist mode (see GameManager).
+   */
+  isAssistOn() {
+    return this._settings.assist;
+  }
+
+  toggleAssist() {
+    this._settings.assist = !this._settings.assist;
+    this._save();
+  }
+
+  /**
+   * Load the settings from the storage. If there aren't any, or they can't be read, use the defaults.
+   */
+  _load({ languages }) {
+    const settings = { locale: Localization.findLocale({ languages: languages }), highContrast: false, assist: false };
+    if (!this._storage) {
+      return settings;
+    }
+
+    try {
+      const saved = JSON.parse(this._storage.getItem(AccessibilitySettings._storageKey)) || {};
+      if (Localization.getLocales().includes(saved.locale)) {
+        settings.locale = saved.locale;
+      }
+      settings.highContrast = saved.highContrast === true;
+      settings.assist = saved.assist === true;
+    } catch (error) {
+      console.warn(`Could not load the accessibility settings: ${error}`);
+    }
+    return settings;
+  }
+
+  /**
+   * Save the settings to the storage.
+   */
+  _save() {
+    if (!this._storage) {
+      return;
+    }
+
+    try {
+      this._storage.setItem(AccessibilitySettings._storageKey, JSON.stringify(this._settings));
+    } catch (error) {
+      console.warn(`Could not save the accessibility settings: ${error}`);
+    }
+  }
+}
+
+/**
+ * Configure the accessibility settings: the name they are saved under, and the keys that change them.
+ * The keys are not passed on to the game.
+ */
+AccessibilitySettings.configure = () => {
+  AccessibilitySettings._storageKey = 'shelleys-ranch.accessibility';
+  AccessibilitySettings._localeKey = 'T';
+  AccessibilitySettings._highContrastKey = 'C';
+  AccessibilitySettings._assistKey = 'H';
+}
+
+/**
+ * Tells screen readers what is happening in the game. Screen readers read out any text that is put in an
+ * ARIA live region: an element on the page that they watch for changes. The region is hidden from view,
+ * since everything in it is also shown on the screen.
+ */
+class Narrator {
+  /**
+   * element is the live region. Without it, nothing is said, which is handy for trying out the game
+   * without a browser.
+   */
+  constructor({ element = null } = {}) {
+    this._element = element;
+
+    // The game being narrated. When a new game starts, everything below starts over.
+    this._gameManager = null;
+    // What the game was like last frame, so that only the changes are told.
+    this._descriptionText = null;
+    this._herds = [];
+    this._dogStates = [];
+    this._resistingCows = new Set();
+    this._cowCounts = null;
+    this._presentWolfCount = 0;
+    this._weatherKind = null;
+    this._isDusk = false;
+  }
+
+  /**
+   * Say something straight away, like a setting being changed.
+   */
+  announce({ text }) {
+    if (!this._element) {
+      return;
+    }
+    // Screen readers only read the region when it changes, so the same text twice in a row is made
+    // different with a space on the end.
+    this._element.textContent = this._element.textContent === text ? `${text} ` : text;
+  }
+
+  /**
+   * Each frame, tell the screen reader about anything that has happened in the game since last frame: a
+   * new description, a second player joining, cows starting to follow or refusing to, the dogs being given
+   * commands, cows getting home or being taken, wolves arriving, the weather changing and the sun starting
+   * to set. Everything that happened in the same frame is said together.
+   */
+  update({ gameManager }) {
+    const isNewGame = gameManager !== this._gameManager;
+    if (isNewGame) {
+      this._gameManager = gameManager;
+      this._descriptionText = null;
+    }
+
+    const messages = [];
+    const descriptionText = gameManager.getDescriptionText();
+    if (descriptionText !== this._descriptionText) {
+      messages.push(descriptionText);
+    }
+    this._descriptionText = descriptionText;
+
+    // The rest is only told while the game is going, and not for the game objects that were already there
+    // when the game started.
+    const players = gameManager.getPlayers();
+    const herds = players.map(({ herd }) => new Set(herd));
+    const dogStates = players.map(({ dog }) => dog.getState());
+    const resistingCows = new Set(gameManager.getCows().filter(cow => cow.getState() === Cow.STATES.RESISTING));
+    const cowCounts = gameManager.getCowCounts();
+    const presentWolfCount = gameManager.getWolves().filter(wolf => wolf.isPresent()).length;
+    const weatherKind = gameManager.getWeather().getKind();
+    const isDusk = gameManager.getDayClock().getLight() < 1;
+    if (!isNewGame && gameManager.getState() === GameManager.STATES.PLAYING) {
+      messages.push(...this._describeChanges({
+        herds: herds,
+        dogStates: dogStates,
+        resistingCows: resistingCows,
+        cowCounts: cowCounts,
+        presentWolfCount: presentWolfCount,
+        weatherKind: weatherKind,
+        isDusk: isDusk
+      }));
+    }
+    this._herds = herds;
+    this._dogStates = dogStates;
+    this._resistingCows = resistingCows;
+    this._cowCounts = cowCounts;
+    this._presentWolfCount = presentWolfCount;
+    this._weatherKind = weatherKind;
+    this._isDusk = isDusk;
+
+    if (messages.length > 0) {
+      this.announce({ text: messages.join(' ') });
+    }
+  }
+
+  /**
+   * Get what to say about how the game has changed since last frame.
+   */
+  _describeChanges({ herds, dogStates, resistingCows, cowCounts, presentWolfCount, weatherKind, isDusk }) {
+    const messages = [];
+    // Joining changes which keys move the first player, so that is said too.
+    if (herds.length > 1 && this._herds.length === 1) {
+      messages.push(Localization.getText({ key: 'narrationPlayerJoined' }));
+    }
+    herds.forEach((herd, player) => {
+      const previousHerd = this._herds[player] || new Set();
+      if ([...herd].some(cow => !previousHerd.has(cow))) {
+        messages.push(Localization.getText(herds.length === 1 ?
+          { key: 'narrationCowFollowing', values: { count: herd.size } } :
+          { key: 'narrationCowFollowingPlayer', values: { player: player + 1, count: herd.size } }));
+      }
+    });
+    dogStates.forEach((state, player) => {
+      if (this._dogStates[player] !== undefined && state !== this._dogStates[player]) {
+        const text = Localization.getText({ key: Narrator._dogTextKeys[state] });
+        messages.push(dogStates.length === 1 ? text :
+          Localization.getText({ key: 'narrationDogPlayer', values: { player: player + 1, text: text } }));
+      }
+    });
+    if ([...resistingCows].some(cow => !this._resistingCows.has(cow))) {
+      messages.push(Localization.getText({ key: 'narrationCowRefused' }));
+    }
+
+    // When the last cow gets home, the whole herd being home is said instead.
+    if (cowCounts.penned > this._cowCounts.penned) {
+      messages.push(cowCounts.penned === cowCounts.total ?
+        Localization.getText({ key: 'narrationAllCowsHome' }) :
+        Localization.getText({ key: 'narrationCowHome', values: cowCounts }));
+    }
+    if (cowCounts.lost > this._cowCounts.lost) {
+      messages.push(Localization.getText({ key: 'narrationCowLost' }));
+    }
+    if (presentWolfCount > this._presentWolfCount) {
+      messages.push(Localization.getText({ key: 'narrationWolfArrived' }));
+    }
+    if (weatherKind !== this._weatherKind) {
+      messages.push(Localization.getText({ key: Narrator._weatherTextKeys[weatherKind] }));
+    }
+    if (isDusk && !this._isDusk) {
+      messages.push(Localization.getText({ key: 'narrationDusk' }));
+    }
+    return messages;
+  }
+}
+
+/**
+ * The text that is said when the weather turns to each kind (see strings.js).
+ */
+Narrator._weatherTextKeys = {
+  [Weather.KINDS.CLEAR]: 'narrationClear',
+  [Weather.KINDS.RAIN]: 'narrationRain',
+  [Weather.KINDS.WIND]: 'narrationWind',
+  [Weather.KINDS.THUNDER]: 'narrationThunder'
+};
+
+/**
+ * The text that is said when a dog starts doing each of the Dog.STATES.
+ */
+Narrator._dogTextKeys = {
+  [Dog.STATES.FOLLOWING]: 'narrationDogHeel',
+  [Dog.STATES.STAYING]: 'narrationDogStay',
+  [Dog.STATES.GOING_AROUND]: 'narrationDogAround',
+  [Dog.STATES.PUSHING]: 'narrationDogPush'
+};
+
+/**
+ * Make the ARIA live region for the narrator and add it to the page. It is kept off the screen, where
+ * only screen readers find it.
+ */
+Narrator.createLiveRegion = () => {
+  const element = document.createElement('div');
+  element.setAttribute('aria-live', 'polite');
+  element.setAttribute('role', 'status');
+  Object.assign(element.style, {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap'
+  });
+  document.body.appendChild(element);
+  return element;
+}
@@ -0,0 +1,104 @@
+/**
+ * This file loads the game's images with p5.js. What to load is described by the asset manifest
+ * (assets.json) instead of being written in the code, so new animals and skins only need a new picture and
+ * a few lines in the manifest.
+ *
+ * The manifest has two parts. "images" are single pictures, like the title and the fence, by name. Each of
+ * the "spriteSheets" is one picture with all the frames of a kind of game object laid out in a grid: its
+ * "frameSize" is the size of one frame in pixels, and each of its animation "clips" (see
+ * AnimatingSprite.CLIPS) has a "frameCount", how fast it plays and the "rows" of the sheet that each
+ * direction's frames are in, from left to right. Only the four sides need rows; the diagonals can have
+ * their own rows too, and without them the side frames are shown. A clip plays either at a "framesPerSecond", or with a
+ * "distancePerFrame" (how far the game object moves before the next frame is shown) for clips like
+ * walking. Loading one sheet instead of a file per frame also means far fewer requests to the web server.
+ */
+
+/**
+ * Loads the images in the asset manifest, cuts the sprite sheets into frames, and keeps track of how much
+ * has been loaded so far so that a loading screen can be shown.
+ */
+class P5AssetLoader {
+  constructor({ manifest }) {
+    this._manifest = manifest;
+    // The loaded images by name. The frames cut out of the sprite sheets are named the same way the
+    // AnimatingSprites name them, like "cow_walk_left_2".
+    this._images = {};
+    // Each single image and each sprite sheet is one file.
+    this._fileCount = Object.keys(manifest.images).length + Object.keys(manifest.spriteSheets).length;
+    this._loadedCount = 0;
+    // The files that couldn't be loaded.
+    this._failedFiles = [];
+  }
+
+  /**
+   * Start loading all the files. They load in the background; isLoaded() tells when they are done.
+   */
+  load() {
+    // loadImage(...) is a p5.js function to create a p5.js Image. Outside of preload(), it returns
+    // straight away and calls one of the callbacks once the file has loaded or failed to load.
+    Object.entries(this._manifest.images).forEach(([name, file]) => {
+      loadImage(file, image => {
+        this._images[name] = image;
+        this._loadedCount++;
+      }, () => this._failedFiles.push(file));
+    });
+    Object.entries(this._manifest.spriteSheets).forEach(([name, spriteSheet]) => {
+      loadImage(spriteSheet.file, image => {
+        this._cutSpriteSheet({ spriteSheetName: name, spriteSheet: spriteSheet, image: image });
+        this._loadedCount++;
+      }, () => this._failedFiles.push(spriteSheet.file));
+    });
+  }
+
+  /**
+   * Get how much has been loaded, from 0 (nothing) to 1 (everything).
+   */
+  getProgress() {
+    return this._fileCount === 0 ? 1 : this._loadedCount / this._fileCount;
+  }
+
+  /**
+   * Tests whether all the files have been loaded.
+   */
+  isLoaded() {
+    return this._loadedCount === this._fileCount;
+  }
+
+  /**
+   * Get the files that couldn't be loaded, so that the loading screen can say which ones are missing.
+   */
+  getFailedFiles() {
+    return this._failedFiles.slice();
+  }
+
+  /**
+   * Get a loaded image by name.
+   */
+  getImage({ name }) {
+    return this._images[name];
+  }
+
+  /**
+   * Cut every frame of every clip out of a sprite sheet's image, and keep them by name. Directions that use
+   * the same row of the sheet share the same images.
+   */
+  _cutSpriteSheet({ spriteSheetName, spriteSheet, image }) {
+    const [frameWidth, frameHeight] = spriteSheet.frameSize;
+    const framesByPosition = {};
+    Object.entries(spriteSheet.clips).forEach(([clipName, clip]) => {
+      Object.entries(clip.rows).forEach(([direction, row]) => {
+        for (let frame = 0; frame < clip.frameCount; frame++) {
+          const name = AnimatingSprite.imageName({
+            spriteSheetName: spriteSheetName, clipName: clipName, direction: direction, frame: frame
+          });
+          const key = `${frame},${row}`;
+          if (!framesByPosition[key]) {
+            // image.get(x, y, width, height) is a p5.js function that copies part of an image into a new one.
+            framesByPosition[key] = image.get(frame * frameWidth, row * frameHeight, frameWidth, frameHeight);
+          }
+          this._images[name] = framesByPosition[key];
+        }
+      });
+    });
+  }
+}
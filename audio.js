@@ -0,0 +1,464 @@
+/**
+ * This file has the game's sounds. They are all made up on the spot with the browser's Web Audio API
+ * instead of being loaded from sound files: a moo is a low buzzing note that slides down in pitch, a
+ * footstep is a short thud of noise, and the wind in the background is noise with the high and low parts
+ * filtered out.
+ *
+ * Nothing here changes how the game plays. The sounds use Math.random() rather than the game's seeded
+ * random numbers, so they don't change replays either.
+ */
+
+/**
+ * Plays the game's sounds and keeps the volume settings. The volume and whether the sound is muted can be
+ * saved to any storage that works like the browser's localStorage, so they stay between visits to the page.
+ */
+class SoundManager {
+  /**
+   * storage is optional. Without it, the settings are only kept until the page is closed.
+   */
+  constructor({ storage = null } = {}) {
+    this._storage = storage;
+    this._settings = this._load();
+
+    // The Web Audio context, which everything is played through. Browsers only let a page make sounds
+    // once the player has done something on it, so the context isn't made until start() is called from a
+    // key press, click or touch. Until then, nothing is played.
+    this._context = null;
+    // Every sound goes through this node, which sets the volume.
+    this._output = null;
+    // A couple of seconds of random noise, which the footsteps and the wind are made from.
+    this._noise = null;
+
+    // The animating sprites whose frame changes are being listened to for footsteps.
+    this._listenedSprites = new WeakSet();
+    // Whether the level was complete last frame, so the jingle is only played when it becomes complete.
+    this._wasLevelComplete = false;
+    // Sounds are louder the closer they are to this position (between the people) and come from the left or right.
+    this._listenerPosition = MathHelper.VECTOR_ZERO();
+
+    this._timeUntilMoo = SoundManager._randomBetween({ range: SoundManager._mooInterval });
+    this._timeUntilBirdSong = SoundManager._randomBetween({ range: SoundManager._birdSongInterval });
+  }
+
+  /**
+   * Start making sounds. This needs to be called when the player presses a key, clicks or touches the
+   * screen, since browsers don't allow sounds before that. It can be called any number of times.
+   */
+  start() {
+    if (this._context) {
+      // The browser can stop the sound again (for example, while the tab is hidden), so start it again.
+      if (this._context.state === 'suspended') {
+        this._context.resume();
+      }
+      return;
+    }
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) {
+      return;
+    }
+
+    this._context = new AudioContext();
+    this._output = this._context.createGain();
+    this._output.connect(this._context.destination);
+    this._applyVolume();
+    this._noise = this._createNoise();
+    this._startAmbience();
+  }
+
+  /**
+   * Each frame, play the sounds for what is happening in the game. dt is the time since the last frame in
+   * seconds.
+   */
+  update({ gameManager, dt }) {
+    this._listenerPosition = gameManager.getPlayersCenter();
+
+    // Listen to the frame changes of any game objects that are new since last frame, for their footsteps.
+    gameManager.getAllSprites()
+      .filter(sprite => sprite instanceof AnimatingSprite && !this._listenedSprites.has(sprite))
+      .forEach(sprite => {
+        this._listenedSprites.add(sprite);
+        sprite.onFrameChange(event => this._onFrameChange(event));
+      });
+
+    // Play the jingle when a level is won.
+    const isLevelComplete = gameManager.isLevelComplete();
+    if (isLevelComplete && !this._wasLevelComplete) {
+      this._playJingle();
+    }
+    this._wasLevelComplete = isLevelComplete;
+
+    // While the game is paused, the animals are quiet.
+    if (gameManager.getState() === GameManager.STATES.PAUSED) {
+      return;
+    }
+
+    // Every so often, one of the cows that is close enough to be heard moos, and a bird sings.
+    this._timeUntilMoo -= dt;
+    if (this._timeUntilMoo <= 0) {
+      this._timeUntilMoo = SoundManager._randomBetween({ range: SoundManager._mooInterval });
+      const cows = gameManager.getCows().filter(cow => this._getDistanceLoudness({ position: cow.getPosition() }) > 0);
+      if (cows.length > 0) {
+        this._playMoo({ position: cows[Math.floor(Math.random() * cows.length)].getPosition() });
+      }
+    }
+    this._timeUntilBirdSong -= dt;
+    if (this._timeUntilBirdSong <= 0) {
+      this._timeUntilBirdSong = SoundManager._randomBetween({ range: SoundManager._birdSongInterval });
+      this._playBirdSong();
+    }
+  }
+
+  /**
+   * Turn the sound off, or back on.
+   */
+  toggleMute() {
+    this._settings.muted = !this._settings.muted;
+    this._applyVolume();
+    this._save();
+  }
+
+  /**
+   * Turn the volume up (if change is more than 0) or down (if it is less than 0). The volume goes from 0
+   * to 1. Changing the volume also turns the sound back on.
+   */
+  changeVolume({ change }) {
+    this._settings.volume = Math.round(Math.max(0, Math.min(1, this._settings.volume + change)) * 100) / 100;
+    this._settings.muted = false;
+    this._applyVolume();
+    this._save();
+  }
+
+  /**
+   * Get the volume, from 0 to 1.
+   */
+  getVolume() {
+    return this._settings.volume;
+  }
+
+  /**
+   * Tests whether the sound is turned off.
+   */
+  isMuted() {
+    return this._settings.muted;
+  }
+
+  /**
+   * Each time an animating sprite shows a new frame, play a footstep if one of its feet has just landed.
+   * Every other frame of the walking clip is a step.
+   */
+  _onFrameChange({ sprite, clipName, frame }) {
+    if (clipName !== AnimatingSprite.CLIPS.WALK || frame % 2 !== 0) {
+      return;
+    }
+    if (sprite instanceof Person) {
+      this._playFootstep({ position: sprite.getPosition(), loudness: SoundManager._personFootstepLoudness });
+    } else if (sprite instanceof Cow) {
+      this._playFootstep({ position: sprite.getPosition(), loudness: SoundManager._cowFootstepLoudness });
+    }
+  }
+
+  /**
+   * A moo is a buzzing note that rises a little and then slides down, with the buzz softened by a filter.
+   * Each moo has a slightly different pitch.
+   */
+  _playMoo({ position }) {
+    const voice = this._createVoice({ position: position, loudness: SoundManager._mooLoudness });
+    if (!voice) {
+      return;
+    }
+    const now = this._context.currentTime;
+    const duration = SoundManager._mooDuration;
+    const pitch = SoundManager._mooPitch * SoundManager._randomBetween({ range: SoundManager._mooPitchRange });
+
+    const oscillator = this._context.createOscillator();
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(pitch * 0.8, now);
+    oscillator.frequency.linearRampToValueAtTime(pitch, now + duration * 0.25);
+    oscillator.frequency.linearRampToValueAtTime(pitch * 0.7, now + duration);
+
+    // The filter opens up as the cow opens its mouth ("mmm-ooo").
+    const filter = this._context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.setValueAtTime(400, now);
+    filter.frequency.linearRampToValueAtTime(900, now + duration * 0.4);
+    filter.frequency.linearRampToValueAtTime(500, now + duration);
+
+    oscillator.connect(filter);
+    filter.connect(this._createEnvelope({ destination: voice, attack: 0.15, duration: duration }));
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  }
+
+  /**
+   * A footstep is a very short burst of low noise.
+   */
+  _playFootstep({ position, loudness }) {
+    const voice = this._createVoice({ position: position, loudness: loudness });
+    if (!voice) {
+      return;
+    }
+    const now = this._context.currentTime;
+    const source = this._createNoiseSource();
+    const filter = this._context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = SoundManager._footstepPitch * SoundManager._randomBetween({ range: [0.8, 1.2] });
+
+    source.connect(filter);
+    filter.connect(this._createEnvelope({
+      destination: voice, attack: 0.005, duration: SoundManager._footstepDuration
+    }));
+    // Start somewhere random in the noise, so that each step sounds a little different.
+    source.start(now, Math.random() * SoundManager._noiseDuration / 2);
+    source.stop(now + SoundManager._footstepDuration);
+  }
+
+  /**
+   * A bird song is a few quick whistles that slide up, from somewhere off to the left or right.
+   */
+  _playBirdSong() {
+    const voice = this._createVoice({ loudness: SoundManager._birdSongLoudness, pan: Math.random() * 2 - 1 });
+    if (!voice) {
+      return;
+    }
+    const start = this._context.currentTime;
+    const pitch = SoundManager._randomBetween({ range: SoundManager._birdSongPitchRange });
+    for (let chirp = 0; chirp < SoundManager._birdSongChirps; chirp++) {
+      const time = start + chirp * SoundManager._birdSongChirpSpacing;
+      const oscillator = this._context.createOscillator();
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(pitch, time);
+      oscillator.frequency.exponentialRampToValueAtTime(pitch * 1.4, time + SoundManager._birdSongChirpDuration);
+      oscillator.connect(this._createEnvelope({
+        destination: voice, attack: 0.01, duration: SoundManager._birdSongChirpDuration, startTime: time
+      }));
+      oscillator.start(time);
+      oscillator.stop(time + SoundManager._birdSongChirpDuration);
+    }
+  }
+
+  /**
+   * The jingle is a quick run of notes going up, with the last one held.
+   */
+  _playJingle() {
+    const voice = this._createVoice({ loudness: SoundManager._jingleLoudness });
+    if (!voice) {
+      return;
+    }
+    const start = this._context.currentTime;
+    const notes = SoundManager._jingleNotes;
+    notes.forEach((frequency, index) => {
+      const time = start + index * SoundManager._jingleNoteSpacing;
+      const isLastNote = index === notes.length - 1;
+      const duration = isLastNote ? SoundManager._jingleLastNoteDuration : SoundManager._jingleNoteSpacing;
+      const oscillator = this._context.createOscillator();
+      oscillator.type = 'triangle';
+      oscillator.frequency.value = frequency;
+      oscillator.connect(this._createEnvelope({
+        destination: voice, attack: 0.01, duration: duration, startTime: time
+      }));
+      oscillator.start(time);
+      oscillator.stop(time + duration);
+    });
+  }
+
+  /**
+   * The background sound is wind: noise that loops forever, filtered so only the middle of it is heard,
+   * and slowly getting louder and quieter in gusts.
+   */
+  _startAmbience() {
+    const source = this._createNoiseSource();
+    source.loop = true;
+    const filter = this._context.createBiquadFilter();
+    filter.type = 'bandpass';
+    filter.frequency.value = SoundManager._windPitch;
+    filter.Q.value = 0.5;
+    const gain = this._context.createGain();
+    gain.gain.value = SoundManager._windLoudness;
+
+    // A very slow oscillator moves the wind's volume up and down.
+    const gusts = this._context.createOscillator();
+    gusts.frequency.value = SoundManager._windGustRate;
+    const gustDepth = this._context.createGain();
+    gustDepth.gain.value = SoundManager._windLoudness / 2;
+    gusts.connect(gustDepth);
+    gustDepth.connect(gain.gain);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this._output);
+    source.start();
+    gusts.start();
+  }
+
+  /**
+   * Make a node for one sound to be played into. If position is given, the sound is quieter the further it
+   * is from the listener, and comes from the side it is on. Otherwise pan says which side it comes from,
+   * from -1 (left) to 1 (right). Returns null if there is no sound yet or the sound is too far away to hear.
+   */
+  _createVoice({ position = null, loudness, pan = 0 }) {
+    if (!this._context) {
+      return null;
+    }
+    let volume = loudness;
+    if (position) {
+      volume *= this._getDistanceLoudness({ position: position });
+      pan = Math.max(-1, Math.min(1, (position.x - this._listenerPosition.x) / SoundManager._hearingDistance));
+    }
+    if (volume <= 0) {
+      return null;
+    }
+
+    const gain = this._context.createGain();
+    gain.gain.value = volume;
+    // Older browsers don't have stereo panning, so the sound just comes from the middle.
+    if (this._context.createStereoPanner) {
+      const panner = this._context.createStereoPanner();
+      panner.pan.value = pan;
+      gain.connect(panner);
+      panner.connect(this._output);
+    } else {
+      gain.connect(this._output);
+    }
+    return gain;
+  }
+
+  /**
+   * Make a node that fades a sound in over attack seconds from startTime (or now), and then fades it out
+   * by the end of duration, to stop it from clicking. The sound should be connected to the returned node.
+   */
+  _createEnvelope({ destination, attack, duration, startTime = this._context.currentTime }) {
+    const envelope = this._context.createGain();
+    envelope.gain.setValueAtTime(0, startTime);
+    envelope.gain.linearRampToValueAtTime(1, startTime + attack);
+    envelope.gain.exponentialRampToValueAtTime(0.001, startTime + duration);
+    envelope.connect(destination);
+    return envelope;
+  }
+
+  /**
+   * Get how loud a sound at the given position is because of how far away it is, from 1 (right by the
+   * listener) to 0 (too far away to hear).
+   */
+  _getDistanceLoudness({ position }) {
+    return Math.max(0, 1 - position.dist(this._listenerPosition) / SoundManager._hearingDistance);
+  }
+
+  /**
+   * Make a buffer of random noise.
+   */
+  _createNoise() {
+    const sampleRate = this._context.sampleRate;
+    const buffer = this._context.createBuffer(1, Math.floor(sampleRate * SoundManager._noiseDuration), sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  /**
+   * Make a node that plays the noise.
+   */
+  _createNoiseSource() {
+    const source = this._context.createBufferSource();
+    source.buffer = this._noise;
+    return source;
+  }
+
+  /**
+   * Set the output's volume from the settings.
+   */
+  _applyVolume() {
+    if (this._output) {
+      this._output.gain.setValueAtTime(this._settings.muted ? 0 : this._settings.volume, this._context.currentTime);
+    }
+  }
+
+  /**
+   * Load the settings from the storage. If there aren't any, or they can't be read, use the defaults.
+   */
+  _load() {
+    const settings = { volume: SoundManager._defaultVolume, muted: false };
+    if (!this._storage) {
+      return settings;
+    }
+
+    try {
+      const saved = JSON.parse(this._storage.getItem(SoundManager._storageKey)) || {};
+      if (typeof saved.volume === 'number') {
+        settings.volume = Math.max(0, Math.min(1, saved.volume));
+      }
+      settings.muted = saved.muted === true;
+    } catch (error) {
+      console.warn(`Could not load the sound settings: ${error}`);
+    }
+    return settings;
+  }
+
+  /**
+   * Save the settings to the storage.
+   */
+  _save() {
+    if (!this._storage) {
+      return;
+    }
+
+    try {
+      this._storage.setItem(SoundManager._storageKey, JSON.stringify(this._settings));
+    } catch (error) {
+      console.warn(`Could not save the sound settings: ${error}`);
+    }
+  }
+}
+
+/**
+ * Get a random number in the range, which is [lowest, highest].
+ */
+SoundManager._randomBetween = ({ range }) => range[0] + Math.random() * (range[1] - range[0]);
+
+/**
+ * Configure the sound settings. Loudnesses go from 0 to 1, pitches are in hertz and times are in seconds.
+ */
+SoundManager.configure = () => {
+  // The name the settings are saved under, and the volume before it has been changed.
+  SoundManager._storageKey = 'shelleys-ranch.sound';
+  SoundManager._defaultVolume = 0.7;
+  // The keys that turn the sound off and on, and turn the volume down and up. They are not passed on to
+  // the game.
+  SoundManager._muteKey = 'M';
+  SoundManager._volumeDownKey = '-';
+  SoundManager._volumeUpKeys = ['+', '='];
+  SoundManager._volumeStep = 0.1;
+
+  // How far away things can be heard.
+  SoundManager._hearingDistance = 600;
+  SoundManager._noiseDuration = 2;
+
+  SoundManager._mooInterval = [4, 10];
+  SoundManager._mooLoudness = 0.5;
+  SoundManager._mooPitch = 150;
+  SoundManager._mooPitchRange = [0.85, 1.15];
+  SoundManager._mooDuration = 1.1;
+
+  SoundManager._personFootstepLoudness = 0.35;
+  SoundManager._cowFootstepLoudness = 0.12;
+  SoundManager._footstepPitch = 350;
+  SoundManager._footstepDuration = 0.08;
+
+  SoundManager._birdSongInterval = [6, 15];
+  SoundManager._birdSongLoudness = 0.06;
+  SoundManager._birdSongPitchRange = [2200, 3200];
+  SoundManager._birdSongChirps = 3;
+  SoundManager._birdSongChirpSpacing = 0.12;
+  SoundManager._birdSongChirpDuration = 0.07;
+
+  SoundManager._windPitch = 500;
+  SoundManager._windLoudness = 0.05;
+  SoundManager._windGustRate = 0.1;
+
+  // The jingle's notes go up C, E, G and C.
+  SoundManager._jingleNotes = [523.25, 659.25, 783.99, 1046.5];
+  SoundManager._jingleNoteSpacing = 0.13;
+  SoundManager._jingleLastNoteDuration = 0.6;
+  SoundManager._jingleLoudness = 0.3;
+}
@@ -0,0 +1,70 @@
+/**
+ * This file has the camera, which decides which part of the world is on the screen. The world can be
+ * bigger than the screen, so the camera follows the person around it. Like the simulation, it doesn't use
+ * p5.js; the renderer asks it where to look.
+ */
+
+/**
+ * A camera that smoothly follows a target and never shows anything outside the world. Its position is
+ * the point in the world that is drawn in the middle of the screen.
+ */
+class Camera {
+  constructor() {
+    this._position = MathHelper.VECTOR_ZERO();
+    this._viewSize = MathHelper.VECTOR_ZERO();
+  }
+
+  /**
+   * Move the camera a bit closer to the target. dt is the time since the last frame in seconds. The
+   * camera covers the same fraction of the distance every second, so it moves quickly when the target is
+   * far away and slows down as it catches up. worldSize and viewSize are the size of the world and of the
+   * screen.
+   */
+  follow({ target, worldSize, viewSize, dt }) {
+    const smoothing = 1 - Math.exp(-Camera._followSpeed * dt);
+    this._position.add(target.copy().sub(this._position).mult(smoothing));
+    this._viewSize = viewSize.copy();
+    this._keepInWorld({ worldSize: worldSize });
+  }
+
+  /**
+   * Move the camera straight to the target, for example when a new level starts.
+   */
+  jumpTo({ target, worldSize, viewSize }) {
+    this._position = target.copy();
+    this._viewSize = viewSize.copy();
+    this._keepInWorld({ worldSize: worldSize });
+  }
+
+  /**
+   * Get the point in the world that is in the middle of the screen.
+   */
+  getPosition() {
+    return this._position.copy();
+  }
+
+  /**
+   * Tests whether any part of a box in the world is on the screen. Things that aren't on the screen don't
+   * need to be drawn.
+   */
+  isVisible({ position, size }) {
+    return Math.abs(position.x - this._position.x) < (size.x + this._viewSize.x) / 2 &&
+      Math.abs(position.y - this._position.y) < (size.y + this._viewSize.y) / 2;
+  }
+
+  /**
+   * Move the camera so that the edge of the screen doesn't go past the edge of the world. If the world is
+   * smaller than the screen in one direction, the world is kept in the middle of the screen instead.
+   */
+  _keepInWorld({ worldSize }) {
+    ['x', 'y'].forEach(axis => {
+      const maxOffset = Math.max(worldSize[axis] - this._viewSize[axis], 0) / 2;
+      this._position[axis] = Math.min(Math.max(this._position[axis], -maxOffset), maxOffset);
+    });
+  }
+}
+
+/**
+ * How quickly the camera catches up with its target. Higher is quicker.
+ */
+Camera._followSpeed = 4;
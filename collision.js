@@ -0,0 +1,233 @@
+/**
+ * This file handles collisions. Every moving sprite has a collider: an axis-aligned box (AABB) around its
+ * position. Static obstacles, like the walls of a fence and the edges of the world, are boxes too. When a
+ * sprite moves, it moves one axis at a time and stops at any wall it runs into, so it slides along walls
+ * instead of bouncing off them.
+ *
+ * Boxes are stored as { position, size } where position is the center of the box, like sprites.
+ */
+
+/**
+ * A spatial hash divides the world into square cells and remembers which items are in each cell. To find
+ * the items near a position, only the cells around that position need to be checked instead of every item,
+ * which keeps collisions cheap even with hundreds of cows.
+ */
+class SpatialHash {
+  constructor({ cellSize }) {
+    this._cellSize = cellSize;
+    // A Map from a cell's key (like "3,-2") to the items in that cell.
+    this._cells = new Map();
+  }
+
+  /**
+   * Add an item that covers the given box. An item can be in more than one cell.
+   */
+  insert({ item, box }) {
+    this._forEachCell({ box: box }, key => {
+      if (!this._cells.has(key)) {
+        this._cells.set(key, []);
+      }
+      this._cells.get(key).push(item);
+    });
+  }
+
+  /**
+   * Get the items that might overlap the given box. Each item is only returned once, in the order that
+   * the items were inserted into the first cell they were found in.
+   */
+  query({ box }) {
+    const items = new Set();
+    this._forEachCell({ box: box }, key => {
+      (this._cells.get(key) || []).forEach(item => items.add(item));
+    });
+    return Array.from(items);
+  }
+
+  /**
+   * Remove all the items.
+   */
+  clear() {
+    this._cells.clear();
+  }
+
+  /**
+   * Call callback with the key of every cell that the box covers.
+   */
+  _forEachCell({ box }, callback) {
+    const minX = Math.floor((box.position.x - box.size.x / 2) / this._cellSize);
+    const maxX = Math.floor((box.position.x + box.size.x / 2) / this._cellSize);
+    const minY = Math.floor((box.position.y - box.size.y / 2) / this._cellSize);
+    const maxY = Math.floor((box.position.y + box.size.y / 2) / this._cellSize);
+
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        callback(`${x},${y}`);
+      }
+    }
+  }
+}
+
+/**
+ * This keeps track of the static obstacles and the moving sprites in a level, and moves sprites so that
+ * they don't go through obstacles.
+ */
+class CollisionWorld {
+  constructor() {
+    // Static obstacles never move, so they are only added to their spatial hash once.
+    this._staticColliders = [];
+    this._staticHash = new SpatialHash({ cellSize: CollisionWorld._cellSize });
+
+    // Sprites move every tick, so their spatial hash is rebuilt every tick.
+    this._sprites = [];
+    this._spriteHash = new SpatialHash({ cellSize: CollisionWorld._cellSize });
+  }
+
+  /**
+   * Add a static obstacle, like a wall of a fence.
+   */
+  addStaticCollider({ position, size }) {
+    const collider = { position: position.copy(), size: size.copy() };
+    this._staticColliders.push(collider);
+    this._staticHash.insert({ item: collider, box: collider });
+  }
+
+  /**
+   * Take out all the static obstacles, so that they can be added again after the level changes.
+   */
+  removeStaticColliders() {
+    this._staticColliders = [];
+    this._staticHash = new SpatialHash({ cellSize: CollisionWorld._cellSize });
+  }
+
+  /**
+   * Add walls around the outside of the given bounds, so that nothing can leave them.
+   */
+  addBoundary({ boundsPosition, boundsSize }) {
+    const thickness = CollisionWorld._boundaryThickness;
+    const halfSize = boundsSize.copy().mult(0.5);
+    const outerSize = boundsSize.copy().add(MathHelper.VECTOR_ONE().mult(thickness * 2));
+
+    // Top, bottom, left and right walls.
+    this.addStaticCollider({
+      position: boundsPosition.copy().add(Platform.createVector(0, -halfSize.y - thickness / 2)),
+      size: Platform.createVector(outerSize.x, thickness)
+    });
+    this.addStaticCollider({
+      position: boundsPosition.copy().add(Platform.createVector(0, halfSize.y + thickness / 2)),
+      size: Platform.createVector(outerSize.x, thickness)
+    });
+    this.addStaticCollider({
+      position: boundsPosition.copy().add(Platform.createVector(-halfSize.x - thickness / 2, 0)),
+      size: Platform.createVector(thickness, outerSize.y)
+    });
+    this.addStaticCollider({
+      position: boundsPosition.copy().add(Platform.createVector(halfSize.x + thickness / 2, 0)),
+      size: Platform.createVector(thickness, outerSize.y)
+    });
+  }
+
+  /**
+   * Get all the static obstacles.
+   */
+  getStaticColliders() {
+    return this._staticColliders.slice();
+  }
+
+  /**
+   * Set the sprites that move around. They can then be found with findSpritesNear().
+   */
+  setSprites({ sprites }) {
+    this._sprites = sprites.slice();
+    this.updateSprites();
+  }
+
+  /**
+   * Rebuild the sprites' spatial hash after they have moved.
+   */
+  updateSprites() {
+    this._spriteHash.clear();
+    this._sprites.forEach(sprite => this._spriteHash.insert({ item: sprite, box: sprite.getCollider() }));
+  }
+
+  /**
+   * Get the sprites whose position is within radius of the given position.
+   */
+  findSpritesNear({ position, radius }) {
+    const box = { position: position, size: MathHelper.VECTOR_ONE().mult(radius * 2) };
+    return this._spriteHash.query({ box: box })
+      .filter(sprite => sprite.getPosition().dist(position) < radius);
+  }
+
+  /**
+   * Tests whether a box overlaps any static obstacle.
+   */
+  isBlocked({ box }) {
+    return this._staticHash.query({ box: box }).some(collider => CollisionWorld.boxesOverlap({
+      box: box, otherBox: collider
+    }));
+  }
+
+  /**
+   * Move a box by the displacement, stopping at any static obstacle in the way. The box moves along x
+   * first and then along y, so if only one direction is blocked it still moves (slides) in the other.
+   * Obstacles that the box already overlaps before moving are ignored, so that something stuck in a wall
+   * can get out. Returns the new position and whether each direction was blocked.
+   */
+  moveBox({ box, displacement }) {
+    const position = box.position.copy();
+    const size = box.size.copy();
+
+    // Find every obstacle that could be hit on the way, skipping the ones already being overlapped.
+    const sweptBox = {
+      position: position.copy().add(displacement.copy().mult(0.5)),
+      size: size.copy().add(Platform.createVector(Math.abs(displacement.x), Math.abs(displacement.y)))
+    };
+    const colliders = this._staticHash.query({ box: sweptBox }).filter(collider =>
+      !CollisionWorld.boxesOverlap({ box: box, otherBox: collider }));
+
+    // Move along x, then move back to the edge of any obstacle that was hit.
+    let blockedX = false;
+    position.x += displacement.x;
+    colliders.forEach(collider => {
+      if (CollisionWorld.boxesOverlap({ box: { position: position, size: size }, otherBox: collider })) {
+        blockedX = true;
+        position.x = displacement.x > 0 ?
+          collider.position.x - collider.size.x / 2 - size.x / 2 - CollisionWorld._skin :
+          collider.position.x + collider.size.x / 2 + size.x / 2 + CollisionWorld._skin;
+      }
+    });
+
+    // Do the same along y.
+    let blockedY = false;
+    position.y += displacement.y;
+    colliders.forEach(collider => {
+      if (CollisionWorld.boxesOverlap({ box: { position: position, size: size }, otherBox: collider })) {
+        blockedY = true;
+        position.y = displacement.y > 0 ?
+          collider.position.y - collider.size.y / 2 - size.y / 2 - CollisionWorld._skin :
+          collider.position.y + collider.size.y / 2 + size.y / 2 + CollisionWorld._skin;
+      }
+    });
+
+    return { position: position, blockedX: blockedX, blockedY: blockedY };
+  }
+}
+
+/**
+ * Tests whether two boxes overlap.
+ */
+CollisionWorld.boxesOverlap = ({ box, otherBox }) =>
+  Math.abs(box.position.x - otherBox.position.x) < (box.size.x + otherBox.size.x) / 2 &&
+  Math.abs(box.position.y - otherBox.position.y) < (box.size.y + otherBox.size.y) / 2;
+
+/**
+ * Configure the collision settings.
+ */
+CollisionWorld.configure = () => {
+  // The size of a spatial hash cell. It should be a bit bigger than most colliders.
+  CollisionWorld._cellSize = 64;
+  // How thick the walls around the edge of the world are.
+  CollisionWorld._boundaryThickness = 100;
+  // How far from a wall to stop, so that rounding errors don't leave sprites overlapping walls.
+  CollisionWorld._skin = 0.01;
+}
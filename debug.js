@@ -0,0 +1,401 @@
+/**
+ * This file has the debug overlay, which helps designers tune the game while it is running. When it is
+ * turned on, it draws what the game objects are thinking on top of the world: the fences' walls that the
+ * cows and people bump into, how close each person needs to be to lead a cow, and where each cow is
+ * going. A panel in the corner shows how fast the game is running and has sliders for the tuning values,
+ * which change the game straight away and can be saved as a JSON file to copy into the configure()
+ * functions.
+ *
+ * TuningPanel changes the tuning values and doesn't use p5.js, like the simulation. P5DebugOverlay is the
+ * overlay's screen: it reads the mouse with p5.js and draws the overlay and the panel.
+ *
+ * Replays don't know about changed tuning values, so a game played after changing them won't play back
+ * the same way with the values in the code.
+ */
+
+/**
+ * Keeps the tuning values that can be changed while the game is running. Each one is a setting of one of
+ * the game's classes, like Cow._normalSpeed, and it is changed right there on the class, so the game uses
+ * the new value the next time it reads it. Settings that are only read when something is made, like the
+ * cows' speeds, are also passed on to the game being played.
+ */
+class TuningPanel {
+  constructor() {
+    // The values from the code, so that they can be put back.
+    this._defaults = this.toJSON();
+  }
+
+  /**
+   * Get the tuning values in the order they are shown, as { name, value, range, step }, where range is
+   * [lowest, highest] and values are always a whole number of steps.
+   */
+  getParameters() {
+    return TuningPanel._parameters.map(parameter => ({
+      name: TuningPanel._getName({ parameter: parameter }),
+      value: parameter.owner[parameter.key],
+      range: parameter.range.slice(),
+      step: parameter.step
+    }));
+  }
+
+  /**
+   * Change one tuning value by its name, like "Cow._normalSpeed". The value is kept in the parameter's
+   * range and rounded to its step. gameManager is optional; if it is given, the game being played is
+   * changed to match.
+   */
+  setValue({ name, value, gameManager = null }) {
+    const parameter = TuningPanel._parameters
+      .find(parameter => TuningPanel._getName({ parameter: parameter }) === name);
+    if (!parameter) {
+      throw new Error(`Unknown tuning value: ${name}`);
+    }
+    const [lowest, highest] = parameter.range;
+    const steps = Math.round((Math.max(lowest, Math.min(highest, value)) - lowest) / parameter.step);
+    const previousValue = parameter.owner[parameter.key];
+    // Rounding to the step can add tiny errors (like 0.30000000000000004), so the result is rounded again.
+    const newValue = Number((lowest + steps * parameter.step).toFixed(6));
+    parameter.owner[parameter.key] = newValue;
+    if (parameter.apply && gameManager && newValue !== previousValue) {
+      parameter.apply({ gameManager: gameManager, previousValue: previousValue, value: newValue });
+    }
+  }
+
+  /**
+   * Put every tuning value back to what it was in the code. gameManager is optional, like in setValue().
+   */
+  reset({ gameManager = null } = {}) {
+    Object.entries(this._defaults).forEach(([name, value]) =>
+      this.setValue({ name: name, value: value, gameManager: gameManager }));
+  }
+
+  /**
+   * Get every tuning value by name, for example { "Cow._normalSpeed": 20, ... }.
+   */
+  toJSON() {
+    const values = {};
+    this.getParameters().forEach(({ name, value }) => { values[name] = value; });
+    return values;
+  }
+}
+
+/**
+ * Get the name of a tuning value, which is how it is written in the code.
+ */
+TuningPanel._getName = ({ parameter }) => `${parameter.owner.name}.${parameter.key}`;
+
+/**
+ * Configure which tuning values can be changed. owner is the class the setting is on and key is the
+ * setting's name. Each one can be changed within its range, [lowest, highest], a step at a time. apply is
+ * optional; it passes a change on to the game being played, for settings that the game only reads when it
+ * makes something.
+ */
+TuningPanel.configure = () => {
+  // Each cow's speeds are picked when it is made (see Cow.randomTraits()), so the cows in the level have
+  // theirs scaled by the same amount as the setting. The speeds start above 0 so that they can be scaled.
+  const scaleCowSpeed = ({ trait }) => ({ gameManager, previousValue, value }) =>
+    gameManager.getCows().forEach(cow => cow.scaleSpeeds({ scales: { [trait]: value / previousValue } }));
+
+  TuningPanel._parameters = [
+    { owner: Cow, key: '_normalSpeed', range: [1, 100], step: 1, apply: scaleCowSpeed({ trait: 'normalSpeed' }) },
+    { owner: Cow, key: '_targetSpeed', range: [1, 150], step: 1, apply: scaleCowSpeed({ trait: 'targetSpeed' }) },
+    { owner: Cow, key: '_targetPadding', range: [0, 150], step: 1 },
+    { owner: GameManager, key: '_cowRange', range: [10, 200], step: 1 },
+    // The fences' walls are built when the level is, so changing how thick they are builds the level's walls
+    // again, and the overlay shows the new ones. Fence._edgeWidth isn't here, since it doesn't change the
+    // walls the cows bump into. There is no setting for the size of the fences' openings either: each fence
+    // has its own opening width in the level data, so it is changed in the level editor instead.
+    {
+      owner: Fence, key: '_wallThickness', range: [4, 60], step: 1,
+      apply: ({ gameManager }) => gameManager.rebuildObstacles()
+    }
+  ];
+}
+
+/**
+ * The debug overlay's screen. It is turned on and off with a key, and while it is on the game keeps running
+ * underneath it.
+ */
+class P5DebugOverlay {
+  constructor() {
+    this._tuningPanel = new TuningPanel();
+    this._isOpen = false;
+    // The name of the tuning value whose slider is being dragged, or null.
+    this._draggedName = null;
+  }
+
+  /**
+   * Tests whether the overlay is showing.
+   */
+  isOpen() {
+    return this._isOpen;
+  }
+
+  /**
+   * Turn the overlay on or off.
+   */
+  toggle() {
+    this._isOpen = !this._isOpen;
+    this._draggedName = null;
+  }
+
+  /**
+   * Get the TuningPanel with the tuning values.
+   */
+  getTuningPanel() {
+    return this._tuningPanel;
+  }
+
+  /**
+   * This is called when the mouse button goes down. position is in logical units and viewSize is the size
+   * of the view. Clicking a slider sets its value and starts dragging it, and clicking a button presses it.
+   * Returns whether the click was on the panel, so that it doesn't reach anything else. gameManager is the
+   * game being played, which the tuning values are passed on to.
+   */
+  mousePressed({ position, viewSize, gameManager }) {
+    if (!this._isOpen || !this._isOverPanel({ position: position, viewSize: viewSize })) {
+      return false;
+    }
+
+    const slider = this._getSliders({ viewSize: viewSize }).find(slider => MathHelper.positionInBounds({
+      position: position, boundsPosition: slider.position, boundsSize: slider.hitSize
+    }));
+    const button = this._getButtons({ viewSize: viewSize }).find(button => MathHelper.positionInBounds({
+      position: position, boundsPosition: button.position, boundsSize: P5DebugOverlay._buttonSize
+    }));
+    if (slider) {
+      this._draggedName = slider.name;
+      this._dragSlider({ position: position, viewSize: viewSize, gameManager: gameManager });
+    } else if (button) {
+      button.press({ gameManager: gameManager });
+    }
+    return true;
+  }
+
+  /**
+   * This is called when the mouse moves with the button down. Returns whether a slider is being dragged.
+   */
+  mouseDragged({ position, viewSize, gameManager }) {
+    if (!this._isOpen || !this._draggedName) {
+      return false;
+    }
+    this._dragSlider({ position: position, viewSize: viewSize, gameManager: gameManager });
+    return true;
+  }
+
+  /**
+   * This is called when the mouse button goes up.
+   */
+  mouseReleased() {
+    this._draggedName = null;
+  }
+
+  /**
+   * Draw what the game objects are thinking, in world coordinates: the walls of each fence from
+   * Fence.getWallColliders(), how close each person needs to be to lead a cow, each cow's velocity
+   * and the line to what it is following, and where each dog is walking the cow it is working.
+   */
+  drawWorld({ gameManager }) {
+    if (!this._isOpen) {
+      return;
+    }
+
+    push();
+    rectMode(CENTER);
+    noStroke();
+    fill(P5DebugOverlay._fenceWallColor);
+    gameManager.getFences().forEach(fence => fence.getWallColliders().forEach(wall =>
+      rect(wall.position.x, wall.position.y, wall.size.x, wall.size.y)));
+
+    noFill();
+    strokeWeight(2);
+    stroke(P5DebugOverlay._leadRangeColor);
+    gameManager.getPlayers().forEach(({ person }) =>
+      circle(person.getPosition().x, person.getPosition().y, gameManager.getCowRange() * 2));
+
+    gameManager.getCows().forEach(cow => {
+      const position = cow.getPosition();
+      const target = cow.getTargetPosition();
+      if (target) {
+        stroke(P5DebugOverlay._targetColor);
+        line(position.x, position.y, target.x, target.y);
+      }
+      const velocityEnd = position.copy().add(cow.getVelocity().mult(P5DebugOverlay._velocityScale));
+      stroke(P5DebugOverlay._velocityColor);
+      line(position.x, position.y, velocityEnd.x, velocityEnd.y);
+    });
+
+    stroke(P5DebugOverlay._dogAimColor);
+    gameManager.getPlayers().forEach(({ dog }) => {
+      const cowPosition = dog.getCowPosition();
+      const aimPosition = dog.getAimPosition();
+      if (cowPosition && aimPosition) {
+        line(dog.getPosition().x, dog.getPosition().y, cowPosition.x, cowPosition.y);
+        line(cowPosition.x, cowPosition.y, aimPosition.x, aimPosition.y);
+      }
+    });
+    pop();
+  }
+
+  /**
+   * Draw the panel in the top right corner of the view, in logical units: how fast the game is running,
+   * the sliders for the tuning values, and the buttons. dt is the time since the last frame in seconds.
+   */
+  drawPanel({ viewSize, dt }) {
+    if (!this._isOpen) {
+      return;
+    }
+
+    const panel = this._getPanelBounds({ viewSize: viewSize });
+    const margin = P5DebugOverlay._margin;
+    const left = panel.position.x - panel.size.x / 2 + margin;
+    push();
+    rectMode(CENTER);
+    noStroke();
+    fill(P5DebugOverlay._panelColor);
+    rect(panel.position.x, panel.position.y, panel.size.x, panel.size.y);
+
+    // frameRate() is a p5.js function that gets how many frames are drawn per second.
+    textFont('Georgia');
+    textSize(P5DebugOverlay._textSize);
+    textAlign(LEFT, TOP);
+    fill(P5DebugOverlay._textColor);
+    const top = panel.position.y - panel.size.y / 2;
+    text(`FPS ${Math.round(frameRate())}   dt ${(dt * 1000).toFixed(1)} ms`, left, top + margin);
+
+    this._getSliders({ viewSize: viewSize }).forEach(slider => {
+      const trackLeft = slider.position.x - slider.trackWidth / 2;
+      const fraction = (slider.value - slider.range[0]) / (slider.range[1] - slider.range[0]);
+      textAlign(LEFT, BOTTOM);
+      fill(P5DebugOverlay._textColor);
+      text(`${slider.name}  ${slider.value}`, trackLeft, slider.position.y - P5DebugOverlay._knobSize / 2);
+      fill(P5DebugOverlay._trackColor);
+      rect(slider.position.x, slider.position.y, slider.trackWidth, P5DebugOverlay._trackHeight);
+      fill(slider.name === this._draggedName ? P5DebugOverlay._draggedKnobColor : P5DebugOverlay._knobColor);
+      circle(trackLeft + fraction * slider.trackWidth, slider.position.y, P5DebugOverlay._knobSize);
+    });
+
+    textAlign(CENTER, CENTER);
+    this._getButtons({ viewSize: viewSize }).forEach(button => {
+      const buttonSize = P5DebugOverlay._buttonSize;
+      fill(P5DebugOverlay._buttonColor);
+      rect(button.position.x, button.position.y, buttonSize.x, buttonSize.y, P5DebugOverlay._buttonCornerRadius);
+      fill(P5DebugOverlay._textColor);
+      text(button.label, button.position.x, button.position.y);
+    });
+    pop();
+  }
+
+  /**
+   * Set the value of the slider being dragged from where the mouse is along its track.
+   */
+  _dragSlider({ position, viewSize, gameManager }) {
+    const slider = this._getSliders({ viewSize: viewSize }).find(slider => slider.name === this._draggedName);
+    const fraction = (position.x - (slider.position.x - slider.trackWidth / 2)) / slider.trackWidth;
+    this._tuningPanel.setValue({
+      name: slider.name,
+      value: slider.range[0] + fraction * (slider.range[1] - slider.range[0]),
+      gameManager: gameManager
+    });
+  }
+
+  /**
+   * Tests whether a position in the view is on the panel.
+   */
+  _isOverPanel({ position, viewSize }) {
+    const panel = this._getPanelBounds({ viewSize: viewSize });
+    return MathHelper.positionInBounds({ position: position, boundsPosition: panel.position, boundsSize: panel.size });
+  }
+
+  /**
+   * Get the center and size of the panel. It is as tall as it needs to be for its sliders and buttons.
+   */
+  _getPanelBounds({ viewSize }) {
+    const margin = P5DebugOverlay._margin;
+    const parameterCount = this._tuningPanel.getParameters().length;
+    const size = Platform.createVector(
+      P5DebugOverlay._panelWidth,
+      margin * 3 + P5DebugOverlay._textSize + parameterCount * P5DebugOverlay._sliderSpacing +
+        P5DebugOverlay._buttonSize.y);
+    return {
+      position: Platform.createVector(viewSize.x - margin - size.x / 2, margin + size.y / 2),
+      size: size
+    };
+  }
+
+  /**
+   * Get the sliders, from top to bottom. Each has the tuning value's name, value and range, the center of
+   * its track, how wide the track is, and the size of the area that can be clicked to move it.
+   */
+  _getSliders({ viewSize }) {
+    const panel = this._getPanelBounds({ viewSize: viewSize });
+    const margin = P5DebugOverlay._margin;
+    const spacing = P5DebugOverlay._sliderSpacing;
+    const trackWidth = panel.size.x - margin * 2;
+    const top = panel.position.y - panel.size.y / 2 + margin * 2 + P5DebugOverlay._textSize;
+    return this._tuningPanel.getParameters().map((parameter, index) => ({
+      name: parameter.name,
+      value: parameter.value,
+      range: parameter.range,
+      position: Platform.createVector(panel.position.x, top + (index + 1) * spacing - P5DebugOverlay._knobSize),
+      trackWidth: trackWidth,
+      hitSize: Platform.createVector(trackWidth + P5DebugOverlay._knobSize, P5DebugOverlay._knobSize * 2)
+    }));
+  }
+
+  /**
+   * Get the panel's buttons, from left to right along its bottom. Each has a label, its center, and what
+   * happens when it is pressed, which is given the game being played.
+   */
+  _getButtons({ viewSize }) {
+    const panel = this._getPanelBounds({ viewSize: viewSize });
+    const buttonSize = P5DebugOverlay._buttonSize;
+    const margin = P5DebugOverlay._margin;
+    const y = panel.position.y + panel.size.y / 2 - margin - buttonSize.y / 2;
+    const left = panel.position.x - panel.size.x / 2 + margin + buttonSize.x / 2;
+    return [
+      // saveJSON(...) is a p5.js function that downloads a JSON file.
+      { label: 'Export', press: () => saveJSON(this._tuningPanel.toJSON(), 'tuning.json') },
+      { label: 'Reset', press: ({ gameManager }) => this._tuningPanel.reset({ gameManager: gameManager }) }
+    ].map((button, index) => Object.assign(button, {
+      position: Platform.createVector(left + index * (buttonSize.x + P5DebugOverlay._buttonSpacing), y)
+    }));
+  }
+}
+
+/**
+ * The key that turns the debug overlay on and off.
+ */
+P5DebugOverlay._toggleKey = '`';
+
+/**
+ * Set up the size and look of the overlay and the panel. color() is a p5.js function, so this is called
+ * from preload().
+ */
+P5DebugOverlay.configure = () => {
+  TuningPanel.configure();
+
+  // How long the velocity lines are: how far each cow would go in this many seconds.
+  P5DebugOverlay._velocityScale = 1;
+
+  P5DebugOverlay._margin = 12;
+  P5DebugOverlay._panelWidth = 300;
+  P5DebugOverlay._textSize = 14;
+  P5DebugOverlay._sliderSpacing = 44;
+  P5DebugOverlay._trackHeight = 4;
+  P5DebugOverlay._knobSize = 14;
+  P5DebugOverlay._buttonSize = Platform.createVector(82, 30);
+  P5DebugOverlay._buttonSpacing = 6;
+  P5DebugOverlay._buttonCornerRadius = 4;
+
+  P5DebugOverlay._fenceWallColor = color(255, 80, 0, 70);
+  P5DebugOverlay._leadRangeColor = color(255, 255, 0, 200);
+  P5DebugOverlay._velocityColor = color(0, 220, 255);
+  P5DebugOverlay._targetColor = color(255, 0, 255, 160);
+  P5DebugOverlay._dogAimColor = color(255, 140, 0, 200);
+  P5DebugOverlay._panelColor = color(0, 0, 0, 170);
+  P5DebugOverlay._textColor = color(255, 255, 255, 230);
+  P5DebugOverlay._trackColor = color(255, 255, 255, 90);
+  P5DebugOverlay._knobColor = color(255, 255, 255);
+  P5DebugOverlay._draggedKnobColor = color(255, 200, 0);
+  P5DebugOverlay._buttonColor = color(255, 255, 255, 60);
+}
@@ -0,0 +1,364 @@
+/**
+ * This file has the sheepdogs. Each player has a dog that follows their person around and does what it is
+ * told: it can stay where it is, go around a loose cow to the far side of it, or push the cow home. Cows
+ * run away from a dog that is pushing them, just like they run away from a wolf, so a dog that comes up
+ * behind a cow walks it toward the pen.
+ *
+ * Like the wolf, the dog only moves; the GameManager decides which cow it works and where the cow should go,
+ * and makes the cows run from it. There isn't any art for the dog yet either, so it is a plain Sprite that
+ * the renderer draws as a shape (see P5Renderer._drawShape()).
+ */
+
+/**
+ * Encapsulates a sheepdog.
+ */
+class Dog extends Sprite {
+  constructor({ position }) {
+    super({
+      imageName: 'dog',
+      colliderScale: Dog._colliderScale,
+
+      size: Dog._size.copy(),
+      position: position.copy(),
+      velocity: MathHelper.VECTOR_ZERO()
+    });
+
+    this._state = Dog.STATES.FOLLOWING;
+    // The position of the person the dog follows, while it is following.
+    this._heelPosition = null;
+    // While it is going around or pushing: the position of the cow the dog is working, where the cow
+    // should end up, and the position the cow should walk toward next to get there.
+    this._cowPosition = null;
+    this._cowDestination = null;
+    this._aimPosition = null;
+
+    // The grid the dog finds its way around obstacles with, like the cows do. Without one, the dog runs
+    // straight toward where it is going, and walks the cow straight toward where it should end up. route
+    // is the dog's way to where it is going, and cowRoute is the cow's way to where it should end up (see
+    // _findRoute()).
+    this._navigationGrid = null;
+    this._route = Dog._createRoute();
+    this._cowRoute = Dog._createRoute();
+  }
+
+  /**
+   * Update the position and animation variables.
+   */
+  tick({ dt }) {
+    if (this._cowPosition) {
+      this._aimPosition = this._findNextStep({
+        route: this._cowRoute, from: this._cowPosition, to: this._cowDestination, skipDistance: Dog._aimDistance, dt: dt
+      });
+    }
+    const destination = this._chooseDestination();
+    const nextStep = destination && this._findNextStep({
+      route: this._route, from: this._position, to: destination, skipDistance: Dog._arrivalDistance, dt: dt
+    });
+    const offset = nextStep ? nextStep.copy().sub(this._position) : MathHelper.VECTOR_ZERO();
+    this._velocity = offset.mag() > Dog._arrivalDistance ?
+      MathHelper.normalize({ vector: offset }).mult(Dog._runSpeed) :
+      MathHelper.VECTOR_ZERO();
+
+    // Call the parent (Sprite's) tick(dt) to have it perform the basic position calculations.
+    super.tick({ dt: dt });
+  }
+
+  /**
+   * Get the position to head toward to get from one position to another: the first corner on the way
+   * around anything in the way that is more than skipDistance away, so that corners that have almost been
+   * reached are skipped. This is used both for the dog and for the cow it is working. Returns null if there
+   * is no way there.
+   */
+  _findNextStep({ route, from, to, skipDistance, dt }) {
+    if (!this._navigationGrid) {
+      return to;
+    }
+    const path = this._findRoute({ route: route, from: from, to: to, dt: dt });
+    if (!path) {
+      return null;
+    }
+    return path.find(point => from.dist(point) > skipDistance) || path[path.length - 1];
+  }
+
+  /**
+   * Get the path from one position to another. Finding a path around the fences takes a while, too long
+   * to do every frame, so like a cow (see Cow._steerAlongPath()) the dog keeps using the path in route until
+   * the destination moves to another grid cell or it is time to look again. route is
+   * { path, cell, repathTime }, and is changed to hold the new path. The path always ends at the
+   * destination itself, even if it has moved a little within its cell.
+   */
+  _findRoute({ route, from, to, dt }) {
+    route.repathTime -= dt;
+    const cell = this._navigationGrid.getCell({ position: to });
+    if (!route.path || cell !== route.cell || route.repathTime <= 0) {
+      route.path = this._navigationGrid.findPath({ from: from, to: to });
+      route.cell = cell;
+      route.repathTime = Dog._repathInterval;
+    }
+    return route.path ? [...route.path.slice(0, -1), to.copy()] : null;
+  }
+
+  /**
+   * Decide where the dog should run to, or null if it should stand still.
+   */
+  _chooseDestination() {
+    switch (this._state) {
+      // While following, the dog runs back to the person, and waits once it is close to them.
+      case Dog.STATES.FOLLOWING:
+        if (!this._heelPosition || this._position.dist(this._heelPosition) < Dog._heelDistance) {
+          return null;
+        }
+        return this._heelPosition;
+
+      // While going around, the dog runs to the far side of the cow, away from where the cow should go, and
+      // waits there. While pushing, it does the same and then closes in behind the cow, which makes the cow
+      // walk away from it.
+      case Dog.STATES.GOING_AROUND:
+      case Dog.STATES.PUSHING:
+        return this._cowPosition && this._aimPosition ? this._chooseWorkingDestination() : null;
+
+      // While staying, the dog doesn't move at all.
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Decide where to run to while working a cow. behind is the direction from the cow to the side of it
+   * that the dog should be on. A dog that isn't behind the cow yet runs around it, keeping far enough away
+   * not to scare it: it heads for a point a little further around a circle about the cow, so it never cuts
+   * straight past the cow (and chases it the wrong way.) If a fence is in the way of going around, the dog
+   * finds its way around the fence to the far side of the cow instead.
+   */
+  _chooseWorkingDestination() {
+    const behind = this._getBehindDirection();
+    if (this._state === Dog.STATES.PUSHING && this._isBehindCow()) {
+      return this._cowPosition.copy().add(behind.mult(Dog._pushDistance));
+    }
+
+    // The signed angle from the side the dog is on to the side it should be on, then the dog turns toward
+    // it by no more than Dog._circleStep.
+    const side = MathHelper.normalize({ vector: this._position.copy().sub(this._cowPosition) });
+    const angle = Math.atan2(side.x * behind.y - side.y * behind.x, side.x * behind.x + side.y * behind.y);
+    const turn = Math.max(-Dog._circleStep, Math.min(Dog._circleStep, angle));
+    const around = Platform.createVector(
+      side.x * Math.cos(turn) - side.y * Math.sin(turn),
+      side.x * Math.sin(turn) + side.y * Math.cos(turn));
+    const aroundPosition = this._cowPosition.copy().add(around.mult(Dog._workDistance));
+    if (this._navigationGrid && !this._navigationGrid.hasClearLine({ from: this._position, to: aroundPosition })) {
+      return this._cowPosition.copy().add(behind.mult(Dog._workDistance));
+    }
+    return aroundPosition;
+  }
+
+  /**
+   * Get the direction from the cow being worked to the side of it the dog should be on, away from where
+   * the cow should walk toward.
+   */
+  _getBehindDirection() {
+    return MathHelper.normalize({ vector: this._cowPosition.copy().sub(this._aimPosition) });
+  }
+
+  /**
+   * Tests whether the dog is lined up behind the cow it is working, so that the cow would walk the right
+   * way if it ran from the dog.
+   */
+  _isBehindCow() {
+    if (!this._cowPosition || !this._aimPosition) {
+      return false;
+    }
+    const behind = this._getBehindDirection();
+    const side = MathHelper.normalize({ vector: this._position.copy().sub(this._cowPosition) });
+    return side.x * behind.x + side.y * behind.y > Dog._behindAlignment;
+  }
+
+  /**
+   * Come back and follow the person.
+   */
+  heel() {
+    this._state = Dog.STATES.FOLLOWING;
+    this.unsetCow();
+  }
+
+  /**
+   * Stay where it is until told to do something else.
+   */
+  stay() {
+    this._state = Dog.STATES.STAYING;
+    this.unsetCow();
+  }
+
+  /**
+   * Go around to the far side of a loose cow. The GameManager picks the cow (see setCow()).
+   */
+  goAround() {
+    this._state = Dog.STATES.GOING_AROUND;
+  }
+
+  /**
+   * Push a loose cow toward the pen. The GameManager picks the cow (see setCow()).
+   */
+  push() {
+    this._state = Dog.STATES.PUSHING;
+  }
+
+  /**
+   * Get what the dog is doing. It is one of the Dog.STATES.
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Tests whether the dog is close enough to a cow at the given position to make it walk away. Only a
+   * pushing dog that has got behind the cow it is working scares cows, so it doesn't chase them the wrong
+   * way while it is still going around.
+   */
+  isPressuring({ position }) {
+    return this._state === Dog.STATES.PUSHING && this._isBehindCow() &&
+      this._position.dist(position) < Dog._pressureRange;
+  }
+
+  /**
+   * Get the position of the cow the dog is working, or null if it isn't working one.
+   */
+  getCowPosition() {
+    return this._cowPosition;
+  }
+
+  /**
+   * Get where the dog is walking the cow it is working toward next, or null if it isn't working one.
+   */
+  getAimPosition() {
+    return this._aimPosition;
+  }
+
+  setNavigationGrid({ navigationGrid }) {
+    this._navigationGrid = navigationGrid;
+  }
+
+  /**
+   * Set the position of the person the dog follows.
+   */
+  setHeelPosition({ position }) {
+    this._heelPosition = position;
+  }
+
+  /**
+   * Set the position of the cow the dog is working and where the cow should end up. The dog walks the cow
+   * there around anything in the way.
+   */
+  setCow({ position, destination }) {
+    this._cowPosition = position;
+    this._cowDestination = destination;
+  }
+
+  /**
+   * Stop working a cow, and forget the cow's way to where it should end up.
+   */
+  unsetCow() {
+    this._cowPosition = null;
+    this._cowDestination = null;
+    this._aimPosition = null;
+    this._cowRoute = Dog._createRoute();
+  }
+
+  /**
+   * Save what the dog is doing too.
+   */
+  toJSON() {
+    const vectorOrNull = vector => (vector ? MathHelper.vectorToArray(vector) : null);
+    const routeToJSON = route => ({
+      path: route.path ? route.path.map(position => MathHelper.vectorToArray(position)) : null,
+      cell: route.cell,
+      repathTime: route.repathTime
+    });
+    return Object.assign(super.toJSON(), {
+      state: this._state,
+      heelPosition: vectorOrNull(this._heelPosition),
+      cowPosition: vectorOrNull(this._cowPosition),
+      cowDestination: vectorOrNull(this._cowDestination),
+      aimPosition: vectorOrNull(this._aimPosition),
+      route: routeToJSON(this._route),
+      cowRoute: routeToJSON(this._cowRoute)
+    });
+  }
+
+  _loadJSON({ data }) {
+    const vectorOrNull = array => (array ? MathHelper.vectorFromArray(array) : null);
+    const routeFromJSON = route => ({
+      path: route.path ? route.path.map(position => MathHelper.vectorFromArray(position)) : null,
+      cell: route.cell,
+      repathTime: route.repathTime
+    });
+    super._loadJSON({ data: data });
+    this._state = data.state;
+    this._heelPosition = vectorOrNull(data.heelPosition);
+    this._cowPosition = vectorOrNull(data.cowPosition);
+    this._cowDestination = vectorOrNull(data.cowDestination);
+    this._aimPosition = vectorOrNull(data.aimPosition);
+    this._route = routeFromJSON(data.route);
+    this._cowRoute = routeFromJSON(data.cowRoute);
+  }
+}
+
+/**
+ * Make a dog from a save made by Dog.toJSON().
+ */
+Dog.fromJSON = ({ data }) => {
+  const dog = new Dog({ position: MathHelper.vectorFromArray(data.position) });
+  dog._loadJSON({ data: data });
+  return dog;
+};
+
+/**
+ * Make a route that doesn't have a path yet (see Dog._findRoute()).
+ */
+Dog._createRoute = () => ({ path: null, cell: null, repathTime: 0 });
+
+/**
+ * The things a dog can be doing.
+ */
+Dog.STATES = Object.freeze({
+  // Following the person around.
+  FOLLOWING: 'following',
+  // Staying where it is.
+  STAYING: 'staying',
+  // Running around to the far side of a cow, and waiting there.
+  GOING_AROUND: 'goingAround',
+  // Walking a cow toward the pen from behind.
+  PUSHING: 'pushing'
+});
+
+/**
+ * Configure the dog's settings. The dog's animations are in the asset manifest.
+ */
+Dog.configure = () => {
+  Dog._size = MathHelper.VECTOR_ONE().mult(72);
+  // How big the dog's collider is compared to its image.
+  Dog._colliderScale = 0.3;
+
+  // The dog is faster than everything else on the ranch, even a running cow, so it can always get around
+  // one.
+  Dog._runSpeed = 60;
+  // How close the dog needs to get to where it is going to stop there.
+  Dog._arrivalDistance = 8;
+  // How close the dog stays to the person while following them, and where it starts next to them.
+  Dog._heelDistance = 40;
+  Dog._heelOffset = Platform.createVector(-30, 20);
+
+  // How far from a cow the dog keeps while going around it, and how close behind it the dog gets while
+  // pushing. Cows run from a pushing dog that is within the pressure range, which is between the two.
+  Dog._workDistance = 160;
+  Dog._pushDistance = 60;
+  Dog._pressureRange = 100;
+  // The dog walks the cow toward the first corner on its way that is at least this far from the cow.
+  Dog._aimDistance = 40;
+  // How often in seconds the dog looks for new paths for itself and the cow, even if where they are going
+  // hasn't moved.
+  Dog._repathInterval = 0.5;
+  // How far around the circle about the cow the dog heads at a time while going around it, in radians, and
+  // how nearly lined up behind the cow it has to be to start pushing (1 is exactly behind.)
+  Dog._circleStep = Math.PI / 3;
+  Dog._behindAlignment = 0.5;
+}
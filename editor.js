@@ -0,0 +1,556 @@
+/**
+ * This file has the level editor, which lets designers build levels in the browser instead of writing
+ * levels.json by hand. It can paint tiles, put down pens, mark where the cows start, and save the levels
+ * as a levels.json file to put next to the game (or load one back in to keep working on it).
+ *
+ * LevelEditor changes the level data and doesn't use p5.js, like the simulation. P5LevelEditor is the
+ * editor's screen: it reads the mouse and keyboard with p5.js and draws the toolbar.
+ */
+
+/**
+ * Edits the data of one level, in the same form as the levels in levels.json.
+ */
+class LevelEditor {
+  /**
+   * level is the level data to start from; it is copied, so the original isn't changed. defaultWorldSize
+   * is the size of the world for levels that don't give their own "worldSize".
+   */
+  constructor({ level, defaultWorldSize }) {
+    this._level = LevelEditor._copyLevel({ level: level });
+    this._worldSize = level.worldSize ? MathHelper.vectorFromArray(level.worldSize) : defaultWorldSize.copy();
+
+    const tileMap = this._level.tileMap || {};
+    this._tileMap = new TileMap({ worldSize: this._worldSize, tileSize: tileMap.tileSize, rows: tileMap.rows });
+
+    this._tool = LevelEditor.TOOLS.TILE;
+    this._tileType = TileMap.TILES.DIRT;
+  }
+
+  /**
+   * Get the level data with all the changes.
+   */
+  getLevel() {
+    return Object.assign(LevelEditor._copyLevel({ level: this._level }), { tileMap: this._tileMap.toJSON() });
+  }
+
+  /**
+   * Get the size of the level's world.
+   */
+  getWorldSize() {
+    return this._worldSize.copy();
+  }
+
+  /**
+   * Get the tiles, so they can be drawn.
+   */
+  getTileMap() {
+    return this._tileMap;
+  }
+
+  /**
+   * Get the level's fences and patches as sprites, so they can be drawn the same way as in the game.
+   */
+  getFences() {
+    return this._level.fences.map(fence => Fence.fromLevelData({ data: fence }));
+  }
+
+  getPatches() {
+    return (this._level.patches || []).map(patch => Patch.fromLevelData({ data: patch }));
+  }
+
+  /**
+   * Get the boxes where the cows start, as { position, size }. Without any, the cows start anywhere.
+   */
+  getSpawnRegions() {
+    return (this._level.cows.spawnRegions || []).map(region => ({
+      position: MathHelper.vectorFromArray(region.position),
+      size: MathHelper.vectorFromArray(region.size)
+    }));
+  }
+
+  /**
+   * Get the tool that clicking uses. It is one of the LevelEditor.TOOLS.
+   */
+  getTool() {
+    return this._tool;
+  }
+
+  setTool({ tool }) {
+    if (!Object.values(LevelEditor.TOOLS).includes(tool)) {
+      throw new Error(`Unknown tool: ${tool}`);
+    }
+    this._tool = tool;
+  }
+
+  /**
+   * Get the kind of tile that the tile tool paints. It is one of the TileMap.TILES.
+   */
+  getTileType() {
+    return this._tileType;
+  }
+
+  setTileType({ type }) {
+    if (!Object.values(TileMap.TILES).includes(type)) {
+      throw new Error(`Unknown tile type: ${type}`);
+    }
+    this._tileType = type;
+  }
+
+  /**
+   * Use the current tool at a position in the world:
+   *   TILE paints a tile.
+   *   PEN puts down a new pen, or turns the opening of the pen that was clicked to the next side.
+   *   COWS adds a place where cows start.
+   *   ERASE removes the cow start, then the pen, under the position. If there isn't one, the tile goes
+   *   back to grass.
+   */
+  click({ position }) {
+    const TOOLS = LevelEditor.TOOLS;
+    switch (this._tool) {
+      case TOOLS.TILE:
+        this._tileMap.setTile({ position: position, type: this._tileType });
+        break;
+
+      case TOOLS.PEN: {
+        const sides = LevelEditor._openingSides;
+        const fence = this._findFence({ position: position });
+        if (fence) {
+          fence.opening.side = sides[(sides.indexOf(fence.opening.side) + 1) % sides.length];
+        } else {
+          this._level.fences.push({
+            position: this._snap({ position: position }),
+            size: LevelEditor._penSize.slice(),
+            opening: { side: sides[0], width: LevelEditor._openingWidth }
+          });
+        }
+        break;
+      }
+
+      case TOOLS.COWS:
+        this._level.cows.spawnRegions = this._level.cows.spawnRegions || [];
+        this._level.cows.spawnRegions.push({
+          position: this._snap({ position: position }),
+          size: LevelEditor._spawnRegionSize.slice()
+        });
+        break;
+
+      case TOOLS.ERASE: {
+        const regions = this._level.cows.spawnRegions || [];
+        const regionIndex = regions.findIndex(region => MathHelper.positionInBounds({
+          position: position,
+          boundsPosition: MathHelper.vectorFromArray(region.position),
+          boundsSize: MathHelper.vectorFromArray(region.size)
+        }));
+        const fence = this._findFence({ position: position });
+        if (regionIndex >= 0) {
+          regions.splice(regionIndex, 1);
+        } else if (fence) {
+          this._level.fences.splice(this._level.fences.indexOf(fence), 1);
+        } else {
+          this._tileMap.setTile({ position: position, type: TileMap.TILES.GRASS });
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Use the current tool while the mouse is dragged. Only tiles are painted (or erased) by dragging, so
+   * that dragging doesn't put down a row of pens.
+   */
+  drag({ position }) {
+    if (this._tool === LevelEditor.TOOLS.TILE) {
+      this._tileMap.setTile({ position: position, type: this._tileType });
+    } else if (this._tool === LevelEditor.TOOLS.ERASE) {
+      this._tileMap.setTile({ position: position, type: TileMap.TILES.GRASS });
+    }
+  }
+
+  /**
+   * Find the data of the fence whose pen the position is in, or null if it isn't in a pen.
+   */
+  _findFence({ position }) {
+    const fence = this._level.fences.find(data => Fence.fromLevelData({ data: data }).isInside({ position: position }));
+    return fence || null;
+  }
+
+  /**
+   * Line a position up with the tiles, as an [x, y] array like the level data uses.
+   */
+  _snap({ position }) {
+    const snapped = this._tileMap.snapToTile({ position: position });
+    return [snapped.x, snapped.y];
+  }
+}
+
+/**
+ * Copy level data, so that changing the copy doesn't change the original.
+ */
+LevelEditor._copyLevel = ({ level }) => JSON.parse(JSON.stringify(level));
+
+/**
+ * The things clicking can do.
+ */
+LevelEditor.TOOLS = Object.freeze({
+  TILE: 'tile',
+  PEN: 'pen',
+  COWS: 'cows',
+  ERASE: 'erase'
+});
+
+/**
+ * Configure the editor's settings.
+ */
+LevelEditor.configure = () => {
+  // The size of a new pen, the width of its opening, and the sides the opening goes through when a pen
+  // is clicked.
+  LevelEditor._penSize = [320, 320];
+  LevelEditor._openingWidth = 100;
+  LevelEditor._openingSides = ['top', 'right', 'bottom', 'left'];
+  // The size of a new place where cows start.
+  LevelEditor._spawnRegionSize = [240, 240];
+}
+
+/**
+ * The level editor's screen. It edits one level at a time out of a list of levels. The view scrolls around
+ * the level with the same keys that move the person, clicking and dragging uses the current tool, and the
+ * toolbar along the top picks the tool and saves, loads and tries out the levels.
+ */
+class P5LevelEditor {
+  /**
+   * levels is the list of levels to edit, and levelIndex is the one to start on. onPlay is called with
+   * { level } when the "Play" button is pressed, to try out the level being edited.
+   */
+  constructor({ levels, levelIndex = 0, onPlay }) {
+    this._levels = levels.map(level => LevelEditor._copyLevel({ level: level }));
+    this._onPlay = onPlay;
+    this._isOpen = false;
+
+    // The editor has its own camera, which the player scrolls instead of it following the person.
+    this._camera = new Camera();
+    this._cameraTarget = MathHelper.VECTOR_ZERO();
+    this._viewSize = P5Renderer._logicalSize.copy();
+
+    // The LevelEditor for the level being edited.
+    this._editor = null;
+    this._editLevel({ levelIndex: levelIndex });
+  }
+
+  /**
+   * Tests whether the editor is showing. While it is, the game doesn't run.
+   */
+  isOpen() {
+    return this._isOpen;
+  }
+
+  open() {
+    this._isOpen = true;
+  }
+
+  close() {
+    this._isOpen = false;
+  }
+
+  /**
+   * Get the LevelEditor for the level being edited.
+   */
+  getEditor() {
+    return this._editor;
+  }
+
+  /**
+   * Get the editor's camera.
+   */
+  getCamera() {
+    return this._camera;
+  }
+
+  /**
+   * Get all the levels, with the changes to the level being edited.
+   */
+  getLevels() {
+    this._levels[this._levelIndex] = this._editor.getLevel();
+    return this._levels.map(level => LevelEditor._copyLevel({ level: level }));
+  }
+
+  /**
+   * Scroll the view with the player's input. viewSize is the size of the view in logical units, and dt is
+   * the time since the last frame in seconds. The actions in the input are ignored, so they don't build up
+   * while the game isn't running.
+   */
+  tick({ input, viewSize, dt }) {
+    const playerInput = input.takeInputState().getPlayer({ player: 0 });
+    this._viewSize = viewSize.copy();
+    const move = Platform.createVector(playerInput.moveX, playerInput.moveY);
+    this._cameraTarget.add(move.mult(P5LevelEditor._scrollSpeed * dt));
+    this._camera.jumpTo({ target: this._cameraTarget, worldSize: this._editor.getWorldSize(), viewSize: viewSize });
+    // The camera stays in the world, so the target does too. Otherwise scrolling past the edge would take
+    // just as long to scroll back.
+    this._cameraTarget = this._camera.getPosition();
+  }
+
+  /**
+   * This is called when the mouse button goes down. position is in logical units. Clicking a button
+   * presses it, and clicking anywhere else uses the current tool there.
+   */
+  mousePressed({ position }) {
+    const button = this._getButtons().find(button => MathHelper.positionInBounds({
+      position: position, boundsPosition: button.position, boundsSize: P5LevelEditor._buttonSize
+    }));
+    if (button) {
+      button.press();
+    } else if (!this._isOverToolbar({ position: position })) {
+      this._editor.click({ position: this._toWorld({ position: position }) });
+    }
+  }
+
+  /**
+   * This is called when the mouse moves with the button down.
+   */
+  mouseDragged({ position }) {
+    if (!this._isOverToolbar({ position: position })) {
+      this._editor.drag({ position: this._toWorld({ position: position }) });
+    }
+  }
+
+  /**
+   * This is called when a key is typed. The number keys pick the kind of tile to paint.
+   */
+  keyTyped({ key }) {
+    const tileType = Object.values(TileMap.TILES)[Number(key) - 1];
+    if (tileType) {
+      this._editor.setTool({ tool: LevelEditor.TOOLS.TILE });
+      this._editor.setTileType({ type: tileType });
+    }
+  }
+
+  /**
+   * Draw the parts of the level that aren't sprites, in world coordinates: the places where cows start.
+   */
+  drawOverlay() {
+    push();
+    rectMode(CENTER);
+    stroke(P5LevelEditor._spawnRegionColor);
+    strokeWeight(2);
+    fill(P5LevelEditor._spawnRegionFill);
+    textFont('Georgia');
+    textAlign(CENTER, CENTER);
+    textSize(P5LevelEditor._textSize);
+    this._editor.getSpawnRegions().forEach(region => {
+      rect(region.position.x, region.position.y, region.size.x, region.size.y);
+      text('Cows start here', region.position.x, region.position.y);
+    });
+    pop();
+  }
+
+  /**
+   * Draw the toolbar and the help text in the view, in logical units.
+   */
+  drawToolbar() {
+    push();
+    rectMode(CORNER);
+    textFont('Georgia');
+    textAlign(CENTER, CENTER);
+    textSize(P5LevelEditor._textSize);
+    const buttonSize = P5LevelEditor._buttonSize;
+
+    noStroke();
+    fill(P5LevelEditor._toolbarColor);
+    rect(0, 0, this._viewSize.x, P5LevelEditor._toolbarHeight);
+
+    this._getButtons().forEach(button => {
+      fill(button.isSelected ? P5LevelEditor._selectedButtonColor : P5LevelEditor._buttonColor);
+      const corner = button.position.copy().sub(buttonSize.copy().mult(0.5));
+      rect(corner.x, corner.y, buttonSize.x, buttonSize.y, P5LevelEditor._buttonCornerRadius);
+      fill(P5LevelEditor._textColor);
+      text(button.label, button.position.x, button.position.y);
+    });
+
+    const level = this._editor.getLevel();
+    textAlign(LEFT, CENTER);
+    text(
+      `Level ${this._levelIndex + 1} of ${this._levels.length}: ${level.name || 'Untitled'}. ` +
+      'Click or drag to use the tool, scroll with the arrow keys, press 1 to 5 to pick a tile, and press ' +
+      `${P5LevelEditor._toggleKey} to play.`,
+      P5LevelEditor._margin, P5LevelEditor._toolbarHeight - P5LevelEditor._textSize);
+    pop();
+  }
+
+  /**
+   * Get the toolbar's buttons, from left to right. Each has a label, its center, whether it is selected,
+   * and what happens when it is pressed.
+   */
+  _getButtons() {
+    const TOOLS = LevelEditor.TOOLS;
+    const editor = this._editor;
+    const toolButtons = [
+      ...Object.values(TileMap.TILES).map(type => ({
+        label: P5LevelEditor._tileLabels[type],
+        isSelected: editor.getTool() === TOOLS.TILE && editor.getTileType() === type,
+        press: () => {
+          editor.setTool({ tool: TOOLS.TILE });
+          editor.setTileType({ type: type });
+        }
+      })),
+      { tool: TOOLS.PEN, label: 'Pen' },
+      { tool: TOOLS.COWS, label: 'Cows' },
+      { tool: TOOLS.ERASE, label: 'Erase' }
+    ].map(button => button.tool ? {
+      label: button.label,
+      isSelected: editor.getTool() === button.tool,
+      press: () => editor.setTool({ tool: button.tool })
+    } : button);
+
+    const actionButtons = [
+      { label: '< Level', press: () => this._editLevel({ levelIndex: this._levelIndex - 1 }) },
+      { label: 'Level >', press: () => this._editLevel({ levelIndex: this._levelIndex + 1 }) },
+      { label: 'Play', press: () => this._play() },
+      { label: 'Save', press: () => this._save() },
+      { label: 'Load', press: () => this._load() }
+    ];
+
+    const buttonSize = P5LevelEditor._buttonSize;
+    const spacing = P5LevelEditor._buttonSpacing;
+    return [...toolButtons, ...actionButtons].map((button, index) => Object.assign({ isSelected: false }, button, {
+      position: Platform.createVector(
+        P5LevelEditor._margin + buttonSize.x / 2 + index * (buttonSize.x + spacing),
+        P5LevelEditor._margin + buttonSize.y / 2)
+    }));
+  }
+
+  /**
+   * Start editing another level. The changes to the current level are kept. Going past the last level
+   * adds a new, empty one.
+   */
+  _editLevel({ levelIndex }) {
+    if (this._editor) {
+      this._levels[this._levelIndex] = this._editor.getLevel();
+    }
+    if (levelIndex < 0) {
+      return;
+    }
+    if (levelIndex >= this._levels.length) {
+      this._levels.push(LevelEditor._copyLevel({ level: P5LevelEditor._newLevel }));
+      levelIndex = this._levels.length - 1;
+    }
+
+    this._levelIndex = levelIndex;
+    this._editor = new LevelEditor({
+      level: this._levels[levelIndex],
+      defaultWorldSize: GameManager._defaultWorldSize
+    });
+    this._cameraTarget = MathHelper.VECTOR_ZERO();
+  }
+
+  /**
+   * Close the editor and try out the level being edited.
+   */
+  _play() {
+    this.close();
+    this._onPlay({ level: this._editor.getLevel() });
+  }
+
+  /**
+   * Download all the levels as a levels.json file. saveJSON(...) is a p5.js function.
+   */
+  _save() {
+    saveJSON({ levels: this.getLevels() }, 'levels.json');
+  }
+
+  /**
+   * Ask for a levels.json file (or a file with a single level) and edit the levels in it. The browser's
+   * file picker is opened by clicking a file input that isn't on the page.
+   */
+  _load() {
+    const fileInput = document.createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = '.json,application/json';
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (!file) {
+        return;
+      }
+      const reader = new FileReader();
+      reader.addEventListener('load', () => {
+        try {
+          const data = JSON.parse(reader.result);
+          if (Array.isArray(data.levels)) {
+            this._levels = data.levels;
+            this._editor = null;
+            this._editLevel({ levelIndex: 0 });
+          } else {
+            this._levels[this._levelIndex] = data;
+            this._editor = null;
+            this._editLevel({ levelIndex: this._levelIndex });
+          }
+        } catch (error) {
+          console.error(`Couldn't load ${file.name}: ${error.message}`);
+        }
+      });
+      reader.readAsText(file);
+    });
+    fileInput.click();
+  }
+
+  /**
+   * Tests whether a position in the view is on the toolbar, where clicks don't reach the level.
+   */
+  _isOverToolbar({ position }) {
+    return position.y < P5LevelEditor._toolbarHeight;
+  }
+
+  /**
+   * Turn a position in the view into a position in the world.
+   */
+  _toWorld({ position }) {
+    return this._camera.getPosition().add(position).sub(this._viewSize.copy().mult(0.5));
+  }
+}
+
+/**
+ * The key that opens and closes the editor. Closing it plays the edited levels from the start.
+ */
+P5LevelEditor._toggleKey = 'E';
+
+/**
+ * The level that is added when going past the last level: an empty field with one pen and three cows.
+ */
+P5LevelEditor._newLevel = {
+  name: 'New Level',
+  description: 'Bring the cows home!',
+  fences: [{ position: [0, 0], size: [320, 320], opening: { side: 'top', width: 100 } }],
+  cows: { count: 3 },
+  goal: { type: 'allCowsPenned' }
+};
+
+/**
+ * Set up the size and look of the editor's screen. color() is a p5.js function, so this is called from
+ * preload().
+ */
+P5LevelEditor.configure = () => {
+  LevelEditor.configure();
+
+  // How fast the view scrolls, in logical units per second.
+  P5LevelEditor._scrollSpeed = 600;
+
+  P5LevelEditor._margin = 12;
+  P5LevelEditor._buttonSize = Platform.createVector(82, 30);
+  P5LevelEditor._buttonSpacing = 6;
+  P5LevelEditor._buttonCornerRadius = 4;
+  P5LevelEditor._toolbarHeight = 80;
+  P5LevelEditor._textSize = 14;
+  P5LevelEditor._tileLabels = {
+    [TileMap.TILES.GRASS]: '1 Grass',
+    [TileMap.TILES.DIRT]: '2 Dirt',
+    [TileMap.TILES.WATER]: '3 Water',
+    [TileMap.TILES.TREE]: '4 Trees',
+    [TileMap.TILES.FENCE]: '5 Fence'
+  };
+
+  P5LevelEditor._toolbarColor = color(0, 0, 0, 160);
+  P5LevelEditor._buttonColor = color(255, 255, 255, 60);
+  P5LevelEditor._selectedButtonColor = color(255, 200, 0, 160);
+  P5LevelEditor._textColor = color(255, 255, 255, 230);
+  P5LevelEditor._spawnRegionColor = color(255, 255, 255, 180);
+  P5LevelEditor._spawnRegionFill = color(255, 255, 255, 40);
+}
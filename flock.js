@@ -0,0 +1,179 @@
+/**
+ * This file makes the cows act like a herd. It uses the "boids" rules: each cow steers away from cows that
+ * are too close (separation), steers the same way as the cows around it (alignment) and steers toward the
+ * middle of the cows around it (cohesion). Cows also keep their distance from the person, so sprites
+ * don't stack on top of each other.
+ */
+
+/**
+ * A group of cows that steer together. Every cow in a level belongs to the level's flock.
+ */
+class Flock {
+  /**
+   * settings can change any of the values in Flock._defaultSettings, for example
+   * { flocking: true, cohesionWeight: 0.5 }. Levels set them with "flock". collisionWorld is optional; if
+   * it is given, its spatial hash is used to find nearby cows quickly.
+   */
+  constructor({ settings = {}, collisionWorld = null } = {}) {
+    this._settings = Object.assign({}, Flock._defaultSettings, settings);
+    this._collisionWorld = collisionWorld;
+    this._cows = [];
+    // The same cows in a Set, to quickly check whether a sprite is in the flock.
+    this._cowSet = new Set();
+    this._avoidedSprites = [];
+  }
+
+  /**
+   * Set the cows in the flock.
+   */
+  setCows({ cows }) {
+    this._cows = cows.slice();
+    this._cowSet = new Set(cows);
+  }
+
+  /**
+   * Set the other sprites (like the person) that the cows should keep their distance from.
+   */
+  setAvoidedSprites({ sprites }) {
+    this._avoidedSprites = sprites.slice();
+  }
+
+  /**
+   * Get the settings the flock is using.
+   */
+  getSettings() {
+    return Object.assign({}, this._settings);
+  }
+
+  /**
+   * Get the middle of the other cows within radius of the cow, or null if there aren't any.
+   */
+  getNeighborCenter({ cow, radius }) {
+    const neighbors = this._neighbors({ cow: cow, radius: radius });
+    if (neighbors.length === 0) {
+      return null;
+    }
+
+    const center = MathHelper.VECTOR_ZERO();
+    neighbors.forEach(otherCow => center.add(otherCow.getPosition()));
+    return center.mult(1 / neighbors.length);
+  }
+
+  /**
+   * Adjust the velocity that a cow wants to move with so that it moves with the flock. isFollowing is
+   * true if the cow is following a target; following cows only keep their distance and don't flock,
+   * so that they stay in line. Returns the new velocity.
+   */
+  steer({ cow, velocity, maxSpeed, isFollowing }) {
+    const settings = this._settings;
+    const steeredVelocity = velocity.copy().add(this._separation({ cow: cow }).mult(maxSpeed));
+
+    if (settings.flocking && !isFollowing) {
+      steeredVelocity.add(this._alignment({ cow: cow }));
+      steeredVelocity.add(this._cohesion({ cow: cow }).mult(maxSpeed));
+    }
+
+    // Don't let the cow move faster than it is able to, and don't let tiny pushes make it shuffle about.
+    const speed = steeredVelocity.mag();
+    if (speed < settings.minSpeed) {
+      return MathHelper.VECTOR_ZERO();
+    }
+    if (speed > maxSpeed) {
+      steeredVelocity.mult(maxSpeed / speed);
+    }
+    return steeredVelocity;
+  }
+
+  /**
+   * Get the other cows that are within the given distance of the cow.
+   */
+  _neighbors({ cow, radius }) {
+    const position = cow.getPosition();
+    if (this._collisionWorld) {
+      return this._collisionWorld.findSpritesNear({ position: position, radius: radius })
+        .filter(sprite => sprite !== cow && this._cowSet.has(sprite));
+    }
+    return this._cows.filter(otherCow => otherCow !== cow && otherCow.getPosition().dist(position) < radius);
+  }
+
+  /**
+   * Separation: a push away from any cows or avoided sprites that are too close. The push is stronger the
+   * closer they are. Returns a vector with a length of about 0 to separationWeight.
+   */
+  _separation({ cow }) {
+    const settings = this._settings;
+    const position = cow.getPosition();
+    const push = MathHelper.VECTOR_ZERO();
+
+    const addPush = ({ otherPosition, radius }) => {
+      const away = position.copy().sub(otherPosition);
+      const distance = away.mag();
+      if (distance >= radius) { return; }
+
+      // If the two are exactly on top of each other, there is no direction to push in, so pick one.
+      if (distance === 0) {
+        away.x = 1;
+      }
+      push.add(MathHelper.normalize({ vector: away }).mult(1 - distance / radius));
+    };
+
+    this._neighbors({ cow: cow, radius: settings.separationRadius }).forEach(otherCow =>
+      addPush({ otherPosition: otherCow.getPosition(), radius: settings.separationRadius }));
+    this._avoidedSprites.forEach(sprite =>
+      addPush({ otherPosition: sprite.getPosition(), radius: settings.avoidRadius }));
+
+    return push.mult(settings.separationWeight);
+  }
+
+  /**
+   * Alignment: the average velocity of the nearby cows, scaled by alignmentWeight.
+   */
+  _alignment({ cow }) {
+    const neighbors = this._neighbors({ cow: cow, radius: this._settings.neighborRadius });
+    if (neighbors.length === 0) {
+      return MathHelper.VECTOR_ZERO();
+    }
+
+    const averageVelocity = MathHelper.VECTOR_ZERO();
+    neighbors.forEach(otherCow => averageVelocity.add(otherCow.getVelocity()));
+    return averageVelocity.mult(this._settings.alignmentWeight / neighbors.length);
+  }
+
+  /**
+   * Cohesion: a pull toward the middle of the nearby cows. Returns a vector with a length of about 0 to
+   * cohesionWeight.
+   */
+  _cohesion({ cow }) {
+    const center = this.getNeighborCenter({ cow: cow, radius: this._settings.neighborRadius });
+    if (!center) {
+      return MathHelper.VECTOR_ZERO();
+    }
+
+    // The pull gets weaker as the cow gets closer to the middle, so that it doesn't overshoot.
+    const toCenter = center.sub(cow.getPosition());
+    const strength = Math.min(toCenter.mag() / this._settings.neighborRadius, 1);
+    return MathHelper.normalize({ vector: toCenter }).mult(strength * this._settings.cohesionWeight);
+  }
+}
+
+/**
+ * Configure the default flock settings.
+ */
+Flock.configure = () => {
+  Flock._defaultSettings = {
+    // Whether loose cows drift together as a herd (alignment and cohesion). Separation always happens.
+    flocking: false,
+    // How close another cow needs to be to count as part of the cow's herd.
+    neighborRadius: 160,
+    // How close another cow can get before the cow moves away from it.
+    separationRadius: 60,
+    // How close the person can get before the cow moves away from them.
+    avoidRadius: 36,
+    // How strongly each rule steers the cow.
+    separationWeight: 1.5,
+    alignmentWeight: 0.4,
+    cohesionWeight: 0.3,
+    // Cows slower than this stand still instead.
+    minSpeed: 2
+  };
+}
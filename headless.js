@@ -0,0 +1,132 @@
+/**
+ * This runs the game simulation in Node, without a browser or p5.js. It can be used as a module to build
+ * tests and tools on top of the simulation, or run from the command line:
+ *
+ *   node headless.js [--seconds 10] [--seed 123]
+ *     Plays the levels for the given number of seconds without pressing any keys and prints where
+ *     everything ended up.
+ *
+ *   node headless.js --save save.json [--seconds 10]
+ *     Carries on a game saved from the browser, without pressing any keys, and prints where everything
+ *     ended up.
+ *
+ *   node headless.js --replay replay.json
+ *     Plays back a replay saved from the browser and checks that it ends up exactly where the recording did.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * The simulation files, in the same order that index.html loads them.
+ */
+const SIMULATION_SCRIPTS = [
+  'strings.js', 'simulation.js', 'collision.js', 'tilemap.js', 'pathfinding.js', 'flock.js', 'wolf.js', 'dog.js',
+  'weather.js', 'replay.js', 'scoring.js', 'savegame.js'
+];
+
+/**
+ * Load the simulation scripts the same way the browser does: as plain scripts that share one global
+ * scope, and give them the animations from the asset manifest. Returns the simulation's classes.
+ */
+const loadSimulation = () => {
+  const context = vm.createContext({ console: console });
+  SIMULATION_SCRIPTS.forEach(script => {
+    const fileName = path.join(__dirname, script);
+    vm.runInContext(fs.readFileSync(fileName, 'utf8'), context, { filename: fileName });
+  });
+
+  const simulation = vm.runInContext(
+    `({
+      GameManager, FixedTimestepLoop, Sprite, AnimatingSprite, Cow, Person, Wolf, Dog, Fence, Patch, InputState, Vector,
+      Platform, SeededRandom, MathHelper, SpatialHash, CollisionWorld, TileMap, PriorityQueue, NavigationGrid,
+      Flock, DayClock, Weather, ReplayRecorder, ReplayPlayer, HighScoreTable, SaveSlot, Localization
+    })`,
+    context);
+  simulation.GameManager.configure();
+  simulation.AnimatingSprite.setSpriteSheets({ spriteSheets: loadAssetManifest().spriteSheets });
+  return simulation;
+};
+
+/**
+ * Load the asset manifest from assets.json. Only the sprite sheets' animations matter without a browser,
+ * since nothing is drawn.
+ */
+const loadAssetManifest = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'assets.json'), 'utf8'));
+
+/**
+ * Load the levels from levels.json.
+ */
+const loadLevels = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'levels.json'), 'utf8')).levels;
+
+/**
+ * Create a GameManager that is ready to tick. worldSize is an [x, y] array.
+ */
+const createGame = ({ simulation = loadSimulation(), worldSize = [1280, 800], levels = loadLevels(), seed } = {}) => {
+  const gameManager = new simulation.GameManager({
+    worldSize: simulation.MathHelper.vectorFromArray(worldSize),
+    levels: levels,
+    seed: seed
+  });
+  gameManager.setup();
+  return gameManager;
+};
+
+/**
+ * Play a replay from start to finish. Returns the GameManager at the end and whether it matches the
+ * recording.
+ */
+const playReplay = ({ simulation = loadSimulation(), replay }) => {
+  const player = new simulation.ReplayPlayer({ replay: replay });
+  const gameManager = player.createGameManager();
+  const loop = new simulation.FixedTimestepLoop({ gameManager: gameManager });
+
+  while (!player.isFinished()) {
+    loop.advance({ elapsedTime: simulation.GameManager._timestep, inputSource: player });
+  }
+  return { gameManager: gameManager, matches: player.matchesRecording({ gameManager: gameManager }) };
+};
+
+/**
+ * Print where every game object is.
+ */
+const printGame = ({ gameManager }) => {
+  gameManager.getAllSprites().forEach(sprite => {
+    const position = sprite.getPosition();
+    console.log(`${sprite.constructor.name.padEnd(8)} ${position.x.toFixed(1)}, ${position.y.toFixed(1)}`);
+  });
+  console.log(gameManager.getDescriptionText());
+  console.log(`seed ${gameManager.getSeed()}, state hash ${gameManager.getStateHash()}`);
+};
+
+module.exports = { SIMULATION_SCRIPTS, loadSimulation, loadAssetManifest, loadLevels, createGame, playReplay };
+
+if (require.main === module) {
+  // Read "--name value" pairs from the command line.
+  const options = {};
+  for (let i = 2; i < process.argv.length; i += 2) {
+    options[process.argv[i].replace(/^--/, '')] = process.argv[i + 1];
+  }
+
+  const simulation = loadSimulation();
+
+  if (options.replay) {
+    const replay = JSON.parse(fs.readFileSync(options.replay, 'utf8'));
+    const { gameManager, matches } = playReplay({ simulation: simulation, replay: replay });
+    printGame({ gameManager: gameManager });
+    console.log(matches ? 'The replay matches the recording.' : 'The replay does not match the recording!');
+    process.exitCode = matches ? 0 : 1;
+  } else {
+    const seconds = Number(options.seconds || 10);
+    const gameManager = options.save ?
+      simulation.GameManager.fromJSON({ data: JSON.parse(fs.readFileSync(options.save, 'utf8')) }) :
+      createGame({ simulation: simulation, seed: options.seed === undefined ? undefined : Number(options.seed) });
+    const loop = new simulation.FixedTimestepLoop({ gameManager: gameManager });
+    const inputSource = { takeInputState: () => new simulation.InputState() };
+
+    for (let time = 0; time < seconds; time += simulation.GameManager._timestep) {
+      loop.advance({ elapsedTime: simulation.GameManager._timestep, inputSource: inputSource });
+    }
+    printGame({ gameManager: gameManager });
+  }
+}
@@ -0,0 +1,642 @@
+/**
+ * This file reads the player's input in the browser and turns it into an InputState for the GameManager.
+ * The player can use the keyboard, a gamepad or the touch screen, all at the same time. The keys and
+ * buttons for moving and for each of the GameManager.ACTIONS are bindings that can be changed. A second
+ * player can join with their own keys on the same keyboard, or with a second gamepad.
+ *
+ * The keyboard and touch screen are read with p5.js, and gamepads with the browser's Gamepad API.
+ */
+
+/**
+ * The keys and gamepad buttons that are bound to moving and to each action. The bindings can be saved to
+ * any storage that works like the browser's localStorage, so changes stay between visits to the page.
+ *
+ * Keys are the names that the browser gives them (like "a", " " or "arrowleft"), in lower case. Gamepad
+ * buttons are numbers in the browser's standard gamepad layout, where 0 is the bottom face button (A on an
+ * Xbox controller) and 12 to 15 are the d-pad.
+ */
+class InputBindings {
+  /**
+   * storage is optional. Without it, changed bindings are only kept until the page is closed.
+   */
+  constructor({ storage = null } = {}) {
+    this._storage = storage;
+    this._bindings = this._load();
+  }
+
+  /**
+   * Get the keys bound to a binding. binding is one of the InputBindings.MOVES, GameManager.ACTIONS or
+   * InputBindings.PLAYER_TWO.
+   */
+  getKeys({ binding }) {
+    return this._bindings.keys[binding].slice();
+  }
+
+  /**
+   * Get the gamepad buttons bound to a binding.
+   */
+  getGamepadButtons({ binding }) {
+    return this._bindings.gamepadButtons[binding].slice();
+  }
+
+  /**
+   * Bind a different set of keys to a binding, for example
+   * rebindKeys({ binding: GameManager.ACTIONS.LEAD, keys: ['e', 'enter'] }).
+   */
+  rebindKeys({ binding, keys }) {
+    this._checkBinding({ binding: binding });
+    this._bindings.keys[binding] = keys.map(key => key.toLowerCase());
+    this._save();
+  }
+
+  /**
+   * Bind a different set of gamepad buttons to a binding.
+   */
+  rebindGamepadButtons({ binding, buttons }) {
+    this._checkBinding({ binding: binding });
+    this._bindings.gamepadButtons[binding] = buttons.slice();
+    this._save();
+  }
+
+  /**
+   * Go back to the default bindings.
+   */
+  resetToDefaults() {
+    this._bindings = InputBindings._copyBindings({ bindings: InputBindings._defaultBindings });
+    this._save();
+  }
+
+  /**
+   * Get the bindings that a key is bound to.
+   */
+  findBindingsForKey({ key }) {
+    const keyName = key.toLowerCase();
+    return Object.keys(this._bindings.keys).filter(binding => this._bindings.keys[binding].includes(keyName));
+  }
+
+  /**
+   * Throw an error if binding isn't one of the moves or actions.
+   */
+  _checkBinding({ binding }) {
+    if (!(binding in InputBindings._defaultBindings.keys)) {
+      throw new Error(`Unknown input binding: ${binding}`);
+    }
+  }
+
+  /**
+   * Load the bindings from the storage. Anything that isn't saved uses the default bindings, so that new
+   * actions still work for players who saved their bindings before the actions were added.
+   */
+  _load() {
+    const bindings = InputBindings._copyBindings({ bindings: InputBindings._defaultBindings });
+    if (!this._storage) {
+      return bindings;
+    }
+
+    try {
+      const saved = JSON.parse(this._storage.getItem(InputBindings._storageKey)) || {};
+      ['keys', 'gamepadButtons'].forEach(kind => {
+        Object.keys(bindings[kind]).forEach(binding => {
+          if (saved[kind] && Array.isArray(saved[kind][binding])) {
+            bindings[kind][binding] = saved[kind][binding];
+          }
+        });
+      });
+    } catch (error) {
+      // Like the high scores, the game should still work if the bindings can't be read.
+      console.warn(`Could not load the input bindings: ${error}`);
+    }
+    return bindings;
+  }
+
+  /**
+   * Save the bindings to the storage.
+   */
+  _save() {
+    if (!this._storage) {
+      return;
+    }
+
+    try {
+      this._storage.setItem(InputBindings._storageKey, JSON.stringify(this._bindings));
+    } catch (error) {
+      console.warn(`Could not save the input bindings: ${error}`);
+    }
+  }
+}
+
+/**
+ * Make a copy of a set of bindings, so that changing the copy doesn't change the original.
+ */
+InputBindings._copyBindings = ({ bindings }) => JSON.parse(JSON.stringify(bindings));
+
+/**
+ * The bindings for moving. They are held down, unlike the GameManager.ACTIONS which are pressed once.
+ */
+InputBindings.MOVES = Object.freeze({
+  LEFT: 'moveLeft',
+  RIGHT: 'moveRight',
+  UP: 'moveUp',
+  DOWN: 'moveDown'
+});
+
+/**
+ * The second player's keys for moving and for the actions they can do. Starting and pausing the game use
+ * the same keys for everyone, and a second gamepad uses the same buttons as the first one.
+ */
+InputBindings.PLAYER_TWO = Object.freeze({
+  LEFT: 'playerTwoMoveLeft',
+  RIGHT: 'playerTwoMoveRight',
+  UP: 'playerTwoMoveUp',
+  DOWN: 'playerTwoMoveDown',
+  LEAD: 'playerTwoLead',
+  RELEASE_HERD: 'playerTwoReleaseHerd',
+  DOG_AROUND: 'playerTwoDogAround',
+  DOG_PUSH: 'playerTwoDogPush',
+  DOG_STAY: 'playerTwoDogStay',
+  DOG_HEEL: 'playerTwoDogHeel'
+});
+
+/**
+ * Set up the default bindings.
+ */
+InputBindings.configure = () => {
+  const MOVES = InputBindings.MOVES;
+  const ACTIONS = GameManager.ACTIONS;
+  const PLAYER_TWO = InputBindings.PLAYER_TWO;
+
+  InputBindings._defaultBindings = {
+    // The arrow keys and WASD both move. Once a second player joins (by pressing / or .), the arrow keys
+    // are theirs, and the first player keeps WASD. The number keys above WASD command the first player's
+    // dog, and the ones on the right command the second player's.
+    keys: {
+      [MOVES.LEFT]: ['arrowleft', 'a'],
+      [MOVES.RIGHT]: ['arrowright', 'd'],
+      [MOVES.UP]: ['arrowup', 'w'],
+      [MOVES.DOWN]: ['arrowdown', 's'],
+      [ACTIONS.LEAD]: [' '],
+      [ACTIONS.RELEASE_HERD]: ['x'],
+      [ACTIONS.PAUSE]: ['p', 'escape'],
+      [ACTIONS.START]: ['enter'],
+      [ACTIONS.DOG_AROUND]: ['1'],
+      [ACTIONS.DOG_PUSH]: ['2'],
+      [ACTIONS.DOG_STAY]: ['3'],
+      [ACTIONS.DOG_HEEL]: ['4'],
+      [PLAYER_TWO.LEFT]: ['arrowleft'],
+      [PLAYER_TWO.RIGHT]: ['arrowright'],
+      [PLAYER_TWO.UP]: ['arrowup'],
+      [PLAYER_TWO.DOWN]: ['arrowdown'],
+      [PLAYER_TWO.LEAD]: ['/'],
+      [PLAYER_TWO.RELEASE_HERD]: ['.'],
+      [PLAYER_TWO.DOG_AROUND]: ['7'],
+      [PLAYER_TWO.DOG_PUSH]: ['8'],
+      [PLAYER_TWO.DOG_STAY]: ['9'],
+      [PLAYER_TWO.DOG_HEEL]: ['0']
+    },
+    // The d-pad moves (as well as the left stick), A leads, X releases the herd, Start pauses and Back
+    // (or Select) starts over. Y sends the dog around, B has it push, and the left and right bumpers tell
+    // it to stay and to heel. The second player's keyboard bindings don't have buttons.
+    gamepadButtons: {
+      [MOVES.LEFT]: [14],
+      [MOVES.RIGHT]: [15],
+      [MOVES.UP]: [12],
+      [MOVES.DOWN]: [13],
+      [ACTIONS.LEAD]: [0],
+      [ACTIONS.RELEASE_HERD]: [2],
+      [ACTIONS.PAUSE]: [9],
+      [ACTIONS.START]: [8],
+      [ACTIONS.DOG_AROUND]: [3],
+      [ACTIONS.DOG_PUSH]: [1],
+      [ACTIONS.DOG_STAY]: [4],
+      [ACTIONS.DOG_HEEL]: [5],
+      [PLAYER_TWO.LEFT]: [],
+      [PLAYER_TWO.RIGHT]: [],
+      [PLAYER_TWO.UP]: [],
+      [PLAYER_TWO.DOWN]: [],
+      [PLAYER_TWO.LEAD]: [],
+      [PLAYER_TWO.RELEASE_HERD]: [],
+      [PLAYER_TWO.DOG_AROUND]: [],
+      [PLAYER_TWO.DOG_PUSH]: [],
+      [PLAYER_TWO.DOG_STAY]: [],
+      [PLAYER_TWO.DOG_HEEL]: []
+    }
+  };
+
+  // The name the bindings are saved under.
+  InputBindings._storageKey = 'shelleys-ranch.inputBindings';
+}
+
+/**
+ * This reads one of the connected gamepads with the browser's Gamepad API. The API doesn't have events for
+ * buttons, so the gamepad is read every frame and a button counts as pressed when it goes down.
+ */
+class GamepadInput {
+  /**
+   * index is which of the connected gamepads to read: 0 for the first one, 1 for the second, and so on.
+   */
+  constructor({ bindings, index = 0 }) {
+    this._bindings = bindings;
+    this._index = index;
+    // Which buttons were down last frame, so that a held button only does its action once.
+    this._wasButtonDown = [];
+  }
+
+  /**
+   * Read the gamepad. Returns { moveX, moveY, actions } like an InputState. If there is no gamepad, it
+   * doesn't move or do anything.
+   */
+  read() {
+    const gamepad = GamepadInput._findGamepad({ index: this._index });
+    if (!gamepad) {
+      this._wasButtonDown = [];
+      return { moveX: 0, moveY: 0, actions: [] };
+    }
+
+    const isButtonDown = gamepad.buttons.map(button => button.pressed);
+    const isBindingDown = binding =>
+      this._bindings.getGamepadButtons({ binding: binding }).some(button => isButtonDown[button]);
+
+    // The left stick, plus the d-pad.
+    const MOVES = InputBindings.MOVES;
+    const moveX = GamepadInput._applyDeadZone({ value: gamepad.axes[0] || 0 }) +
+      (isBindingDown(MOVES.RIGHT) ? 1 : 0) - (isBindingDown(MOVES.LEFT) ? 1 : 0);
+    const moveY = GamepadInput._applyDeadZone({ value: gamepad.axes[1] || 0 }) +
+      (isBindingDown(MOVES.DOWN) ? 1 : 0) - (isBindingDown(MOVES.UP) ? 1 : 0);
+
+    // The actions whose buttons went down this frame.
+    const actions = Object.values(GameManager.ACTIONS).filter(action =>
+      this._bindings.getGamepadButtons({ binding: action }).some(button =>
+        isButtonDown[button] && !this._wasButtonDown[button]));
+
+    this._wasButtonDown = isButtonDown;
+    return { moveX: moveX, moveY: moveY, actions: actions };
+  }
+}
+
+/**
+ * Find the connected gamepad with the given index, or null if there aren't that many. Gamepads that have
+ * been unplugged are skipped. Some browsers don't have the Gamepad API at all.
+ */
+GamepadInput._findGamepad = ({ index }) => {
+  if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+    return null;
+  }
+  const gamepads = Array.from(navigator.getGamepads()).filter(gamepad => gamepad && gamepad.connected);
+  return gamepads[index] || null;
+};
+
+/**
+ * Sticks never rest exactly at 0, so values close to 0 are treated as 0. The rest of the range is
+ * stretched so that the value still goes smoothly from 0 to 1.
+ */
+GamepadInput._applyDeadZone = ({ value }) => {
+  const deadZone = GamepadInput._deadZone;
+  if (Math.abs(value) < deadZone) {
+    return 0;
+  }
+  return Math.sign(value) * (Math.abs(value) - deadZone) / (1 - deadZone);
+};
+
+/**
+ * How far a stick has to be pushed before it counts.
+ */
+GamepadInput._deadZone = 0.2;
+
+/**
+ * The on-screen controls for touch screens: a virtual joystick and some buttons. Touching anywhere on the
+ * left half of the screen puts the joystick there, and dragging away from that point moves. The buttons
+ * are in the corners on the right, with the dog's commands above the buttons for leading. The controls are
+ * only drawn once the screen has been touched, so they don't get in the way with a keyboard.
+ *
+ * Touches are p5.js touches: { x, y, id } in screen coordinates.
+ */
+class TouchControls {
+  constructor() {
+    this._isActive = false;
+    // The touch that is moving the joystick: { id, origin, position }, or null.
+    this._joystick = null;
+    // The ids of touches that have already been handled, so each touch only presses a button once.
+    this._knownTouchIds = new Set();
+    // The actions that were pressed since the last frame.
+    this._actions = [];
+  }
+
+  /**
+   * This is called when a finger touches the screen. touches is every touch that is on the screen.
+   */
+  touchStarted({ touches }) {
+    touches.filter(touch => !this._knownTouchIds.has(touch.id)).forEach(touch => {
+      this._isActive = true;
+      this._knownTouchIds.add(touch.id);
+
+      const touchedButton = this._getButtons().find(button => button.position.dist(
+        Platform.createVector(touch.x, touch.y)) < button.radius);
+      if (touchedButton) {
+        this._actions.push(touchedButton.action);
+      } else if (!this._joystick && touch.x < width / 2) {
+        // width is the p5.js width of the canvas.
+        this._joystick = {
+          id: touch.id,
+          origin: Platform.createVector(touch.x, touch.y),
+          position: Platform.createVector(touch.x, touch.y)
+        };
+      }
+    });
+  }
+
+  /**
+   * This is called when a finger moves on the screen.
+   */
+  touchMoved({ touches }) {
+    const joystickTouch = this._joystick && touches.find(touch => touch.id === this._joystick.id);
+    if (joystickTouch) {
+      this._joystick.position = Platform.createVector(joystickTouch.x, joystickTouch.y);
+    }
+  }
+
+  /**
+   * This is called when a finger leaves the screen. touches is every touch that is still on the screen.
+   */
+  touchEnded({ touches }) {
+    const touchIds = new Set(touches.map(touch => touch.id));
+    this._knownTouchIds.forEach(id => {
+      if (!touchIds.has(id)) {
+        this._knownTouchIds.delete(id);
+      }
+    });
+    if (this._joystick && !touchIds.has(this._joystick.id)) {
+      this._joystick = null;
+    }
+  }
+
+  /**
+   * Get the direction the joystick is pushed in. Its length goes from 0 in the middle to 1 at the edge of
+   * the joystick.
+   */
+  getMove() {
+    if (!this._joystick) {
+      return MathHelper.VECTOR_ZERO();
+    }
+
+    const move = this._joystick.position.copy().sub(this._joystick.origin).mult(1 / TouchControls._joystickRadius);
+    return move.mag() > 1 ? MathHelper.normalize({ vector: move }) : move;
+  }
+
+  /**
+   * Get the actions that were pressed since the last frame, and forget them.
+   */
+  takeActions() {
+    const actions = this._actions;
+    this._actions = [];
+    return actions;
+  }
+
+  /**
+   * Draw the joystick and buttons with p5.js, if the screen has been touched.
+   */
+  draw() {
+    if (!this._isActive) {
+      return;
+    }
+
+    push();
+    noStroke();
+    textFont('Georgia');
+    textAlign(CENTER, CENTER);
+
+    if (this._joystick) {
+      // The base of the joystick, and the knob that follows the finger.
+      const knob = this._joystick.origin.copy().add(this.getMove().mult(TouchControls._joystickRadius));
+      fill(TouchControls._controlColor);
+      circle(this._joystick.origin.x, this._joystick.origin.y, TouchControls._joystickRadius * 2);
+      circle(knob.x, knob.y, TouchControls._joystickRadius);
+    }
+
+    this._getButtons().forEach(button => {
+      fill(TouchControls._controlColor);
+      circle(button.position.x, button.position.y, button.radius * 2);
+      fill(TouchControls._labelColor);
+      textSize(button.radius / 2);
+      text(button.label, button.position.x, button.position.y);
+    });
+    pop();
+  }
+
+  /**
+   * Get the buttons and where they are. They are worked out from the size of the canvas each time, so
+   * that they stay in the corners when the window changes size.
+   */
+  _getButtons() {
+    const margin = TouchControls._margin;
+    const bigRadius = TouchControls._bigButtonRadius;
+    const smallRadius = TouchControls._smallButtonRadius;
+
+    // The dog's commands are two rows of two, lined up with the Lead and Let go buttons below them.
+    const dogColumns = [width - margin - bigRadius, width - margin * 2 - bigRadius * 2 - smallRadius];
+    const dogBottomRow = height - margin * 2 - bigRadius * 2 - smallRadius;
+    const dogRows = [dogBottomRow, dogBottomRow - margin - smallRadius * 2];
+    const dogButtons = [
+      { action: GameManager.ACTIONS.DOG_AROUND, key: 'touchDogAround', column: 1, row: 1 },
+      { action: GameManager.ACTIONS.DOG_PUSH, key: 'touchDogPush', column: 0, row: 1 },
+      { action: GameManager.ACTIONS.DOG_STAY, key: 'touchDogStay', column: 1, row: 0 },
+      { action: GameManager.ACTIONS.DOG_HEEL, key: 'touchDogHeel', column: 0, row: 0 }
+    ].map(({ action, key, column, row }) => ({
+      action: action,
+      label: Localization.getText({ key: key }),
+      radius: smallRadius,
+      position: Platform.createVector(dogColumns[column], dogRows[row])
+    }));
+
+    return [
+      {
+        action: GameManager.ACTIONS.LEAD,
+        label: Localization.getText({ key: 'touchLead' }),
+        radius: bigRadius,
+        position: Platform.createVector(width - margin - bigRadius, height - margin - bigRadius)
+      },
+      {
+        action: GameManager.ACTIONS.RELEASE_HERD,
+        label: Localization.getText({ key: 'touchReleaseHerd' }),
+        radius: smallRadius,
+        position: Platform.createVector(width - margin * 2 - bigRadius * 2 - smallRadius, height - margin - smallRadius)
+      },
+      {
+        action: GameManager.ACTIONS.PAUSE,
+        label: Localization.getText({ key: 'touchPause' }),
+        radius: smallRadius,
+        position: Platform.createVector(width - margin - smallRadius, margin + smallRadius)
+      },
+      ...dogButtons
+    ];
+  }
+}
+
+/**
+ * Set up the size and look of the touch controls. color() is a p5.js function, so this is called from
+ * preload().
+ */
+TouchControls.configure = () => {
+  TouchControls._joystickRadius = 60;
+  TouchControls._bigButtonRadius = 48;
+  TouchControls._smallButtonRadius = 32;
+  TouchControls._margin = 24;
+  TouchControls._controlColor = color(255, 255, 255, 80);
+  TouchControls._labelColor = color(255, 255, 255, 220);
+}
+
+/**
+ * This puts the keyboard, the gamepads and the touch controls together into one InputState each frame.
+ * The first player uses the first gamepad and the touch controls, and the second player uses the second
+ * gamepad. Both share the keyboard.
+ */
+class P5Input {
+  constructor({ bindings = new InputBindings() } = {}) {
+    this._bindings = bindings;
+    this._gamepads = [
+      new GamepadInput({ bindings: bindings }),
+      new GamepadInput({ bindings: bindings, index: 1 })
+    ];
+    this._touchControls = new TouchControls();
+
+    // The keys that are held down, in lower case, and the actions that each player pressed since the last
+    // frame.
+    this._heldKeys = new Set();
+    this._actions = [[], []];
+    // Whether the second player has pressed anything yet. Until then, the game only has one player, and keys
+    // that are bound to both players (like the arrow keys) move the first player.
+    this._hasPlayerTwo = false;
+  }
+
+  /**
+   * Tell the input how many players are in the game, when a new game starts or a saved one is loaded.
+   */
+  setPlayerCount({ playerCount }) {
+    this._hasPlayerTwo = playerCount > 1;
+  }
+
+  /**
+   * Get the touch controls, so that they can be drawn and sent touches.
+   */
+  getTouchControls() {
+    return this._touchControls;
+  }
+
+  /**
+   * This is called when a key goes down. Returns true if the key is bound to something, so that the
+   * browser doesn't also use it (for example, to scroll the page with the space bar.)
+   */
+  keyPressed({ key }) {
+    const keyName = key.toLowerCase();
+    const bindings = this._bindings.findBindingsForKey({ key: keyName });
+
+    // The browser repeats key presses while a key is held down. Only the first one does the action.
+    if (!this._heldKeys.has(keyName)) {
+      const actions = Object.values(GameManager.ACTIONS);
+      bindings.filter(binding => actions.includes(binding)).forEach(action => this._actions[0].push(action));
+      bindings.filter(binding => binding in P5Input._playerTwoActions).forEach(binding => {
+        this._actions[1].push(P5Input._playerTwoActions[binding]);
+        this._hasPlayerTwo = true;
+      });
+    }
+    this._heldKeys.add(keyName);
+    return bindings.length > 0;
+  }
+
+  /**
+   * This is called when a key goes up.
+   */
+  keyReleased({ key }) {
+    this._heldKeys.delete(key.toLowerCase());
+  }
+
+  /**
+   * Forget every held key. The browser doesn't say when keys go up while the page doesn't have focus, so
+   * this is called when the page loses focus to stop the person from walking on by themselves.
+   */
+  releaseAllKeys() {
+    this._heldKeys.clear();
+  }
+
+  /**
+   * Get the InputState for this frame and forget the actions that were pressed.
+   */
+  takeInputState() {
+    const MOVES = InputBindings.MOVES;
+    const PLAYER_TWO = InputBindings.PLAYER_TWO;
+    const gamepadStates = this._gamepads.map(gamepad => gamepad.read());
+    if (gamepadStates[1].actions.length > 0) {
+      this._hasPlayerTwo = true;
+    }
+
+    // Once the second player has joined, keys that are bound to both players are theirs.
+    const playerTwoBindings = Object.values(PLAYER_TWO);
+    const playerTwoKeys = playerTwoBindings.flatMap(binding => this._bindings.getKeys({ binding: binding }));
+    const isBindingHeld = binding => this._bindings.getKeys({ binding: binding }).some(key =>
+      this._heldKeys.has(key) &&
+      (playerTwoBindings.includes(binding) || !this._hasPlayerTwo || !playerTwoKeys.includes(key)));
+
+    // Add up the keyboard, the gamepad and the joystick, so any of them can be used.
+    const touchMove = this._touchControls.getMove();
+    const players = [{
+      moveX: (isBindingHeld(MOVES.RIGHT) ? 1 : 0) - (isBindingHeld(MOVES.LEFT) ? 1 : 0) +
+        gamepadStates[0].moveX + touchMove.x,
+      moveY: (isBindingHeld(MOVES.DOWN) ? 1 : 0) - (isBindingHeld(MOVES.UP) ? 1 : 0) +
+        gamepadStates[0].moveY + touchMove.y,
+      actions: [...this._actions[0], ...gamepadStates[0].actions, ...this._touchControls.takeActions()]
+    }];
+    if (this._hasPlayerTwo) {
+      players.push({
+        moveX: (isBindingHeld(PLAYER_TWO.RIGHT) ? 1 : 0) - (isBindingHeld(PLAYER_TWO.LEFT) ? 1 : 0) +
+          gamepadStates[1].moveX,
+        moveY: (isBindingHeld(PLAYER_TWO.DOWN) ? 1 : 0) - (isBindingHeld(PLAYER_TWO.UP) ? 1 : 0) +
+          gamepadStates[1].moveY,
+        actions: [...this._actions[1], ...gamepadStates[1].actions]
+      });
+    }
+
+    const inputState = new InputState({
+      players: players.map(player => ({
+        moveX: P5Input._roundMove({ value: player.moveX }),
+        moveY: P5Input._roundMove({ value: player.moveY }),
+        actions: player.actions
+      }))
+    });
+    this._actions = [[], []];
+    return inputState;
+  }
+}
+
+/**
+ * Keep a move between -1 and 1, and round it. Sticks and fingers never hold perfectly still, so without
+ * rounding almost every tick would have a different input and replays would get much bigger.
+ */
+P5Input._roundMove = ({ value }) =>
+  Math.round(Math.max(-1, Math.min(1, value)) * P5Input._movePrecision) / P5Input._movePrecision;
+
+/**
+ * How finely moves are rounded: to the nearest 1/20th.
+ */
+P5Input._movePrecision = 20;
+
+/**
+ * The second player's action bindings, and the GameManager.ACTIONS that they do.
+ */
+P5Input._playerTwoActions = Object.freeze({
+  [InputBindings.PLAYER_TWO.LEAD]: GameManager.ACTIONS.LEAD,
+  [InputBindings.PLAYER_TWO.RELEASE_HERD]: GameManager.ACTIONS.RELEASE_HERD,
+  [InputBindings.PLAYER_TWO.DOG_AROUND]: GameManager.ACTIONS.DOG_AROUND,
+  [InputBindings.PLAYER_TWO.DOG_PUSH]: GameManager.ACTIONS.DOG_PUSH,
+  [InputBindings.PLAYER_TWO.DOG_STAY]: GameManager.ACTIONS.DOG_STAY,
+  [InputBindings.PLAYER_TWO.DOG_HEEL]: GameManager.ACTIONS.DOG_HEEL
+});
+
+/**
+ * The key that saves a replay of the game so far. It is not passed on to the game.
+ */
+P5Input._saveReplayKey = 'R';
+
+/**
+ * The keys that save the game to a file and load a game from a file. They are not passed on to the game.
+ */
+P5Input._saveGameKey = 'G';
+P5Input._loadGameKey = 'L';
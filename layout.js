@@ -0,0 +1,111 @@
+/**
+ * This file works out where things go on the screen. The game is drawn at a fixed logical size, which is
+ * scaled to fit the window and centered, with bars ("letterboxing") filling the rest of the window when it
+ * is a different shape. That way the game looks the same on every screen, just bigger or smaller. Like the
+ * simulation, it doesn't use p5.js.
+ */
+
+/**
+ * The layout of the game view in the window. Positions in the view are in logical units, from (0, 0) at
+ * the top left to the logical size at the bottom right.
+ */
+class ScreenLayout {
+  constructor({ logicalSize }) {
+    this._logicalSize = logicalSize.copy();
+    this.resize({ screenSize: logicalSize });
+  }
+
+  /**
+   * Fit the view to a window of the given size. This is called whenever the window changes size.
+   */
+  resize({ screenSize }) {
+    this._screenSize = screenSize.copy();
+    // The view is scaled up or down by the same amount in both directions, as much as fits.
+    this._scale = Math.min(screenSize.x / this._logicalSize.x, screenSize.y / this._logicalSize.y);
+    // The top left corner of the view on the screen. The view is centered, so the space left over is
+    // split evenly between the two sides.
+    this._viewPosition = screenSize.copy().sub(this._logicalSize.copy().mult(this._scale)).mult(0.5);
+  }
+
+  /**
+   * Get the size of the view in logical units.
+   */
+  getLogicalSize() {
+    return this._logicalSize.copy();
+  }
+
+  /**
+   * Get how many screen pixels one logical unit takes up.
+   */
+  getScale() {
+    return this._scale;
+  }
+
+  /**
+   * Get where the top left corner of the view is on the screen, in pixels.
+   */
+  getViewPosition() {
+    return this._viewPosition.copy();
+  }
+
+  /**
+   * Get a position in the view that is anchored to one of its edges, corners or its center, so it stays in
+   * the same place relative to that anchor. anchor is one of the ScreenLayout.ANCHORS, and offset is
+   * added to it, so an offset of (16, 16) from TOP_LEFT is 16 units in from the top left corner.
+   */
+  anchor({ anchor, offset = MathHelper.VECTOR_ZERO() }) {
+    return Platform.createVector(anchor.x * this._logicalSize.x, anchor.y * this._logicalSize.y).add(offset);
+  }
+
+  /**
+   * Turn a position on the screen in pixels (like the mouse position) into a position in the view.
+   */
+  screenToLogical({ position }) {
+    return position.copy().sub(this._viewPosition).mult(1 / this._scale);
+  }
+
+  /**
+   * Get the bars around the view that aren't part of the game, as { position, size } boxes in pixels
+   * where position is the top left corner. There are none if the window is exactly the shape of the view.
+   */
+  getLetterboxBars() {
+    const viewSize = this._logicalSize.copy().mult(this._scale);
+    const bars = [];
+    if (this._viewPosition.x > 0) {
+      bars.push({
+        position: MathHelper.VECTOR_ZERO(),
+        size: Platform.createVector(this._viewPosition.x, this._screenSize.y)
+      });
+      bars.push({
+        position: Platform.createVector(this._viewPosition.x + viewSize.x, 0),
+        size: Platform.createVector(this._screenSize.x - this._viewPosition.x - viewSize.x, this._screenSize.y)
+      });
+    }
+    if (this._viewPosition.y > 0) {
+      bars.push({
+        position: MathHelper.VECTOR_ZERO(),
+        size: Platform.createVector(this._screenSize.x, this._viewPosition.y)
+      });
+      bars.push({
+        position: Platform.createVector(0, this._viewPosition.y + viewSize.y),
+        size: Platform.createVector(this._screenSize.x, this._screenSize.y - this._viewPosition.y - viewSize.y)
+      });
+    }
+    return bars;
+  }
+}
+
+/**
+ * The places in the view that things can be anchored to, as fractions of the view's width and height.
+ */
+ScreenLayout.ANCHORS = Object.freeze({
+  TOP_LEFT: Object.freeze({ x: 0, y: 0 }),
+  TOP: Object.freeze({ x: 0.5, y: 0 }),
+  TOP_RIGHT: Object.freeze({ x: 1, y: 0 }),
+  LEFT: Object.freeze({ x: 0, y: 0.5 }),
+  CENTER: Object.freeze({ x: 0.5, y: 0.5 }),
+  RIGHT: Object.freeze({ x: 1, y: 0.5 }),
+  BOTTOM_LEFT: Object.freeze({ x: 0, y: 1 }),
+  BOTTOM: Object.freeze({ x: 0.5, y: 1 }),
+  BOTTOM_RIGHT: Object.freeze({ x: 1, y: 1 })
+});
@@ -0,0 +1,326 @@
+/**
+ * This file has the game's particle effects: little puffs of dust under the feet of anything that walks,
+ * hearts over a cow when it starts following someone, rain and gusts of wind in bad weather, and confetti
+ * when a level is won. A particle is just
+ * a small shape that moves, fades and disappears after a moment, so lots of them can be on the screen at
+ * once.
+ *
+ * Like the sounds, the particles only show what is happening in the game and never change it. They use
+ * Math.random() rather than the game's seeded random numbers, so they don't change replays either.
+ */
+
+/**
+ * Makes the particles for what is happening in the game and moves them each frame. It doesn't draw them;
+ * the renderer asks for the particles and draws each kind in its own way.
+ */
+class ParticleSystem {
+  constructor() {
+    // The particles that are showing. Each one is
+    // { kind, position, velocity, size, rotation, spin, color, age, lifetime }, where kind is one of the
+    // ParticleSystem.KINDS, rotation and spin are in radians, and age and lifetime are in seconds.
+    this._particles = [];
+
+    // The game the particles are for. When a new game starts, the particles from the old one are cleared.
+    this._gameManager = null;
+    // The animating sprites whose frame changes are being listened to for dust.
+    this._listenedSprites = new WeakSet();
+    // The cows that were in a herd last frame, so the hearts only show when a cow joins one. It is null
+    // until the first frame of a game, so that a saved game doesn't start with hearts over its whole herd.
+    this._herd = null;
+    // Whether the level was complete last frame, so the confetti only falls when it becomes complete.
+    this._wasLevelComplete = false;
+  }
+
+  /**
+   * Each frame, make the particles for what is happening in the game and move the ones that are showing.
+   * viewSize is the logical size of the view, which the confetti falls across. dt is the time since the
+   * last frame in seconds.
+   */
+  update({ gameManager, viewSize, dt }) {
+    if (gameManager !== this._gameManager) {
+      this._gameManager = gameManager;
+      this._particles = [];
+      this._herd = null;
+      this._wasLevelComplete = gameManager.isLevelComplete();
+    }
+
+    // Listen to the frame changes of any game objects that are new since last frame, for their dust.
+    gameManager.getAllSprites()
+      .filter(sprite => sprite instanceof AnimatingSprite && !this._listenedSprites.has(sprite))
+      .forEach(sprite => {
+        this._listenedSprites.add(sprite);
+        sprite.onFrameChange(event => this._onFrameChange(event));
+      });
+
+    // Show hearts over each cow that has started following someone since last frame.
+    const herd = new Set(gameManager.getHerd());
+    if (this._herd) {
+      herd.forEach(cow => {
+        if (!this._herd.has(cow)) {
+          this._addHearts({ cow: cow });
+        }
+      });
+    }
+    this._herd = herd;
+
+    // Throw confetti when a level is won.
+    const isLevelComplete = gameManager.isLevelComplete();
+    if (isLevelComplete && !this._wasLevelComplete) {
+      this._addConfetti({ viewSize: viewSize });
+    }
+    this._wasLevelComplete = isLevelComplete;
+
+    this._addWeather({ weather: gameManager.getWeather(), viewSize: viewSize, dt: dt });
+    this._moveParticles({ dt: dt });
+  }
+
+  /**
+   * Get the particles of the given kind that are showing, as
+   * { position, size, rotation, color, opacity }, where opacity goes from 1 (solid) to 0 (gone). Dust and
+   * hearts are in world coordinates, and the weather and confetti are in view coordinates.
+   */
+  getParticles({ kind }) {
+    return this._particles
+      .filter(particle => particle.kind === kind)
+      .map(particle => ({
+        position: particle.position.copy(),
+        size: particle.size * (1 + ParticleSystem._settings[kind].growth * particle.age / particle.lifetime),
+        rotation: particle.rotation,
+        color: particle.color,
+        opacity: ParticleSystem._getOpacity({ particle: particle })
+      }));
+  }
+
+  /**
+   * Each time an animating sprite shows a new frame of its walking clip, puff some dust up from under its
+   * feet. Like the footsteps, every other frame is a step.
+   */
+  _onFrameChange({ sprite, clipName, frame }) {
+    if (clipName !== AnimatingSprite.CLIPS.WALK || frame % 2 !== 0) {
+      return;
+    }
+    const settings = ParticleSystem._settings[ParticleSystem.KINDS.DUST];
+    const feet = sprite.getPosition().copy()
+      .add(Platform.createVector(0, sprite.getImageSize().y * ParticleSystem._feetHeight));
+    for (let i = 0; i < settings.count; i++) {
+      this._addParticle({ kind: ParticleSystem.KINDS.DUST, position: feet });
+    }
+  }
+
+  /**
+   * Add a few hearts over a cow's head.
+   */
+  _addHearts({ cow }) {
+    const settings = ParticleSystem._settings[ParticleSystem.KINDS.HEART];
+    const head = cow.getPosition().copy().add(Platform.createVector(0, -cow.getImageSize().y / 2));
+    for (let i = 0; i < settings.count; i++) {
+      this._addParticle({ kind: ParticleSystem.KINDS.HEART, position: head });
+    }
+  }
+
+  /**
+   * Add a shower of confetti along the top of the view.
+   */
+  _addConfetti({ viewSize }) {
+    const settings = ParticleSystem._settings[ParticleSystem.KINDS.CONFETTI];
+    for (let i = 0; i < settings.count; i++) {
+      this._addParticle({
+        kind: ParticleSystem.KINDS.CONFETTI,
+        position: Platform.createVector(Math.random() * viewSize.x, -settings.size[1])
+      });
+    }
+  }
+
+  /**
+   * While it rains or the wind blows, keep adding raindrops or gusts all over the view. The wind blows the
+   * way the weather says it does.
+   */
+  _addWeather({ weather, viewSize, dt }) {
+    const kind = ParticleSystem._weatherKinds[weather.getKind()];
+    if (!kind) {
+      return;
+    }
+
+    // There is usually less than one particle's worth each frame, so the part left over is the chance of
+    // adding one more.
+    const count = Math.floor(ParticleSystem._settings[kind].rate * dt + Math.random());
+    for (let i = 0; i < count; i++) {
+      this._addParticle({
+        kind: kind,
+        position: Platform.createVector(Math.random() * viewSize.x, Math.random() * viewSize.y),
+        direction: kind === ParticleSystem.KINDS.WIND ? weather.getWindDirection() : null
+      });
+    }
+  }
+
+  /**
+   * Add one particle of the given kind at the position, with a random speed, direction, size, spin, color
+   * and lifetime from the kind's settings. direction is optional; if it is given, the kind's angle is
+   * measured from it instead of from the right. If there are already as many particles as are allowed, the
+   * oldest one is taken away to make room.
+   */
+  _addParticle({ kind, position, direction = null }) {
+    const settings = ParticleSystem._settings[kind];
+    const randomBetween = ParticleSystem._randomBetween;
+    const angle = (direction ? Math.atan2(direction.y, direction.x) : 0) + randomBetween({ range: settings.angle });
+    const speed = randomBetween({ range: settings.speed });
+    this._particles.push({
+      kind: kind,
+      position: position.copy().add(Platform.createVector(
+        randomBetween({ range: [-settings.spread, settings.spread] }),
+        randomBetween({ range: [-settings.spread, settings.spread] }))),
+      velocity: Platform.createVector(Math.cos(angle) * speed, Math.sin(angle) * speed),
+      size: randomBetween({ range: settings.size }),
+      rotation: settings.faceMotion ? angle : Math.random() * Math.PI * 2,
+      spin: randomBetween({ range: settings.spin }),
+      color: settings.colors[Math.floor(Math.random() * settings.colors.length)],
+      age: 0,
+      lifetime: randomBetween({ range: settings.lifetime })
+    });
+    if (this._particles.length > ParticleSystem._maxParticles) {
+      this._particles.shift();
+    }
+  }
+
+  /**
+   * Move, slow down and spin every particle, and take away the ones that have lived out their lifetime.
+   */
+  _moveParticles({ dt }) {
+    this._particles.forEach(particle => {
+      const settings = ParticleSystem._settings[particle.kind];
+      particle.age += dt;
+      particle.velocity.y += settings.gravity * dt;
+      particle.velocity.mult(Math.max(0, 1 - settings.drag * dt));
+      particle.position.add(particle.velocity.copy().mult(dt));
+      particle.rotation += particle.spin * dt;
+    });
+    this._particles = this._particles.filter(particle => particle.age < particle.lifetime);
+  }
+}
+
+/**
+ * The kinds of particles.
+ */
+ParticleSystem.KINDS = Object.freeze({
+  // A puff of dust kicked up by a foot or a hoof. It grows and fades as it drifts away.
+  DUST: 'dust',
+  // A heart that floats up from a cow that has started following someone.
+  HEART: 'heart',
+  // A raindrop, falling across the view while it rains.
+  RAIN: 'rain',
+  // A gust of wind, blowing across the view while it is windy.
+  WIND: 'wind',
+  // A scrap of colored paper that flutters down across the view when a level is won.
+  CONFETTI: 'confetti'
+});
+
+/**
+ * Get how solid a particle is, from 1 to 0. Particles stay solid for most of their lifetime and then fade
+ * away.
+ */
+ParticleSystem._getOpacity = ({ particle }) => {
+  const fadeStart = ParticleSystem._fadeStart;
+  const life = particle.age / particle.lifetime;
+  return life < fadeStart ? 1 : Math.max(0, 1 - (life - fadeStart) / (1 - fadeStart));
+}
+
+/**
+ * Get a random number in the range, which is [lowest, highest].
+ */
+ParticleSystem._randomBetween = ({ range }) => range[0] + Math.random() * (range[1] - range[0]);
+
+/**
+ * Configure the particle settings. Distances are in world units (view units for the confetti), angles are
+ * in radians with 0 pointing right and PI / 2 pointing down, and times are in seconds. Colors are
+ * [red, green, blue], from 0 to 255.
+ */
+ParticleSystem.configure = () => {
+  // The most particles that can be showing at once, so a big herd walking about can't slow the game down.
+  ParticleSystem._maxParticles = 400;
+  // How far through its lifetime a particle starts to fade away, from 0 (straight away) to 1 (never).
+  ParticleSystem._fadeStart = 0.6;
+  // Where the feet are, below the middle of a sprite, as a fraction of its height.
+  ParticleSystem._feetHeight = 0.4;
+  // The kind of particle that each kind of weather makes. A thunderstorm rains too.
+  ParticleSystem._weatherKinds = {
+    [Weather.KINDS.RAIN]: ParticleSystem.KINDS.RAIN,
+    [Weather.KINDS.WIND]: ParticleSystem.KINDS.WIND,
+    [Weather.KINDS.THUNDER]: ParticleSystem.KINDS.RAIN
+  };
+
+  // Each kind of particle has its own settings. count is how many are made at once, spread is how far from
+  // where they are made they can start, and the settings with two numbers are [lowest, highest], with
+  // each particle getting a random value between them. gravity pulls the particles down (or up, if it is
+  // less than 0), drag slows them down and growth is how much bigger they are by the end of their lifetime.
+  // The weather's particles are made all the time instead of all at once; rate is how many a second, and
+  // faceMotion turns each one to face the way it is going.
+  ParticleSystem._settings = {
+    [ParticleSystem.KINDS.DUST]: {
+      count: 2,
+      spread: 4,
+      angle: [Math.PI, Math.PI * 2],
+      speed: [10, 30],
+      size: [6, 12],
+      spin: [0, 0],
+      lifetime: [0.4, 0.7],
+      gravity: -10,
+      drag: 3,
+      growth: 1.5,
+      colors: [[190, 160, 110], [170, 140, 95]]
+    },
+    [ParticleSystem.KINDS.HEART]: {
+      count: 3,
+      spread: 12,
+      angle: [Math.PI * 1.3, Math.PI * 1.7],
+      speed: [30, 50],
+      size: [10, 16],
+      spin: [-1, 1],
+      lifetime: [0.8, 1.2],
+      gravity: -20,
+      drag: 1,
+      growth: 0,
+      colors: [[230, 40, 80], [250, 100, 140]]
+    },
+    [ParticleSystem.KINDS.RAIN]: {
+      rate: 150,
+      spread: 0,
+      angle: [Math.PI * 0.55, Math.PI * 0.6],
+      speed: [500, 650],
+      size: [14, 22],
+      spin: [0, 0],
+      lifetime: [0.3, 0.5],
+      gravity: 0,
+      drag: 0,
+      growth: 0,
+      faceMotion: true,
+      colors: [[180, 200, 230], [150, 170, 210]]
+    },
+    [ParticleSystem.KINDS.WIND]: {
+      rate: 20,
+      spread: 0,
+      angle: [-0.1, 0.1],
+      speed: [400, 550],
+      size: [40, 90],
+      spin: [0, 0],
+      lifetime: [0.5, 0.9],
+      gravity: 0,
+      drag: 0,
+      growth: 0,
+      faceMotion: true,
+      colors: [[255, 255, 255]]
+    },
+    [ParticleSystem.KINDS.CONFETTI]: {
+      count: 150,
+      spread: 0,
+      angle: [Math.PI * 0.3, Math.PI * 0.7],
+      speed: [50, 250],
+      size: [8, 14],
+      spin: [-8, 8],
+      lifetime: [2.5, 4],
+      gravity: 150,
+      drag: 1.5,
+      growth: 0,
+      colors: [[230, 60, 60], [250, 200, 40], [60, 180, 80], [60, 120, 230], [190, 80, 210]]
+    }
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * This file helps the cows find their way around obstacles like fences. The world is divided into a grid of
+ * square cells, and each cell is either walkable (a cow standing in the middle of it wouldn't touch a wall)
+ * or not. To get somewhere, a cow asks for a path through the walkable cells, found with the A* ("A star")
+ * search algorithm, and walks from one point of the path to the next. That way a cow being led to a pen
+ * goes around the fence and in through the opening instead of walking into the fence.
+ */
+
+/**
+ * A priority queue that always gives back the item with the lowest priority first. It is a binary heap:
+ * an array where the item at index i is never after the items at 2i + 1 and 2i + 2. Items with the same
+ * priority come out in the order they went in, so searches always find the same path.
+ */
+class PriorityQueue {
+  constructor() {
+    this._entries = [];
+    // Counts the items put in the queue, to break ties between items with the same priority.
+    this._insertCount = 0;
+  }
+
+  /**
+   * Add an item with the given priority.
+   */
+  push({ item, priority }) {
+    this._entries.push({ item: item, priority: priority, order: this._insertCount++ });
+
+    // Move the new entry up the heap until its parent comes before it.
+    let index = this._entries.length - 1;
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (this._comesBefore({ index: parent, otherIndex: index })) {
+        break;
+      }
+      this._swap({ index: index, otherIndex: parent });
+      index = parent;
+    }
+  }
+
+  /**
+   * Remove and return the item with the lowest priority.
+   */
+  pop() {
+    const first = this._entries[0];
+    const last = this._entries.pop();
+    if (this._entries.length > 0) {
+      this._entries[0] = last;
+
+      // Move the last entry down from the top of the heap until both of its children come after it.
+      let index = 0;
+      for (;;) {
+        const left = index * 2 + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < this._entries.length && this._comesBefore({ index: left, otherIndex: smallest })) {
+          smallest = left;
+        }
+        if (right < this._entries.length && this._comesBefore({ index: right, otherIndex: smallest })) {
+          smallest = right;
+        }
+        if (smallest === index) {
+          break;
+        }
+        this._swap({ index: index, otherIndex: smallest });
+        index = smallest;
+      }
+    }
+    return first.item;
+  }
+
+  /**
+   * Tests whether the queue has no items.
+   */
+  isEmpty() {
+    return this._entries.length === 0;
+  }
+
+  _comesBefore({ index, otherIndex }) {
+    const entry = this._entries[index];
+    const otherEntry = this._entries[otherIndex];
+    return entry.priority < otherEntry.priority ||
+      (entry.priority === otherEntry.priority && entry.order < otherEntry.order);
+  }
+
+  _swap({ index, otherIndex }) {
+    [this._entries[index], this._entries[otherIndex]] = [this._entries[otherIndex], this._entries[index]];
+  }
+}
+
+/**
+ * A grid over the whole world that knows which cells can be walked through, and finds paths through them.
+ * It is built once per level from the static obstacles in the collision world.
+ */
+class NavigationGrid {
+  /**
+   * worldSize is the size of the level's world, which is centered on (0, 0). clearance is the width of the
+   * things that walk through the grid (the cows' colliders): a cell is only walkable if something that wide
+   * in it wouldn't touch an obstacle.
+   */
+  constructor({ collisionWorld, worldSize, clearance }) {
+    this._cellSize = NavigationGrid._cellSize;
+    this._columns = Math.ceil(worldSize.x / this._cellSize);
+    this._rows = Math.ceil(worldSize.y / this._cellSize);
+    // The position of the top left corner of the grid.
+    this._origin = Platform.createVector(
+      -this._columns * this._cellSize / 2, -this._rows * this._cellSize / 2);
+
+    // One entry per cell, row by row: 1 if the cell is walkable and 0 if it isn't. The box that is tested
+    // is a cell wider than the clearance, so that something anywhere in a walkable cell is clear of the
+    // obstacles, not just in the middle of it.
+    this._walkable = new Uint8Array(this._columns * this._rows);
+    const boxSize = MathHelper.VECTOR_ONE().mult(clearance + this._cellSize);
+    for (let cell = 0; cell < this._walkable.length; cell++) {
+      const box = { position: this._cellCenter({ cell: cell }), size: boxSize };
+      this._walkable[cell] = collisionWorld.isBlocked({ box: box }) ? 0 : 1;
+    }
+  }
+
+  /**
+   * Tests whether the given position is in a walkable cell. Positions outside the grid aren't walkable.
+   */
+  isWalkable({ position }) {
+    const cell = this._cellAt({ position: position });
+    return cell !== null && this._walkable[cell] === 1;
+  }
+
+  /**
+   * Get the number of the cell that the given position is in, or null if it is outside the grid. Two
+   * positions in the same cell get the same number.
+   */
+  getCell({ position }) {
+    return this._cellAt({ position: position });
+  }
+
+  /**
+   * Find a path from one position to another. The path is a list of positions to walk to one after the
+   * other, ending at the destination. The path is straightened out, so it only has a point where it needs
+   * to turn a corner. If the start or the destination isn't walkable (for example, because it is right
+   * next to a wall), the nearest walkable cell is used instead. Returns null if there is no way there.
+   */
+  findPath({ from, to }) {
+    // If the way is clear, there is no need to search.
+    if (this.isWalkable({ position: from }) && this.hasClearLine({ from: from, to: to })) {
+      return [to.copy()];
+    }
+
+    const start = this._nearestWalkableCell({ position: from });
+    const goal = this._nearestWalkableCell({ position: to });
+    if (start === null || goal === null) {
+      return null;
+    }
+
+    // The A* search. costs holds the length of the shortest known path from the start to each cell that
+    // has been reached, and previous holds the cell before it on that path. The queue holds the cells to
+    // look at next, with the ones that are most likely to be on the shortest path (the ones with the
+    // shortest known path plus the shortest possible distance left to the goal) first.
+    const costs = new Map([[start, 0]]);
+    const previous = new Map();
+    const queue = new PriorityQueue();
+    queue.push({ item: start, priority: this._estimateCost({ cell: start, otherCell: goal }) });
+
+    while (!queue.isEmpty()) {
+      const cell = queue.pop();
+      if (cell === goal) {
+        return this._buildPath({ previous: previous, goal: goal, from: from, to: to });
+      }
+
+      this._forEachNeighbor({ cell: cell }, (neighbor, stepCost) => {
+        const cost = costs.get(cell) + stepCost;
+        if (!costs.has(neighbor) || cost < costs.get(neighbor)) {
+          costs.set(neighbor, cost);
+          previous.set(neighbor, cell);
+          queue.push({ item: neighbor, priority: cost + this._estimateCost({ cell: neighbor, otherCell: goal }) });
+        }
+      });
+    }
+    return null;
+  }
+
+  /**
+   * Tests whether something can walk in a straight line between two positions without leaving the
+   * walkable cells.
+   */
+  hasClearLine({ from, to }) {
+    const distance = from.dist(to);
+    const steps = Math.ceil(distance / (this._cellSize / 4));
+    for (let step = 0; step <= steps; step++) {
+      const position = from.copy().add(to.copy().sub(from).mult(steps > 0 ? step / steps : 0));
+      if (!this.isWalkable({ position: position })) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Turn the cells found by the search into a list of positions. The cells are walked back from the goal
+   * to the start, then points that can be skipped by walking in a straight line are removed.
+   */
+  _buildPath({ previous, goal, from, to }) {
+    const points = [];
+    for (let cell = goal; previous.has(cell); cell = previous.get(cell)) {
+      points.unshift(this._cellCenter({ cell: cell }));
+    }
+    // End at the real destination rather than the middle of its cell, if it can be walked to.
+    if (this.isWalkable({ position: to })) {
+      points[points.length - 1] = to.copy();
+    }
+    if (points.length === 0) {
+      points.push(this.isWalkable({ position: to }) ? to.copy() : this._cellCenter({ cell: goal }));
+    }
+
+    // Keep a point only if the next one can't be seen from the last point that was kept.
+    const path = [];
+    let lastKept = from;
+    points.forEach((point, index) => {
+      const next = points[index + 1];
+      if (!next || !this.hasClearLine({ from: lastKept, to: next })) {
+        path.push(point);
+        lastKept = point;
+      }
+    });
+    return path;
+  }
+
+  /**
+   * Call callback with each walkable cell next to the given cell (including diagonally) and the distance
+   * to it in cells. Moving diagonally is only allowed if both of the cells beside the diagonal are walkable
+   * too, so paths don't cut the corners of walls.
+   */
+  _forEachNeighbor({ cell }, callback) {
+    const column = cell % this._columns;
+    const row = Math.floor(cell / this._columns);
+    NavigationGrid._neighborOffsets.forEach(([offsetX, offsetY]) => {
+      const neighbor = this._cellIndex({ column: column + offsetX, row: row + offsetY });
+      if (neighbor === null || !this._walkable[neighbor]) {
+        return;
+      }
+      if (offsetX !== 0 && offsetY !== 0) {
+        const besideX = this._cellIndex({ column: column + offsetX, row: row });
+        const besideY = this._cellIndex({ column: column, row: row + offsetY });
+        if (!this._walkable[besideX] || !this._walkable[besideY]) {
+          return;
+        }
+      }
+      callback(neighbor, offsetX !== 0 && offsetY !== 0 ? Math.SQRT2 : 1);
+    });
+  }
+
+  /**
+   * The shortest possible distance between two cells, in cells, when moving straight and diagonally.
+   */
+  _estimateCost({ cell, otherCell }) {
+    const distanceX = Math.abs(cell % this._columns - otherCell % this._columns);
+    const distanceY = Math.abs(Math.floor(cell / this._columns) - Math.floor(otherCell / this._columns));
+    return Math.max(distanceX, distanceY) + (Math.SQRT2 - 1) * Math.min(distanceX, distanceY);
+  }
+
+  /**
+   * Find the walkable cell nearest to the given position, by looking in growing squares around it. Returns
+   * null if there isn't one within NavigationGrid._searchRadius cells.
+   */
+  _nearestWalkableCell({ position }) {
+    const column = Math.floor((position.x - this._origin.x) / this._cellSize);
+    const row = Math.floor((position.y - this._origin.y) / this._cellSize);
+    for (let radius = 0; radius <= NavigationGrid._searchRadius; radius++) {
+      let nearest = null;
+      let nearestDistance = Infinity;
+      for (let offsetY = -radius; offsetY <= radius; offsetY++) {
+        for (let offsetX = -radius; offsetX <= radius; offsetX++) {
+          // Only the edge of the square, since the inside was already checked.
+          if (Math.max(Math.abs(offsetX), Math.abs(offsetY)) !== radius) {
+            continue;
+          }
+          const cell = this._cellIndex({ column: column + offsetX, row: row + offsetY });
+          if (cell === null || !this._walkable[cell]) {
+            continue;
+          }
+          const distance = position.dist(this._cellCenter({ cell: cell }));
+          if (distance < nearestDistance) {
+            nearest = cell;
+            nearestDistance = distance;
+          }
+        }
+      }
+      if (nearest !== null) {
+        return nearest;
+      }
+    }
+    return null;
+  }
+
+  _cellAt({ position }) {
+    return this._cellIndex({
+      column: Math.floor((position.x - this._origin.x) / this._cellSize),
+      row: Math.floor((position.y - this._origin.y) / this._cellSize)
+    });
+  }
+
+  _cellIndex({ column, row }) {
+    if (column < 0 || column >= this._columns || row < 0 || row >= this._rows) {
+      return null;
+    }
+    return row * this._columns + column;
+  }
+
+  _cellCenter({ cell }) {
+    return Platform.createVector(
+      this._origin.x + (cell % this._columns + 0.5) * this._cellSize,
+      this._origin.y + (Math.floor(cell / this._columns) + 0.5) * this._cellSize);
+  }
+}
+
+/**
+ * Configure the navigation settings.
+ */
+NavigationGrid.configure = () => {
+  // The size of a grid cell. Smaller cells fit through narrower gaps but make searches slower. It should
+  // be well under the width of a fence opening minus the width of a cow.
+  NavigationGrid._cellSize = 20;
+  // How far from a position, in cells, to look for a walkable cell when the position itself isn't walkable.
+  NavigationGrid._searchRadius = 6;
+  // The eight cells around a cell, as [column, row] offsets.
+  NavigationGrid._neighborOffsets = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+}
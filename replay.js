@@ -0,0 +1,135 @@
+/**
+ * This file records the input of a game so that it can be played back later. Since the game is seeded and
+ * ticks with a fixed timestep (see FixedTimestepLoop), playing back the same input gives exactly the same
+ * game. A replay starts from a save of the game when the recording started (see GameManager.toJSON()), so
+ * games that were carried on from a save can be replayed too. A replay is a plain JSON object, so it can be
+ * saved to a file and attached to a bug report.
+ */
+
+/**
+ * This records the InputState of every tick of a game.
+ */
+class ReplayRecorder {
+  constructor({ gameManager }) {
+    this._gameManager = gameManager;
+    // The game as it was when the recording started.
+    this._start = gameManager.toJSON();
+
+    // The input is run-length encoded: each entry is an input and the number of ticks in a row that it
+    // was used for. Most ticks have the same input as the tick before, so this keeps replays small.
+    this._steps = [];
+  }
+
+  /**
+   * Record the input for one tick.
+   */
+  record({ input }) {
+    const step = ReplayRecorder._encodeInput({ input: input });
+    const lastStep = this._steps[this._steps.length - 1];
+
+    if (lastStep && ReplayRecorder._isSameInput({ step: step, otherStep: lastStep })) {
+      lastStep.ticks++;
+    } else {
+      this._steps.push(step);
+    }
+  }
+
+  /**
+   * Get the replay as a plain JSON object. It includes everything needed to start the same game again,
+   * and a hash of the game's state at the end, so that the playback can be checked.
+   */
+  toJSON() {
+    return {
+      version: ReplayRecorder.VERSION,
+      timestep: GameManager._timestep,
+      start: this._start,
+      steps: this._steps.map(step => Object.assign({}, step)),
+      stateHash: this._gameManager.getStateHash()
+    };
+  }
+}
+
+/**
+ * The version of the replay format. It should be changed whenever the game changes in a way that makes
+ * old replays play out differently.
+ */
+ReplayRecorder.VERSION = 21;
+
+/**
+ * Turn an InputState into a step of the replay.
+ */
+ReplayRecorder._encodeInput = ({ input }) => ({
+  players: input.players.map(player => ({ moveX: player.moveX, moveY: player.moveY, actions: player.actions.slice() })),
+  ticks: 1
+});
+
+/**
+ * Tests whether two steps of the replay have the same input.
+ */
+ReplayRecorder._isSameInput = ({ step, otherStep }) =>
+  step.players.length === otherStep.players.length &&
+  step.players.every((player, index) =>
+    player.moveX === otherStep.players[index].moveX &&
+    player.moveY === otherStep.players[index].moveY &&
+    player.actions.length === 0 &&
+    otherStep.players[index].actions.length === 0);
+
+/**
+ * This plays back a replay that was made by ReplayRecorder. It works as the input source of a
+ * FixedTimestepLoop, giving the recorded InputState for each tick.
+ */
+class ReplayPlayer {
+  constructor({ replay }) {
+    if (replay.version !== ReplayRecorder.VERSION) {
+      throw new Error(`Unsupported replay version: ${replay.version}`);
+    }
+    if (replay.timestep !== GameManager._timestep) {
+      throw new Error(`Replay timestep ${replay.timestep} does not match the game timestep ${GameManager._timestep}`);
+    }
+
+    this._replay = replay;
+    // Which step of the replay is being played, and how many ticks of that step have been played.
+    this._stepIndex = 0;
+    this._ticksInStep = 0;
+  }
+
+  /**
+   * Create the GameManager for the replay, just like it was when the recording started.
+   */
+  createGameManager() {
+    return GameManager.fromJSON({ data: this._replay.start });
+  }
+
+  /**
+   * Get the recorded InputState for the next tick, or null if the replay is finished.
+   */
+  takeInputState() {
+    if (this.isFinished()) {
+      return null;
+    }
+
+    const step = this._replay.steps[this._stepIndex];
+    this._ticksInStep++;
+    if (this._ticksInStep >= step.ticks) {
+      this._stepIndex++;
+      this._ticksInStep = 0;
+    }
+
+    return new InputState({ players: step.players });
+  }
+
+  /**
+   * Tests whether all the recorded input has been played.
+   */
+  isFinished() {
+    return this._stepIndex >= this._replay.steps.length;
+  }
+
+  /**
+   * Tests whether the game is in the same state as it was at the end of the recording. Only meaningful
+   * once the replay is finished.
+   */
+  matchesRecording({ gameManager }) {
+    return gameManager.getStateHash() === this._replay.stateHash;
+  }
+}
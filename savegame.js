@@ -0,0 +1,74 @@
+/**
+ * This file keeps the game that is being played, so that it can be carried on after the page is closed.
+ * The game itself is turned into JSON by GameManager.toJSON(); this file only looks after where the save
+ * is kept. The save can be kept in any storage that works like the browser's localStorage (getItem,
+ * setItem and removeItem).
+ */
+
+/**
+ * A place to keep one saved game.
+ */
+class SaveSlot {
+  /**
+   * storage is optional. Without it, nothing is kept and there is never a game to carry on.
+   */
+  constructor({ storage = null } = {}) {
+    this._storage = storage;
+  }
+
+  /**
+   * Save the game, in place of the one that was saved before.
+   */
+  save({ gameManager }) {
+    if (!this._storage) {
+      return;
+    }
+
+    try {
+      this._storage.setItem(SaveSlot._storageKey, JSON.stringify(gameManager.toJSON()));
+    } catch (error) {
+      // Like the high scores, the game should still work if it can't be saved (for example, if the
+      // storage is full.)
+      console.warn(`Could not save the game: ${error}`);
+    }
+  }
+
+  /**
+   * Get the saved game, to give to GameManager.fromJSON(). Returns null if there isn't one, if it can't be
+   * read, or if it was saved by a version of the game that can't load it any more.
+   */
+  load() {
+    if (!this._storage) {
+      return null;
+    }
+
+    try {
+      const save = JSON.parse(this._storage.getItem(SaveSlot._storageKey));
+      return save && save.version === GameManager.SAVE_VERSION ? save : null;
+    } catch (error) {
+      console.warn(`Could not load the saved game: ${error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Forget the saved game, for example once the round is over and there is nothing left to carry on.
+   */
+  clear() {
+    if (!this._storage) {
+      return;
+    }
+
+    try {
+      this._storage.removeItem(SaveSlot._storageKey);
+    } catch (error) {
+      console.warn(`Could not remove the saved game: ${error}`);
+    }
+  }
+}
+
+/**
+ * The name the game is saved under, and how often in seconds the game being played is saved.
+ */
+SaveSlot._storageKey = 'shelleys-ranch.savedGame';
+SaveSlot._autoSaveInterval = 5;
@@ -0,0 +1,81 @@
+/**
+ * This file keeps the table of high scores. The table can be saved to any storage that works like the
+ * browser's localStorage (getItem and setItem), so it stays between visits to the page.
+ */
+
+/**
+ * The best scores so far, highest first.
+ */
+class HighScoreTable {
+  /**
+   * storage is optional. Without it, the scores are only kept until the page is closed.
+   */
+  constructor({ storage = null } = {}) {
+    this._storage = storage;
+    this._scores = this._load();
+  }
+
+  /**
+   * Add a score to the table. entry is { score, time, cows, date } where time is the round time in
+   * seconds and date is when the round was played. Returns the position in the table (0 is the best),
+   * or -1 if the score wasn't good enough to get in.
+   */
+  addScore({ score, time, cows, date }) {
+    const entry = { score: score, time: time, cows: cows, date: date };
+    this._scores.push(entry);
+
+    // Higher scores come first. For equal scores, the faster time comes first.
+    this._scores.sort((a, b) => b.score - a.score || a.time - b.time);
+    this._scores = this._scores.slice(0, HighScoreTable._maxScores);
+    this._save();
+
+    return this._scores.indexOf(entry);
+  }
+
+  /**
+   * Get the scores in the table, best first.
+   */
+  getScores() {
+    return this._scores.map(entry => Object.assign({}, entry));
+  }
+
+  /**
+   * Load the scores from the storage. If there aren't any, or they can't be read, start with no scores.
+   */
+  _load() {
+    if (!this._storage) {
+      return [];
+    }
+
+    try {
+      const scores = JSON.parse(this._storage.getItem(HighScoreTable._storageKey));
+      return Array.isArray(scores) ? scores : [];
+    } catch (error) {
+      // Browsers can refuse to use localStorage (for example, in private browsing), and the saved value
+      // could be broken. Either way, the game should still work.
+      console.warn(`Could not load the high scores: ${error}`);
+      return [];
+    }
+  }
+
+  /**
+   * Save the scores to the storage.
+   */
+  _save() {
+    if (!this._storage) {
+      return;
+    }
+
+    try {
+      this._storage.setItem(HighScoreTable._storageKey, JSON.stringify(this._scores));
+    } catch (error) {
+      console.warn(`Could not save the high scores: ${error}`);
+    }
+  }
+}
+
+/**
+ * The name the scores are saved under, and how many scores the table keeps.
+ */
+HighScoreTable._storageKey = 'shelleys-ranch.highScores';
+HighScoreTable._maxScores = 5;
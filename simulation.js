@@ -0,0 +1,3164 @@
+/**
+ * This file is the game simulation. It calculates the position of the game objects, checks for collisions,
+ * keeps track of the level, etc. It doesn't use p5.js at all, so it can also run without a browser
+ * (see headless.js). Drawing and reading the keyboard happen in sketch.js.
+ */
+
+/**
+ * This class manages the game at a high level. It manages calculating the position of the game objects,
+ * checking for collisions, loading levels, etc. It doesn't draw anything itself; the renderer asks it for
+ * the sprites and text to draw.
+ */
+class GameManager {
+
+  /**
+   * worldSize is the size of the playing field for levels that don't give their own "worldSize", and
+   * levels is the list of levels (the "levels" array from levels.json). The world can be bigger than the
+   * screen; the renderer's camera follows the person around it. seed is the seed for the random number
+   * generator; two games with the same seed, world size, levels and input play out exactly the same. If no
+   * seed is given, a random one is picked. assist turns on assist mode, for players who find the game too
+   * hard: the cows can be led from further away and they move more slowly.
+   */
+  constructor({ worldSize, levels, seed = SeededRandom.randomSeed(), assist = false }) {
+    this._worldSize = worldSize.copy();
+    this._levels = levels;
+    this._seed = seed;
+    this._assist = assist;
+    // The description is kept as a message (see Localization.getMessageText()) rather than as text, so
+    // that it can be shown in whichever language is being played in.
+    this._descriptionMessage = { key: 'descriptionInitial' };
+    this._descriptionFontSize = GameManager._descriptionInitialFontSize;
+  }
+
+  /**
+  * Create the game objects.
+  */
+  setup() {
+    // Everything random in the game (cow spawn positions, cow wandering, etc.) comes from
+    // Platform.random(), so seeding it here makes the whole game reproducible.
+    this._random = new SeededRandom({ seed: this._seed });
+    Platform.configure({ random: () => this._random.next() });
+
+    // Create the first player. Each player has a person that they control, a herd: the list of cows that
+    // are following the person, in the order they line up behind them, and a dog that does what they tell
+    // it. More players can join later, to play together on the same computer.
+    this._players = [];
+    this._addPlayer();
+
+    this._title = GameManager._createTitle();
+
+    // Start the round on the first level. This creates the fences and cows described by the level data
+    // and shows the title screen.
+    this.restart();
+  }
+
+  /**
+  * Start a new round from the first level, on the title screen. The world is built again from the level
+  * data, and the score and the timer start again from zero.
+  */
+  restart() {
+    this._score = 0;
+    this._roundTime = 0;
+    this._state = GameManager.STATES.TITLE;
+    this._loadLevel({ levelIndex: 0 });
+    this._setState({ state: GameManager.STATES.TITLE });
+  }
+
+  /**
+  * Change the game state. Only the changes listed in GameManager._transitions are allowed. Each state
+  * shows its own description text.
+  */
+  _setState({ state }) {
+    const STATES = GameManager.STATES;
+    if (state !== this._state && !GameManager._transitions[this._state].includes(state)) {
+      throw new Error(`Can't go from the ${this._state} state to the ${state} state`);
+    }
+    const previousState = this._state;
+    this._state = state;
+
+    switch (state) {
+      case STATES.TITLE:
+        this._setDescription({ message: { key: 'descriptionTitle' } });
+        break;
+      case STATES.PAUSED:
+        // Remember what the description was, so it can be put back when the game carries on.
+        this._descriptionBeforePause = { message: this._descriptionMessage, fontSize: this._descriptionFontSize };
+        this._setDescription({ message: { key: 'descriptionPaused' } });
+        break;
+      case STATES.PLAYING:
+        if (previousState === STATES.PAUSED) {
+          this._setDescription(this._descriptionBeforePause);
+        } else {
+          this._setDescription({ message: this._levelDescription });
+        }
+        break;
+      case STATES.WON:
+      case STATES.LOST:
+        this._setDescription({
+          message: {
+            key: state === STATES.WON ? 'descriptionSuccess' : this._lossDescription,
+            values: { score: this._score, time: GameManager.formatTime({ seconds: this._roundTime }) }
+          },
+          fontSize: GameManager._descriptionSuccessFontSize
+        });
+        break;
+    }
+  }
+
+  /**
+  * Change the description message, and its font size.
+  */
+  _setDescription({ message, fontSize = GameManager._descriptionInitialFontSize }) {
+    this._descriptionMessage = message;
+    this._descriptionFontSize = fontSize;
+  }
+
+  /**
+  * Build the game objects for the level at the given index in the level data. Levels are plain JSON
+  * objects loaded from levels.json that describe the fences, the cows and the goal of the level.
+  */
+  _loadLevel({ levelIndex }) {
+    const level = this._levels[levelIndex];
+
+    // Forget about anything left over from the previous level.
+    this._players.forEach(player => {
+      player.herd = [];
+      player.dogCow = null;
+    });
+    this._lostCowCount = 0;
+    this._levelCompleteTime = null;
+    this._levelTime = 0;
+
+    // Put the people back in the middle of the screen, with their dogs at their heels.
+    this._players.forEach((player, index) => {
+      player.person.setPosition({ position: GameManager._playerStartPositions[index].copy() });
+      player.dog.setPosition({ position: GameManager._playerStartPositions[index].copy().add(Dog._heelOffset) });
+      player.dog.heel();
+    });
+
+    // Create the fences and the patches of grass and water, if the level has any, and build the world
+    // around them. Each fence has a position, a size and an opening on one of its sides. Hungry and thirsty
+    // cows go to the patches.
+    this._buildLevel({
+      levelIndex: levelIndex,
+      fences: level.fences.map(fence => Fence.fromLevelData({ data: fence })),
+      patches: (level.patches || []).map(patch => Patch.fromLevelData({ data: patch })),
+      dayClock: new DayClock({ settings: level.daylight }),
+      weather: new Weather({ settings: level.weather })
+    });
+    this._setDescription({ message: this._levelDescription });
+
+    // Create the cows and randomly place them in the level's spawn regions. In assist mode, they are slower.
+    const speedScale = this._assist ? GameManager._assistCowSpeedScale : 1;
+    this._cows = Array.from({ length: level.cows.count }, () => {
+      const cow = new Cow({
+        position: this._randomSpawnPosition({ spawnRegions: level.cows.spawnRegions }),
+        flock: this._flock,
+        traits: Cow.randomTraits({ speedScale: speedScale })
+      });
+      this._addCowToLevel({ cow: cow });
+      return cow;
+    });
+
+    // Create the wolves, if the level has any. They start out away from the ranch and arrive after
+    // "arriveAfter" seconds.
+    const wolves = level.wolves || { count: 0 };
+    this._wolves = Array.from({ length: wolves.count }, () => {
+      const wolf = new Wolf({ returnDelay: wolves.returnAfter });
+      wolf.waitAway({ delay: wolves.arriveAfter });
+      this._addWolfToLevel({ wolf: wolf });
+      return wolf;
+    });
+
+    this._updateSpriteLists();
+    this._settleCows();
+  }
+
+  /**
+  * Move all the cows a bit in the beginning to make sure that their directions have a chance to randomize
+  * a bit. Only the cows move, so it doesn't count toward the timer, and the wolves, the clock and the
+  * checks for winning and losing don't run, even when a level is loaded in the middle of a round.
+  */
+  _settleCows() {
+    for (let i = 0; i < GameManager._settleTicks; i++) {
+      this._collisionWorld.updateSprites();
+      this._cows.forEach(cow => cow.tick({ dt: GameManager._timestep }));
+    }
+  }
+
+  /**
+  * Build the parts of the level at the given index that don't move: the fences and patches, the ground,
+  * the collisions and the navigation grid, the flock for the cows, and the time of day and the weather.
+  * Both loading a level and loading a saved game (see GameManager.fromJSON()) build the level this way; the
+  * fences, patches, clock and weather are passed in, since a saved game has its own, and only the cows and
+  * wolves are made differently.
+  */
+  _buildLevel({ levelIndex, fences, patches, dayClock, weather }) {
+    const level = this._levels[levelIndex];
+    this._levelIndex = levelIndex;
+    this._level = level;
+    this._levelWorldSize = level.worldSize ? MathHelper.vectorFromArray(level.worldSize) : this._worldSize.copy();
+    this._maxHerdSize = level.maxHerdSize || GameManager._maxHerdSize;
+    this._levelDescription = level.description ? { text: level.description } : { key: 'descriptionInitial' };
+    this._fences = fences;
+    this._patches = patches;
+
+    // Create the ground. The level can lay out tiles like dirt paths, water and trees with "tileMap";
+    // everywhere else is grass.
+    const tileMap = level.tileMap || {};
+    this._tileMap = new TileMap({ worldSize: this._levelWorldSize, tileSize: tileMap.tileSize, rows: tileMap.rows });
+
+    // Set up the collisions and the navigation grid.
+    this._collisionWorld = new CollisionWorld();
+    this._buildObstacles();
+    this._players.forEach(player => this._addPersonToLevel({ person: player.person }));
+    this._players.forEach(player => this._addDogToLevel({ dog: player.dog }));
+
+    // All the cows belong to one flock, which keeps them from stacking on top of each other and the people.
+    // The level can tune the flock with "flock".
+    this._flock = new Flock({ settings: level.flock, collisionWorld: this._collisionWorld });
+
+    // The time of day and the weather, if the level has "daylight" and "weather". Loading a level starts
+    // new ones, and loading a saved game carries on the saved ones.
+    this._dayClock = dayClock;
+    this._weather = weather;
+  }
+
+  /**
+  * Add the level's static obstacles to the collision world: the walls of the fences, tiles like trees and
+  * the edge of the world, which the people, dogs and cows can't walk through. Then build the navigation
+  * grid from the same obstacles, so that the cows and the dogs can find their way around them. The dogs
+  * are smaller than the cows, so they fit anywhere the cows do.
+  */
+  _buildObstacles() {
+    this._fences.forEach(fence => fence.getWallColliders().forEach(wall =>
+      this._collisionWorld.addStaticCollider(wall)));
+    this._tileMap.getObstacleColliders().forEach(collider => this._collisionWorld.addStaticCollider(collider));
+    this._collisionWorld.addBoundary({
+      boundsPosition: MathHelper.VECTOR_ZERO(),
+      boundsSize: this._levelWorldSize.copy().sub(MathHelper.VECTOR_ONE().mult(GameManager._edgeWidth))
+    });
+    this._navigationGrid = new NavigationGrid({
+      collisionWorld: this._collisionWorld,
+      worldSize: this._levelWorldSize,
+      clearance: Cow._size.x * Cow._colliderScale
+    });
+  }
+
+  /**
+  * Build the level's obstacles and navigation grid again, for when a setting they are built from has
+  * changed, like Fence._wallThickness in the debug overlay's tuning panel. Everything in the level stays
+  * where it is.
+  */
+  rebuildObstacles() {
+    this._collisionWorld.removeStaticColliders();
+    this._buildObstacles();
+    this._cows.forEach(cow => cow.setNavigationGrid({ navigationGrid: this._navigationGrid }));
+    this._players.forEach(player => player.dog.setNavigationGrid({ navigationGrid: this._navigationGrid }));
+  }
+
+  /**
+  * Let a cow walk about the level: it bumps into obstacles, finds its way around them and is slowed down
+  * by the tiles.
+  */
+  _addCowToLevel({ cow }) {
+    cow.setCollisionWorld({ collisionWorld: this._collisionWorld });
+    cow.setNavigationGrid({ navigationGrid: this._navigationGrid });
+    cow.setTileMap({ tileMap: this._tileMap });
+  }
+
+  /**
+  * Let a wolf run about the level.
+  */
+  _addWolfToLevel({ wolf }) {
+    wolf.setCollisionWorld({ collisionWorld: this._collisionWorld });
+    wolf.setTileMap({ tileMap: this._tileMap });
+  }
+
+  /**
+  * Let a dog run about the level: like a cow, it bumps into obstacles, finds its way around them and is
+  * slowed down by the tiles.
+  */
+  _addDogToLevel({ dog }) {
+    dog.setCollisionWorld({ collisionWorld: this._collisionWorld });
+    dog.setNavigationGrid({ navigationGrid: this._navigationGrid });
+    dog.setTileMap({ tileMap: this._tileMap });
+  }
+
+  /**
+  * Add a player to the game, with a new person, an empty herd and a dog. Each player's person has its own
+  * look. dogCow is the cow the dog is working, while it is going around or pushing one.
+  */
+  _addPlayer() {
+    const index = this._players.length;
+    const person = new Person({
+      position: GameManager._playerStartPositions[index].copy(),
+      spriteSheetName: GameManager._playerSpriteSheets[index]
+    });
+    const dog = new Dog({ position: GameManager._playerStartPositions[index].copy().add(Dog._heelOffset) });
+    this._players.push({ person: person, herd: [], dog: dog, dogCow: null });
+
+    // If a level has already been built, the person and their dog join it straight away.
+    if (this._level) {
+      this._addPersonToLevel({ person: person });
+      this._addDogToLevel({ dog: dog });
+      this._updateSpriteLists();
+    }
+  }
+
+  /**
+  * Let a person walk about the level: they bump into its obstacles and are slowed down by its tiles.
+  */
+  _addPersonToLevel({ person }) {
+    person.setCollisionWorld({ collisionWorld: this._collisionWorld });
+    person.setTileMap({ tileMap: this._tileMap });
+  }
+
+  /**
+  * Update the lists of game objects after people join or cows are lost. The flock keeps the cows apart and
+  * away from the people and their dogs, and the collision world stops them walking through each other.
+  */
+  _updateSpriteLists() {
+    const persons = this._players.map(player => player.person);
+    const dogs = this._players.map(player => player.dog);
+    this._flock.setCows({ cows: this._cows });
+    this._flock.setAvoidedSprites({ sprites: [...persons, ...dogs] });
+    this._collisionWorld.setSprites({ sprites: [...persons, ...dogs, ...this._cows] });
+
+    // Add all the game objects to an array. The patches, fences, persons, dogs and cows arrays are
+    // "deconstructed" into individual sprites using the deconstruction operator "...". The patches come
+    // first so that they are drawn underneath everything else. The wolves aren't in it, since they aren't
+    // always on the ranch.
+    this._allSprites = [...this._patches, ...this._fences, ...persons, ...dogs, ...this._cows];
+  }
+
+  /**
+  * Pick a random position inside one of the spawn regions that isn't inside a fence. If the level
+  * doesn't list any spawn regions, the whole world (minus the edge) is used.
+  */
+  _randomSpawnPosition({ spawnRegions }) {
+    const worldBounds = this._levelWorldSize.copy().sub(
+      MathHelper.VECTOR_ONE().mult(GameManager._edgeWidth * 2));
+    const regions = spawnRegions || [{ position: [0, 0], size: [worldBounds.x, worldBounds.y] }];
+
+    let position;
+    for (let attempt = 0; attempt < GameManager._spawnAttempts; attempt++) {
+      const region = MathHelper.randomChoice({ choices: regions });
+      const regionPosition = MathHelper.vectorFromArray(region.position);
+      const regionSize = MathHelper.vectorFromArray(region.size);
+
+      // The position is kept in the world even if the region is bigger than the world.
+      position = MathHelper.constrainToBounds({
+        position: MathHelper.randomInBounds({ boundsPosition: regionPosition, boundsSize: regionSize }),
+        boundsPosition: MathHelper.VECTOR_ZERO(),
+        boundsSize: worldBounds
+      });
+
+      // Cows should start out in the field, not already in a pen or stuck in a wall.
+      const collider = { position: position, size: Cow._size.copy().mult(Cow._colliderScale) };
+      if (!this._fences.some(fence => fence.isInside({ position: position })) &&
+        !this._collisionWorld.isBlocked({ box: collider })) {
+        break;
+      }
+    }
+    return position;
+  }
+
+  /**
+  * Count the cows that are inside one of the fences.
+  */
+  _countPennedCows() {
+    return this._cows.filter(cow => this._fences.some(fence => fence.isInside({ position: cow.getPosition() })))
+      .length;
+  }
+
+  /**
+  * Tests whether the goal of the current level has been reached.
+  */
+  _isGoalMet() {
+    const goal = this._level.goal;
+    const pennedCows = this._countPennedCows();
+    switch (goal.type) {
+      // Every cow in the level has to be in a pen, so none can have been taken by a wolf.
+      case 'allCowsPenned':
+        return this._lostCowCount === 0 && pennedCows === this._level.cows.count;
+      // At least goal.count cows have to be in a pen.
+      case 'cowsPenned':
+        return pennedCows >= goal.count;
+      default:
+        throw new Error(`Unknown level goal type: ${goal.type}`);
+    }
+  }
+
+  /**
+  * Work out how many points the current level is worth: points for every penned cow, plus a bonus for
+  * every second faster than the level's par time.
+  */
+  _calculateLevelScore() {
+    const parTime = this._level.parTime || GameManager._defaultParTime;
+    const timeBonus = Math.max(parTime - this._levelTime, 0) * GameManager._pointsPerSecondUnderPar;
+    return Math.round(this._countPennedCows() * GameManager._pointsPerCow + timeBonus);
+  }
+
+  /**
+  * Tests whether there is another level after the current one.
+  */
+  _hasNextLevel() {
+    return this._levelIndex + 1 < this._levels.length;
+  }
+
+  /**
+  * Each frame, update the positions of all the game objects. dt is the amount of time between frames in
+  * seconds and input is an InputState describing what the player did this frame.
+  */
+  tick({ dt, input }) {
+    // Skip frames with a weird dt. For example, p5.js returns weird values for frameRate() before
+    // draw is called.
+    if (!dt || !isFinite(dt) || isNaN(dt)) { return; }
+
+    // Do the actions that each player pressed since the last frame. Someone who isn't playing yet joins
+    // the game by pressing any action, and that press is used up by joining.
+    input.players.forEach((playerInput, player) => {
+      if (player < this._players.length) {
+        playerInput.actions.forEach(action => this.doAction({ action: action, player: player }));
+      } else if (player === this._players.length && player < GameManager._playerSpriteSheets.length &&
+        playerInput.actions.length > 0) {
+        this._addPlayer();
+      }
+    });
+
+    // While the game is paused, nothing moves.
+    if (this._state === GameManager.STATES.PAUSED) {
+      return;
+    }
+
+    this._players.forEach((player, index) => {
+      // Move each person in the direction their player is pushing. Pushing diagonally (two keys at once)
+      // is no faster than pushing straight, and a joystick that is only pushed part way moves the person
+      // more slowly. The people can only move while playing.
+      const playerInput = input.getPlayer({ player: index });
+      if (this._state === GameManager.STATES.PLAYING) {
+        let direction = Platform.createVector(playerInput.moveX, playerInput.moveY);
+        if (direction.mag() > 1) {
+          direction = MathHelper.normalize({ vector: direction });
+        }
+        player.person.setControlledDirection({ direction: direction });
+      } else {
+        player.person.setControlledDirection({ direction: MathHelper.VECTOR_ZERO() });
+      }
+
+      // If there are cows following the person, then update the motion of the cows. The first cow in the
+      // herd follows the person and every other cow follows the cow in front of it, so they form a chain.
+      player.herd.forEach((cow, cowIndex) => {
+        const leader = cowIndex === 0 ? player.person : player.herd[cowIndex - 1];
+        cow.setTargetPosition({ position: leader.getPosition() });
+      });
+    });
+
+    // The wolves only hunt while playing, and not while the success message is showing. Then the cows
+    // run from the wolves and the dogs that are close to them.
+    if (this._state === GameManager.STATES.PLAYING && this._levelCompleteTime === null) {
+      const huntingWolves = this._tickWolves({ dt: dt });
+      this._scareCows({ huntingWolves: huntingWolves });
+    } else {
+      // Otherwise nothing is chasing the cows, so they stop running from where the wolves and dogs last were.
+      this._cows.forEach(cow => cow.unsetThreatPosition());
+    }
+
+    // Tell the dogs where their people and the cows they are working are.
+    this._tickDogs();
+
+    // Send hungry and thirsty cows to the grass and water, and let the cows know what the weather is doing
+    // to them.
+    this._tickCowNeeds();
+    const cowEffect = this._weather.getCowEffect();
+    this._cows.forEach(cow => cow.setWeatherEffect({ effect: cowEffect }));
+
+    // Update the positon of all the game objects by one frame. The person and the cows move through the
+    // collision world, which stops them at the fences and the edge of the world.
+    this._collisionWorld.updateSprites();
+    this._allSprites.forEach(sprite => sprite.tick({ dt: dt }));
+
+    // On the title screen and once the round is over, the cows keep wandering about but nothing else
+    // happens until the game is started.
+    if (this._state !== GameManager.STATES.PLAYING) {
+      return;
+    }
+
+    // Once the level is complete, wait a little while so the success message can be read and then
+    // load the next level.
+    if (this._levelCompleteTime !== null) {
+      this._levelCompleteTime += dt;
+      if (this._hasNextLevel() && this._levelCompleteTime > GameManager._levelTransitionDelay) {
+        this._loadLevel({ levelIndex: this._levelIndex + 1 });
+      }
+      return;
+    }
+
+    // Keep track of how long the round and the level have taken, and move the time of day and the weather
+    // on.
+    this._roundTime += dt;
+    this._levelTime += dt;
+    this._dayClock.tick({ dt: dt });
+    this._weather.tick({ dt: dt });
+
+    // If the wolves have taken so many cows that the goal can't be reached any more, the round is lost.
+    // This is checked first, so a level can't be won with cows that were taken.
+    if (!this._canMeetGoal()) {
+      this._lossDescription = 'descriptionCowsLost';
+      this._setState({ state: GameManager.STATES.LOST });
+      return;
+    }
+
+    // If the goal of the level has been reached, then the level is won. If it's the last level, the
+    // round is won too.
+    if (this._isGoalMet()) {
+      const levelScore = this._calculateLevelScore();
+      this._score += levelScore;
+
+      if (!this._hasNextLevel()) {
+        this._setState({ state: GameManager.STATES.WON });
+        return;
+      }
+
+      this._levelCompleteTime = 0;
+      this._setDescription({
+        message: { key: 'descriptionLevelSuccess', values: { points: levelScore } },
+        fontSize: GameManager._descriptionSuccessFontSize
+      });
+      return;
+    }
+
+    // If the level has a time limit and it has run out, the round is lost.
+    if (this._level.timeLimit && this._levelTime > this._level.timeLimit) {
+      this._lossDescription = 'descriptionTimeUp';
+      this._setState({ state: GameManager.STATES.LOST });
+      return;
+    }
+
+    // If night falls before the cows are home, the round is lost too.
+    if (this._dayClock.isNightfall()) {
+      this._lossDescription = 'descriptionNightfall';
+      this._setState({ state: GameManager.STATES.LOST });
+    }
+  }
+
+  /**
+  * Decide what each wolf does this frame, and move it. A wolf that is on the ranch chases the nearest
+  * loose cow, and runs away if a person gets close or once it has caught a cow. If it gets close to a herd,
+  * the herd scatters. Returns the wolves that are still hunting.
+  */
+  _tickWolves({ dt }) {
+    const huntingWolves = [];
+
+    this._wolves.forEach(wolf => {
+      if (wolf.isReadyToArrive()) {
+        wolf.arrive({ position: this._randomEdgePosition() });
+      }
+
+      if (wolf.getState() === Wolf.STATES.HUNTING) {
+        const wolfPosition = wolf.getPosition();
+        const prey = this._findNearestLooseCow({ position: wolfPosition });
+        const personPosition = this._findNearestPerson({ position: wolfPosition }).getPosition();
+
+        // Walking up to a wolf scares it off. If there is nothing left to chase, it leaves too. Either way,
+        // it runs away from the nearest person.
+        if (wolfPosition.dist(personPosition) < Wolf._scareRange || !prey) {
+          wolf.runAway({ from: personPosition });
+        } else if (wolfPosition.dist(prey.getPosition()) < Wolf._catchRange) {
+          this._loseCow({ cow: prey });
+          wolf.runAway({ from: personPosition });
+        } else {
+          wolf.setTargetPosition({ position: prey.getPosition() });
+          huntingWolves.push(wolf);
+        }
+      }
+
+      wolf.tick({ dt: dt });
+    });
+
+    // If a hunting wolf gets close to any cow in a herd, that whole herd scatters.
+    this._players.forEach(player => {
+      const isHerdInDanger = player.herd.some(cow => huntingWolves.some(wolf =>
+        wolf.getPosition().dist(cow.getPosition()) < Wolf._scatterRange));
+      if (isHerdInDanger) {
+        player.herd.slice().forEach(cow => this._releaseCow({ cow: cow }));
+      }
+    });
+
+    return huntingWolves;
+  }
+
+  /**
+  * Make the loose cows run away from the nearest hunting wolf or pushing dog that is close to them. A dog
+  * only scares the cows right in front of it, so it can walk a cow along without scattering the others.
+  */
+  _scareCows({ huntingWolves }) {
+    const dogs = this._players.map(player => player.dog);
+    this._cows.filter(cow => !this._isInHerd({ cow: cow })).forEach(cow => {
+      const cowPosition = cow.getPosition();
+      const threats = [
+        ...huntingWolves.filter(wolf => cowPosition.dist(wolf.getPosition()) < Cow._fleeRange),
+        ...dogs.filter(dog => dog.isPressuring({ position: cowPosition }))
+      ];
+      threats.sort((threat, otherThreat) =>
+        cowPosition.dist(threat.getPosition()) - cowPosition.dist(otherThreat.getPosition()));
+
+      if (threats.length > 0) {
+        cow.setThreatPosition({ position: threats[0].getPosition() });
+      } else {
+        cow.unsetThreatPosition();
+      }
+    });
+  }
+
+  /**
+  * Tell each dog where its person is, and where the cow it is working is and which way that cow should go.
+  * A dog that has been sent to work keeps working the same cow until it is home, led away or taken, then
+  * moves on to the loose cow nearest to it. Once there are no loose cows left, it comes back to heel.
+  */
+  _tickDogs() {
+    this._players.forEach(player => {
+      const dog = player.dog;
+      dog.setHeelPosition({ position: player.person.getPosition() });
+      const state = dog.getState();
+      if (state !== Dog.STATES.GOING_AROUND && state !== Dog.STATES.PUSHING) {
+        player.dogCow = null;
+        return;
+      }
+
+      if (!player.dogCow || !this._cows.includes(player.dogCow) || !this._isLoose({ cow: player.dogCow })) {
+        player.dogCow = this._findNearestLooseCow({ position: dog.getPosition() });
+        dog.unsetCow();
+      }
+      if (!player.dogCow) {
+        dog.heel();
+        return;
+      }
+      const cowPosition = player.dogCow.getPosition();
+      dog.setCow({ position: cowPosition, destination: this._findCowDestination({ position: cowPosition }) });
+    });
+  }
+
+  /**
+  * Find where a dog should walk a cow at the given position to get it into the nearest pen. The cow is
+  * walked to the entrance just outside the pen's opening first, and once it is there (or already in the
+  * opening), into the middle of the pen.
+  */
+  _findCowDestination({ position }) {
+    const pens = this._fences.slice();
+    pens.sort((pen, otherPen) => position.dist(pen.getPosition()) - position.dist(otherPen.getPosition()));
+    const distance = GameManager._dogEntranceDistance;
+    const entrance = pens[0].getEntrancePosition({ distance: distance });
+    const opening = pens[0].getEntrancePosition({ distance: 0 });
+    const isAtEntrance = position.dist(entrance) < distance || position.dist(opening) < distance;
+    return isAtEntrance ? pens[0].getPosition() : entrance;
+  }
+
+  /**
+  * Send each cow that wants to eat or drink to the nearest patch of grass or water. A cow in a pen only
+  * goes to patches in the same pen, and a loose cow only goes to patches outside the pens, so that cows
+  * don't try to walk through the fences.
+  */
+  _tickCowNeeds() {
+    this._cows.forEach(cow => {
+      const patchType = cow.getWantedPatchType();
+      if (!patchType) {
+        return;
+      }
+
+      const cowPosition = cow.getPosition();
+      const pen = this._findPen({ position: cowPosition });
+      const patches = this._patches.filter(patch =>
+        patch.getType() === patchType && this._findPen({ position: patch.getPosition() }) === pen);
+      if (patches.length === 0) {
+        return;
+      }
+
+      // Sort the patches so that the closest one comes first, and head for a random spot in it. The spot
+      // is kept away from the edge of the patch so that the cow looks like it is standing on it.
+      patches.sort((patch, otherPatch) =>
+        cowPosition.dist(patch.getPosition()) - cowPosition.dist(otherPatch.getPosition()));
+      cow.headForPatch({
+        patch: patches[0],
+        spot: MathHelper.randomInBounds({
+          boundsPosition: patches[0].getPosition(),
+          boundsSize: patches[0].getSize().mult(GameManager._patchSpotScale)
+        })
+      });
+    });
+  }
+
+  /**
+  * Find the fence whose pen the given position is inside, or null if it isn't in a pen.
+  */
+  _findPen({ position }) {
+    return this._fences.find(fence => fence.isInside({ position: position })) || null;
+  }
+
+  /**
+  * Find the person who is nearest to the given position.
+  */
+  _findNearestPerson({ position }) {
+    const persons = this._players.map(player => player.person);
+    persons.sort((person, otherPerson) =>
+      position.dist(person.getPosition()) - position.dist(otherPerson.getPosition()));
+    return persons[0];
+  }
+
+  /**
+  * Tests whether a cow is in any player's herd.
+  */
+  _isInHerd({ cow }) {
+    return this._players.some(player => player.herd.includes(cow));
+  }
+
+  /**
+  * Tests whether a cow is loose: it isn't in a herd or in a pen.
+  */
+  _isLoose({ cow }) {
+    return !this._isInHerd({ cow: cow }) && !this._findPen({ position: cow.getPosition() });
+  }
+
+  /**
+  * Find the loose cow nearest to the given position, for a wolf to chase or a dog to work. Returns null if
+  * there isn't one.
+  */
+  _findNearestLooseCow({ position }) {
+    const looseCows = this._cows.filter(cow => this._isLoose({ cow: cow }));
+
+    // Sort the cows so that the closest one comes first.
+    looseCows.sort((cow, otherCow) =>
+      position.dist(cow.getPosition()) - position.dist(otherCow.getPosition()));
+    return looseCows[0] || null;
+  }
+
+  /**
+  * Pick a random position just inside one of the edges of the world, where a wolf can come onto the ranch.
+  */
+  _randomEdgePosition() {
+    const halfBounds = this._levelWorldSize.copy().sub(
+      MathHelper.VECTOR_ONE().mult(GameManager._edgeWidth * 2)).mult(0.5);
+    const side = MathHelper.randomChoice({
+      choices: [MathHelper.VECTOR_LEFT(), MathHelper.VECTOR_RIGHT(), MathHelper.VECTOR_UP(), MathHelper.VECTOR_DOWN()]
+    });
+    const along = (Platform.random() - 0.5) * 2;
+
+    // side points from the middle of the world to the edge. The position is somewhere along that edge.
+    return Platform.createVector(
+      side.x !== 0 ? side.x * halfBounds.x : along * halfBounds.x,
+      side.y !== 0 ? side.y * halfBounds.y : along * halfBounds.y);
+  }
+
+  /**
+  * A wolf caught a cow, so take it out of the level. Any dog working it moves on to another cow.
+  */
+  _loseCow({ cow }) {
+    if (this._isInHerd({ cow: cow })) {
+      this._releaseCow({ cow: cow });
+    }
+    this._players.filter(player => player.dogCow === cow).forEach(player => { player.dogCow = null; });
+    this._cows = this._cows.filter(otherCow => otherCow !== cow);
+    this._updateSpriteLists();
+    this._lostCowCount++;
+  }
+
+  /**
+  * Tests whether the goal of the current level can still be reached with the cows that are left. If every
+  * cow has to be penned, no cows can be lost.
+  */
+  _canMeetGoal() {
+    const goal = this._level.goal;
+    switch (goal.type) {
+      case 'allCowsPenned':
+        return this._lostCowCount === 0;
+      case 'cowsPenned':
+        return this._cows.length >= goal.count;
+      default:
+        throw new Error(`Unknown level goal type: ${goal.type}`);
+    }
+  }
+
+  /**
+  * Get all the game objects in the order they should be drawn.
+  */
+  getAllSprites() {
+    return [...this._allSprites, ...this._wolves.filter(wolf => wolf.isPresent())];
+  }
+
+  /**
+  * Get the text that describes what is going on in the game, in the language being played in.
+  */
+  getDescriptionText() {
+    return Localization.getMessageText({ message: this._descriptionMessage });
+  }
+
+  /**
+  * Get the font size the description text should be drawn with.
+  */
+  getDescriptionFontSize() {
+    return this._descriptionFontSize;
+  }
+
+  /**
+  * Get the size of the playing field of the current level. The world is centered on (0, 0).
+  */
+  getWorldSize() {
+    return this._levelWorldSize.copy();
+  }
+
+  /**
+  * Get the size of the playing field for levels that don't give their own size.
+  */
+  getDefaultWorldSize() {
+    return this._worldSize.copy();
+  }
+
+  /**
+  * Get the seed of the random number generator.
+  */
+  getSeed() {
+    return this._seed;
+  }
+
+  /**
+  * Get a hash of the position and velocity of every game object. If two games have the same hash, they
+  * are (almost certainly) in exactly the same state. This is useful to check that a replay played back
+  * the same way it was recorded.
+  */
+  getStateHash() {
+    const state = this.getAllSprites().map(sprite => [
+      sprite.getImageName(), sprite.getPosition().x, sprite.getPosition().y,
+      sprite.getVelocity().x, sprite.getVelocity().y
+    ]);
+    return MathHelper.hashString({ text: JSON.stringify([this._levelIndex, state]) });
+  }
+
+  /**
+  * Get everything about the game as a plain JSON object, so that it can be saved and carried on later
+  * with GameManager.fromJSON(). The save has the level data and the state of the random number generator
+  * too, so the loaded game carries on exactly the same way as this one would. It is also a handy way to
+  * share a game situation in a bug report.
+  */
+  toJSON() {
+    return {
+      version: GameManager.SAVE_VERSION,
+      seed: this._seed,
+      randomState: this._random.getState(),
+      worldSize: MathHelper.vectorToArray(this._worldSize),
+      levels: this._levels,
+      state: this._state,
+      score: this._score,
+      roundTime: this._roundTime,
+      levelIndex: this._levelIndex,
+      levelTime: this._levelTime,
+      levelCompleteTime: this._levelCompleteTime,
+      lostCowCount: this._lostCowCount,
+      dayClock: this._dayClock.toJSON(),
+      weather: this._weather.toJSON(),
+      assist: this._assist,
+      description: { message: this._descriptionMessage, fontSize: this._descriptionFontSize },
+      descriptionBeforePause: this._descriptionBeforePause || null,
+      lossDescription: this._lossDescription || null,
+      fences: this._fences.map(fence => fence.toJSON()),
+      patches: this._patches.map(patch => patch.toJSON()),
+      cows: this._cows.map(cow => cow.toJSON()),
+      wolves: this._wolves.map(wolf => wolf.toJSON()),
+      // Each herd, and the cow each dog is working, are saved as the positions of the cows in the list of
+      // cows.
+      players: this._players.map(player => ({
+        person: player.person.toJSON(),
+        herd: player.herd.map(cow => this._cows.indexOf(cow)),
+        dog: player.dog.toJSON(),
+        dogCow: player.dogCow ? this._cows.indexOf(player.dogCow) : null
+      }))
+    };
+  }
+
+  /**
+  * Set up the game from a save made by toJSON(). This is instead of setup(): the level is built from the
+  * saved level data, and the game objects are made from the saved ones instead of from scratch.
+  */
+  _loadJSON({ data }) {
+    this._assist = data.assist;
+
+    // Load the people and their dogs first, so that they are put in the level as it is built.
+    this._players = data.players.map(player => ({
+      person: Person.fromJSON({ data: player.person }),
+      herd: [],
+      dog: Dog.fromJSON({ data: player.dog }),
+      dogCow: null
+    }));
+    this._title = GameManager._createTitle();
+
+    this._state = data.state;
+    this._score = data.score;
+    this._roundTime = data.roundTime;
+    this._buildLevel({
+      levelIndex: data.levelIndex,
+      fences: data.fences.map(fence => Fence.fromJSON({ data: fence })),
+      patches: data.patches.map(patch => Patch.fromJSON({ data: patch })),
+      dayClock: DayClock.fromJSON({ data: data.dayClock }),
+      weather: Weather.fromJSON({ data: data.weather })
+    });
+    this._levelTime = data.levelTime;
+    this._levelCompleteTime = data.levelCompleteTime;
+    this._lostCowCount = data.lostCowCount;
+    this._setDescription(data.description);
+    this._descriptionBeforePause = data.descriptionBeforePause;
+    this._lossDescription = data.lossDescription;
+
+    this._cows = data.cows.map(cow => {
+      const loadedCow = Cow.fromJSON({ data: cow, flock: this._flock, patches: this._patches });
+      this._addCowToLevel({ cow: loadedCow });
+      return loadedCow;
+    });
+    this._wolves = data.wolves.map(wolf => {
+      const loadedWolf = Wolf.fromJSON({ data: wolf });
+      this._addWolfToLevel({ wolf: loadedWolf });
+      return loadedWolf;
+    });
+    this._players.forEach((player, index) => {
+      const playerData = data.players[index];
+      this._addPersonToLevel({ person: player.person });
+      this._addDogToLevel({ dog: player.dog });
+      player.herd = playerData.herd.map(cowIndex => this._cows[cowIndex]);
+      player.dogCow = playerData.dogCow !== null ? this._cows[playerData.dogCow] : null;
+    });
+    this._updateSpriteLists();
+
+    // Making the game objects used up some random numbers, so the random number generator is set up last.
+    this._random = new SeededRandom({ seed: this._seed });
+    this._random.setState({ state: data.randomState });
+    Platform.configure({ random: () => this._random.next() });
+  }
+
+  /**
+  * Get the score of the round so far.
+  */
+  getScore() {
+    return this._score;
+  }
+
+  /**
+  * Get how many seconds the round has been going for.
+  */
+  getRoundTime() {
+    return this._roundTime;
+  }
+
+  /**
+  * Get how many seconds are left before the level's time limit, or null if the level has no time limit.
+  */
+  getLevelTimeLeft() {
+    return this._level.timeLimit ? Math.max(this._level.timeLimit - this._levelTime, 0) : null;
+  }
+
+  /**
+  * Get the clock that keeps the time of day in the level (see DayClock).
+  */
+  getDayClock() {
+    return this._dayClock;
+  }
+
+  /**
+  * Get the level's weather (see Weather).
+  */
+  getWeather() {
+    return this._weather;
+  }
+
+  /**
+  * Get how many cows are in a pen, how many cows the level started with, and how many the wolves took.
+  */
+  getCowCounts() {
+    return { penned: this._countPennedCows(), total: this._level.cows.count, lost: this._lostCowCount };
+  }
+
+  /**
+  * Get the game state. It is one of the GameManager.STATES.
+  */
+  getState() {
+    return this._state;
+  }
+
+  /**
+  * Tests whether the round is over, either because every level was completed or because time ran out.
+  */
+  isGameOver() {
+    return this._state === GameManager.STATES.WON || this._state === GameManager.STATES.LOST;
+  }
+
+  /**
+  * Tests whether the goal of the level has been reached. It stays true until the next level starts, or for
+  * good once the last level is won.
+  */
+  isLevelComplete() {
+    return this._levelCompleteTime !== null || this._state === GameManager.STATES.WON;
+  }
+
+  /**
+  * Get the person that the first player controls.
+  */
+  getPerson() {
+    return this._players[0].person;
+  }
+
+  /**
+  * Get the players, first player first, as { person, herd, dog, dogCow }. herd is the cows following the
+  * person, in the order they line up, and dogCow is the cow their dog is working, or null if it isn't
+  * working one.
+  */
+  getPlayers() {
+    return this._players.map(player => ({
+      person: player.person,
+      herd: player.herd.slice(),
+      dog: player.dog,
+      dogCow: player.dogCow
+    }));
+  }
+
+  /**
+  * Get the point in the middle of all the people, for things that should keep every player in view.
+  */
+  getPlayersCenter() {
+    const center = MathHelper.VECTOR_ZERO();
+    this._players.forEach(player => center.add(player.person.getPosition()));
+    return center.mult(1 / this._players.length);
+  }
+
+  /**
+  * Get all the cows in the level.
+  */
+  getCows() {
+    return this._cows.slice();
+  }
+
+  /**
+  * Get all the wolves in the level, including the ones that are away from the ranch.
+  */
+  getWolves() {
+    return this._wolves.slice();
+  }
+
+  /**
+  * Get all the fences in the level.
+  */
+  getFences() {
+    return this._fences.slice();
+  }
+
+  /**
+  * Get the ground of the level.
+  */
+  getTileMap() {
+    return this._tileMap;
+  }
+
+  /**
+  * Get the data of all the levels, as it was given to the constructor.
+  */
+  getLevels() {
+    return this._levels;
+  }
+
+  /**
+  * Get all the patches of grass and water in the level.
+  */
+  getPatches() {
+    return this._patches.slice();
+  }
+
+  /**
+  * Get how close to a cow a person needs to be to lead it. It is further in assist mode.
+  */
+  getCowRange() {
+    return GameManager._cowRange * (this._assist ? GameManager._assistCowRangeScale : 1);
+  }
+
+  /**
+  * Tests whether assist mode is on.
+  */
+  isAssistOn() {
+    return this._assist;
+  }
+
+  /**
+  * Get the index of the current level in the level data.
+  */
+  getLevelIndex() {
+    return this._levelIndex;
+  }
+
+  /**
+  * Get the title, which is shown on the title screen.
+  */
+  getTitleSprite() {
+    return this._title;
+  }
+
+  /**
+  * Get the cows that are following any of the people.
+  */
+  getHerd() {
+    return this._players.flatMap(player => player.herd);
+  }
+
+  /**
+  * Do one of the GameManager.ACTIONS. This is called when a player presses the key or button that the
+  * action is bound to. player is the index of the player who pressed it; any player can start or pause the
+  * game, and leading and releasing cows uses that player's person and herd.
+  */
+  doAction({ action, player = 0 }) {
+    const STATES = GameManager.STATES;
+    const ACTIONS = GameManager.ACTIONS;
+    switch (this._state) {
+      // On the title screen, the start action starts playing. The lead action does too, so that players
+      // with only a gamepad button or a touch screen can start.
+      case STATES.TITLE:
+        if (action === ACTIONS.START || action === ACTIONS.LEAD) {
+          this._setState({ state: STATES.PLAYING });
+        }
+        return;
+
+      // While paused, the pause action carries on playing and the start action goes back to the title
+      // screen.
+      case STATES.PAUSED:
+        if (action === ACTIONS.PAUSE) {
+          this._setState({ state: STATES.PLAYING });
+        } else if (action === ACTIONS.START) {
+          this.restart();
+        }
+        return;
+
+      // Once the round is over, the only thing to do is start again.
+      case STATES.WON:
+      case STATES.LOST:
+        if (action === ACTIONS.START || action === ACTIONS.LEAD) {
+          this.restart();
+        }
+        return;
+    }
+
+    // The rest of the actions are for playing.
+    if (action === ACTIONS.PAUSE) {
+      this._setState({ state: STATES.PAUSED });
+      return;
+    }
+
+    // The lead action adds the nearest loose cow within range to the end of the player's herd. If there
+    // isn't one, or the herd is already as big as it can be, it releases the last cow in the herd instead.
+    // Cows in another player's herd can't be taken.
+    const herd = this._players[player].herd;
+    if (action === ACTIONS.LEAD) {
+      const cowInRange = this._findLooseCowInRange({ player: player });
+      // Stubborn cows sometimes refuse to follow. Then nothing happens, and the player can try again.
+      if (cowInRange && herd.length < this._maxHerdSize) {
+        if (cowInRange.tryToLead()) {
+          herd.push(cowInRange);
+        }
+      } else if (herd.length > 0) {
+        this._releaseCow({ cow: herd[herd.length - 1] });
+      }
+    }
+
+    // The release herd action releases every cow in the player's herd.
+    if (action === ACTIONS.RELEASE_HERD) {
+      herd.slice().forEach(cow => this._releaseCow({ cow: cow }));
+    }
+
+    // The dog actions tell the player's dog what to do. Going around and pushing work the loose cow
+    // nearest the dog (see _tickDogs()).
+    const dog = this._players[player].dog;
+    switch (action) {
+      case ACTIONS.DOG_AROUND:
+        dog.goAround();
+        break;
+      case ACTIONS.DOG_PUSH:
+        dog.push();
+        break;
+      case ACTIONS.DOG_STAY:
+        dog.stay();
+        break;
+      case ACTIONS.DOG_HEEL:
+        dog.heel();
+        break;
+    }
+  }
+
+  /**
+  * Find the nearest cow within range of a player's person that isn't already in a herd.
+  */
+  _findLooseCowInRange({ player }) {
+    const personPosition = this._players[player].person.getPosition();
+    const cowsInRange = this._cows.filter(cow =>
+      !this._isInHerd({ cow: cow }) && personPosition.dist(cow.getPosition()) < this.getCowRange());
+
+    // Sort the cows so that the closest one comes first.
+    cowsInRange.sort((cow, otherCow) =>
+      personPosition.dist(cow.getPosition()) - personPosition.dist(otherCow.getPosition()));
+    return cowsInRange[0] || null;
+  }
+
+  /**
+  * Let a cow in a herd go. The cows behind it move up and follow the cow that was in front of it.
+  */
+  _releaseCow({ cow }) {
+    cow.unsetTargetPosition();
+    this._players.forEach(player => {
+      player.herd = player.herd.filter(herdCow => herdCow !== cow);
+    });
+  }
+}
+
+/*
+* Set up the game settings. This doesn't load any resources, so it can be called with or without p5.js.
+*/
+GameManager.configure = () => {
+  // The size of the title and how far it is from the top of the screen.
+  // TODO: Could be worth encapsulating the title and description text in a class.
+  GameManager._titleSize = Platform.createVector(400, 60);
+  GameManager._titleMargin = 60;
+
+  // Set the description text properties. The text itself is in strings.js, in every language.
+  GameManager._descriptionInitialFontSize = 18;
+  GameManager._descriptionSuccessFontSize = 24;
+
+  // How many seconds to show the success message before loading the next level.
+  GameManager._levelTransitionDelay = 3;
+  // How many times to try to find a cow spawn position that isn't inside a fence.
+  GameManager._spawnAttempts = 20;
+
+  // The size of the world for levels that don't give their own "worldSize". It doesn't depend on the size
+  // of the window; the camera scrolls around worlds that are bigger than the window.
+  GameManager._defaultWorldSize = Platform.createVector(1280, 800);
+  // _edgeWidth is an invisible border around the edge that the cows and person should not be able to to.
+  GameManager._edgeWidth = 80;
+  // How close to a cow the person needs to be to lead it.
+  GameManager._cowRange = 50;
+  // In assist mode, the person can lead cows from this many times further away, and the cows move this
+  // many times as fast (so they are slower and easier to keep up with.)
+  GameManager._assistCowRangeScale = 1.8;
+  GameManager._assistCowSpeedScale = 0.7;
+  // A dog walks a cow to the entrance this far outside the pen's opening, and then into the pen.
+  GameManager._dogEntranceDistance = 80;
+  // The most cows that can follow each person at once. Levels can change this with "maxHerdSize".
+  GameManager._maxHerdSize = 5;
+  // Cows head for a random spot in the middle part of a patch. This is how big that part is compared to
+  // the whole patch.
+  GameManager._patchSpotScale = 0.8;
+  // The sprite sheet for each player's person, so that everyone can tell their own person apart. There
+  // can be as many players as there are sprite sheets. Each player starts the level at their own position.
+  GameManager._playerSpriteSheets = ['person', 'person2'];
+  GameManager._playerStartPositions = [MathHelper.VECTOR_ZERO(), Platform.createVector(40, 0)];
+
+  // Scoring: points for every cow in a pen at the end of a level, and points for every second the level
+  // was finished faster than its par time. Levels can set their own "parTime" in seconds.
+  GameManager._pointsPerCow = 100;
+  GameManager._pointsPerSecondUnderPar = 10;
+  GameManager._defaultParTime = 90;
+  // The amount of time in seconds that the game moves forward in each tick. Using the same amount every
+  // tick (instead of the time between frames) means the game plays out the same way on every computer.
+  GameManager._timestep = 1.0 / 30;
+  // How many ticks the cows move about for when a level is loaded, before anyone can see them.
+  GameManager._settleTicks = 10;
+  // The most ticks to do in one frame. If the computer is too slow to keep up, the game slows down
+  // instead of freezing.
+  GameManager._maxTicksPerFrame = 5;
+
+  // Configure each class's settings as well.
+  AnimatingSprite.configure();
+  Person.configure();
+  Fence.configure();
+  Cow.configure();
+  Wolf.configure();
+  Dog.configure();
+  Flock.configure();
+  DayClock.configure();
+  Weather.configure();
+  TileMap.configure();
+  NavigationGrid.configure();
+  CollisionWorld.configure();
+}
+
+/**
+ * The actions the player can do, other than moving. The keys and buttons for each action are set up by
+ * the input code (see InputBindings), so the game itself doesn't know about keys.
+ */
+GameManager.ACTIONS = Object.freeze({
+  // Add the nearest cow to the herd, or let the last cow go.
+  LEAD: 'lead',
+  // Let the whole herd go.
+  RELEASE_HERD: 'releaseHerd',
+  // Pause the game, or carry on playing.
+  PAUSE: 'pause',
+  // Start playing from the title screen, or start over.
+  START: 'start',
+  // Send the dog around to the far side of the nearest loose cow.
+  DOG_AROUND: 'dogAround',
+  // Have the dog push the nearest loose cow toward the pen.
+  DOG_PUSH: 'dogPush',
+  // Have the dog stay where it is.
+  DOG_STAY: 'dogStay',
+  // Call the dog back to follow the person.
+  DOG_HEEL: 'dogHeel'
+});
+
+/**
+ * The states the game can be in.
+ */
+GameManager.STATES = Object.freeze({
+  // The title screen, before the round starts. The cows wander about in the background.
+  TITLE: 'title',
+  // The player is herding cows.
+  PLAYING: 'playing',
+  // Nothing moves until the game carries on.
+  PAUSED: 'paused',
+  // Every level was completed.
+  WON: 'won',
+  // The round was lost: a wolf took too many cows, time ran out on a level, or night fell before the
+  // cows were home.
+  LOST: 'lost'
+});
+
+/**
+ * The states that each state can change to. restart() can always go back to the title screen.
+ */
+GameManager._transitions = {
+  title: ['playing'],
+  playing: ['paused', 'won', 'lost', 'title'],
+  paused: ['playing', 'title'],
+  won: ['title'],
+  lost: ['title']
+};
+
+/**
+ * Fill in the {names} in the text with the values, for example
+ * formatText({ text: "{score} points", values: { score: 10 } }) returns "10 points".
+ */
+GameManager.formatText = ({ text, values }) =>
+  text.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+
+/**
+ * Make a game from a save made by GameManager.toJSON(). The game is ready to tick, without calling setup().
+ * Saves from a different version of the game can't be loaded, since they might not have everything the game
+ * needs.
+ */
+GameManager.fromJSON = ({ data }) => {
+  if (data.version !== GameManager.SAVE_VERSION) {
+    throw new Error(`Unsupported save version: ${data.version}`);
+  }
+  const gameManager = new GameManager({
+    worldSize: MathHelper.vectorFromArray(data.worldSize),
+    levels: data.levels,
+    seed: data.seed
+  });
+  gameManager._loadJSON({ data: data });
+  return gameManager;
+};
+
+/**
+ * The version of the save format made by GameManager.toJSON(). It should be changed whenever the game
+ * changes in a way that old saves can't be loaded any more.
+ */
+GameManager.SAVE_VERSION = 8;
+
+/**
+ * Create the title. It is only shown on the title screen, at the top of the screen rather than somewhere
+ * in the world, so its position is measured from the top middle of the screen.
+ */
+GameManager._createTitle = () => new Sprite({
+  imageName: 'title',
+  size: GameManager._titleSize.copy(),
+  position: Platform.createVector(0, GameManager._titleMargin),
+  velocity: MathHelper.VECTOR_ZERO()
+});
+
+/**
+ * Format a number of seconds as minutes and seconds, like "1:05".
+ */
+GameManager.formatTime = ({ seconds }) => {
+  const wholeSeconds = Math.floor(seconds);
+  return `${Math.floor(wholeSeconds / 60)}:${String(wholeSeconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * This calls GameManager.tick() with a fixed timestep. Each frame, it is told how much time has passed and
+ * ticks the game as many times as fit in that time. The leftover time is saved for the next frame.
+ */
+class FixedTimestepLoop {
+  /**
+   * recorder is optional. If it is given, the input of every tick is recorded with it.
+   */
+  constructor({ gameManager, recorder = null }) {
+    this._gameManager = gameManager;
+    this._recorder = recorder;
+    this._accumulatedTime = 0;
+  }
+
+  /**
+   * Move the game forward by elapsedTime seconds. inputSource is asked for an InputState once per tick by
+   * calling its takeInputState(); if it returns null, there is no more input and the game stops. Returns
+   * the number of ticks that were done.
+   */
+  advance({ elapsedTime, inputSource }) {
+    // Skip frames with a weird elapsed time. For example, p5.js returns weird values for frameRate()
+    // before draw is called.
+    if (!elapsedTime || !isFinite(elapsedTime) || isNaN(elapsedTime)) { return 0; }
+
+    const timestep = GameManager._timestep;
+    this._accumulatedTime = Math.min(
+      this._accumulatedTime + elapsedTime, timestep * GameManager._maxTicksPerFrame);
+
+    let ticks = 0;
+    while (this._accumulatedTime >= timestep) {
+      const input = inputSource.takeInputState();
+      if (!input) { break; }
+
+      if (this._recorder) {
+        this._recorder.record({ input: input });
+      }
+      this._gameManager.tick({ dt: timestep, input: input });
+
+      this._accumulatedTime -= timestep;
+      ticks++;
+    }
+    return ticks;
+  }
+}
+
+/**
+ * This is the base class for game objects. It stores the a game object's image name, 
+ * position and velocity and has a tick(dt) function to calculate the new position
+ * every frame. The image name is the name of the image file without ".png"; the renderer
+ * looks up the actual image.
+ */
+class Sprite {
+  /**
+   * colliderScale is how big the sprite's collider is compared to its size. Images usually have empty
+   * space around the edges, so the collider is often smaller than the image.
+   */
+  constructor({ imageName, size, position, velocity, colliderScale = 1 }) {
+    this._imageName = imageName;
+    this._size = size.copy();
+    this._position = position.copy();
+    this._velocity = velocity.copy();
+    this._colliderScale = colliderScale;
+
+    // The collision world the sprite moves through. Without one, the sprite moves through everything.
+    this._collisionWorld = null;
+    // The ground the sprite moves over. Without one, the sprite always moves at its normal speed.
+    this._tileMap = null;
+  }
+
+  /**
+   * Advance the animation one frame. For a Sprite, that means updating the position.
+   */
+  tick({ dt }) {
+    // Update the position. Multiplying velocity by dt converts from per second to per frame, and the
+    // ground can make the sprite faster or slower.
+    const speedFactor = this._tileMap ? this._tileMap.getSpeedFactor({ position: this._position }) : 1;
+    const displacement = this.getVelocity().mult(dt * speedFactor);
+    if (!this._collisionWorld) {
+      this._position.add(displacement);
+      return;
+    }
+
+    // Move through the collision world. If a wall is in the way, the sprite stops moving in that
+    // direction but keeps moving (sliding) in the other one.
+    const move = this._collisionWorld.moveBox({ box: this.getCollider(), displacement: displacement });
+    this._position = move.position;
+    if (move.blockedX) {
+      this._velocity.x = 0;
+    }
+    if (move.blockedY) {
+      this._velocity.y = 0;
+    }
+    if (move.blockedX || move.blockedY) {
+      this._onBlocked({ blockedX: move.blockedX, blockedY: move.blockedY });
+    }
+  }
+
+  /**
+   * This is called when the sprite runs into a wall. Subclasses can override it to react, for example by
+   * turning around.
+   */
+  _onBlocked({ blockedX, blockedY }) {
+  }
+
+  /**
+   * Set the collision world the sprite moves through.
+   */
+  setCollisionWorld({ collisionWorld }) {
+    this._collisionWorld = collisionWorld;
+  }
+
+  /**
+   * Set the ground the sprite moves over.
+   */
+  setTileMap({ tileMap }) {
+    this._tileMap = tileMap;
+  }
+
+  /**
+   * Get the box around the sprite that is used for collisions.
+   */
+  getCollider() {
+    return { position: this.getPosition(), size: this.getSize().mult(this._colliderScale) };
+  }
+
+  /**
+   * Get the name of the image to draw for the game object.
+   */
+  getImageName() {
+    return this._imageName;
+  }
+
+  /**
+   * Get the angle in radians that the image should be rotated by when it is drawn.
+   */
+  getRotation() {
+    return 0;
+  }
+
+  /**
+   * Get the size to draw the image at, before it is rotated.
+   */
+  getImageSize() {
+    return this.getSize();
+  }
+
+  /**
+   * Change the velocity of the game object.
+   */
+  setVelocity({ velocity: velocity }) {
+    // Vectors are always copied when we don't want their value to be overwritten by a calculation.
+    // This is an quirk of p5.Vector implementation.
+    this._velocity = velocity.copy();
+  }
+
+  /**
+  * Get the velocity of the game object.
+  */
+  getVelocity() {
+    return this._velocity.copy();
+  }
+
+  /**
+  * Change the position of the game object.
+  */
+  setPosition({ position: position }) {
+    this._position = position.copy();
+  }
+
+  /**
+  * Get the position of the game object.
+  */
+  getPosition() {
+    return this._position.copy();
+  }
+
+  /**
+  * Change the size of the game object.
+  */
+  setSize({ size: size }) {
+    this._size = size.copy();
+  }
+
+  /**
+  * Get the size of the game object.
+  */
+  getSize() {
+    return this._size.copy();
+  }
+
+  /**
+   * Get the game object as a plain JSON object, so that it can be saved. Vectors are written as [x, y]
+   * arrays, like in the level data. Subclasses add whatever else they need to carry on where they left
+   * off, and load it again in _loadJSON().
+   */
+  toJSON() {
+    return {
+      imageName: this._imageName,
+      size: MathHelper.vectorToArray(this._size),
+      position: MathHelper.vectorToArray(this._position),
+      velocity: MathHelper.vectorToArray(this._velocity),
+      colliderScale: this._colliderScale
+    };
+  }
+
+  /**
+   * Carry on from a save made by toJSON(). The collision world and the ground aren't saved; whoever loads
+   * the game object sets them again.
+   */
+  _loadJSON({ data }) {
+    this._imageName = data.imageName;
+    this._size = MathHelper.vectorFromArray(data.size);
+    this._position = MathHelper.vectorFromArray(data.position);
+    this._velocity = MathHelper.vectorFromArray(data.velocity);
+    this._colliderScale = data.colliderScale;
+  }
+}
+
+/**
+ * Make a game object from a save made by Sprite.toJSON().
+ */
+Sprite.fromJSON = ({ data }) => new Sprite({
+  imageName: data.imageName,
+  size: MathHelper.vectorFromArray(data.size),
+  position: MathHelper.vectorFromArray(data.position),
+  velocity: MathHelper.vectorFromArray(data.velocity),
+  colliderScale: data.colliderScale
+});
+
+/**
+ * This is the class for game objects that change their image every frame (for example, the cow and person.)
+ * to do flipbook style animation. The animations come from the asset manifest (assets.json): each kind of
+ * game object has a sprite sheet there, with named animation clips (see AnimatingSprite.CLIPS) and how
+ * many frames each one has in each direction. A game object can face eight directions, but a sheet only
+ * needs frames for the four sides; a sheet without diagonal frames shows the side frames for the
+ * diagonals. The manifest has to be given to AnimatingSprite.setSpriteSheets() before any AnimatingSprite
+ * is created.
+ *
+ * Each tick, the game object picks the clip that fits what it is doing (see _chooseClip()), which loops
+ * until it picks another one. A clip can also be played once with playClip(), for example when a cow is
+ * startled, and then it goes back to picking its own clip. When the clip changes, the old image fades out
+ * over the new one for a moment, so the change isn't so sudden.
+ */
+class AnimatingSprite extends Sprite {
+  /**
+   * spriteSheetName is the name of the game object's sprite sheet in the asset manifest, like "cow".
+   */
+  constructor({ spriteSheetName, size, position, velocity, colliderScale }) {
+    // Check the sprite sheet has been set up before anything else, so a missing one is easy to spot.
+    AnimatingSprite._getClip({ spriteSheetName: spriteSheetName, clipName: AnimatingSprite.CLIPS.WALK });
+    super({
+      imageName: AnimatingSprite.imageName({
+        spriteSheetName: spriteSheetName,
+        clipName: AnimatingSprite.CLIPS.WALK,
+        direction: 'down',
+        frame: 0
+      }),
+      size: size.copy(),
+      position: position.copy(),
+      velocity: velocity.copy(),
+      colliderScale: colliderScale
+    });
+
+    // The images are named after the sprite sheet, the clip, the direction and the frame, like
+    // "cow_walk_left_2".
+    this._spriteSheetName = spriteSheetName;
+
+    // The direction the game object is facing, which is one of the AnimatingSprite.DIRECTIONS. It is the
+    // direction it last moved in, so it keeps facing the same way when it stops.
+    this._direction = 'down';
+
+    // The clip being played, and whether it was started by playClip() and so should only be played once.
+    this._clipName = AnimatingSprite.CLIPS.WALK;
+    this._isPlayingOnce = false;
+    // How long the clip has been playing in seconds, and how far the game object has moved since it
+    // started. Clips like walking change frames as the game object moves, so the legs keep up with it when
+    // it speeds up; the others change frames as time goes by.
+    this._clipTime = 0;
+    this._clipDistance = 0;
+    // The frame of the clip being shown. It is null just after a clip starts, until its first frame is shown.
+    this._frame = null;
+
+    // The image from before the clip changed, and how many more seconds it takes to fade out.
+    this._blendImageName = null;
+    this._blendTime = 0;
+
+    // The functions to call when the frame changes (see onFrameChange()).
+    this._frameListeners = [];
+  }
+
+  /**
+   * Update the position and animation variables.
+   */
+  tick({ dt }) {
+    this._updateDirection();
+
+    // Unless a clip is being played once, switch to the clip that fits what the game object is doing.
+    if (!this._isPlayingOnce) {
+      this._startClip({ clipName: this._chooseClip() });
+    }
+    this._blendTime = Math.max(this._blendTime - dt, 0);
+    this._advanceClip({ dt: dt });
+
+    // Call the parent (Sprite's) tick(dt) to have it perform the basic position calculations.
+    super.tick({ dt: dt });
+  }
+
+  /**
+   * Play a clip once from the start, then go back to the clip that fits what the game object is doing.
+   * clipName is one of the AnimatingSprite.CLIPS.
+   */
+  playClip({ clipName }) {
+    this._startClip({ clipName: clipName, restart: true });
+    this._isPlayingOnce = true;
+  }
+
+  /**
+   * Call listener with { sprite, clipName, direction, frame } every time the game object shows a new frame,
+   * including the first frame of each clip. This can be used to do something at a certain point in a
+   * clip, like playing a sound when a hoof touches the ground.
+   */
+  onFrameChange(listener) {
+    this._frameListeners.push(listener);
+  }
+
+  /**
+   * Get the name of the clip being played. It is one of the AnimatingSprite.CLIPS.
+   */
+  getClipName() {
+    return this._clipName;
+  }
+
+  /**
+   * Get the direction the game object is facing. It is one of the AnimatingSprite.DIRECTIONS.
+   */
+  getDirection() {
+    return this._direction;
+  }
+
+  /**
+   * Get the image to fade out on top of the current one just after the clip has changed, as
+   * { imageName, weight }, where weight goes from 1 (only the old image shows) down to 0. Returns null when
+   * there is nothing to fade out.
+   */
+  getBlend() {
+    if (this._blendTime <= 0) {
+      return null;
+    }
+    return { imageName: this._blendImageName, weight: this._blendTime / AnimatingSprite._blendDuration };
+  }
+
+  /**
+   * Decide which clip fits what the game object is doing. It walks while it is moving and idles while it
+   * isn't. A sheet without an IDLE clip keeps showing the walking frame it stopped on instead, since the
+   * walk only changes frames as the game object moves. Subclasses can override this to pick other clips.
+   */
+  _chooseClip() {
+    if (this._velocity.mag() === 0 && this._hasClip({ clipName: AnimatingSprite.CLIPS.IDLE })) {
+      return AnimatingSprite.CLIPS.IDLE;
+    }
+    return AnimatingSprite.CLIPS.WALK;
+  }
+
+  /**
+   * Face the direction the game object is moving in, out of the eight directions. If it isn't moving, it
+   * keeps facing the same way.
+   */
+  _updateDirection() {
+    if (this._velocity.mag() === 0) {
+      return;
+    }
+    // The directions go round clockwise from right, one every eighth of a turn, so the angle of the velocity
+    // (with y pointing down the screen) is rounded to the nearest eighth of a turn.
+    const eighths = Math.round(Math.atan2(this._velocity.y, this._velocity.x) / (Math.PI / 4));
+    const count = AnimatingSprite.DIRECTIONS.length;
+    this._direction = AnimatingSprite.DIRECTIONS[((eighths % count) + count) % count];
+  }
+
+  /**
+   * Switch to the given clip, unless it is already playing. If restart is true, the clip starts again from
+   * the beginning even if it is already playing.
+   */
+  _startClip({ clipName, restart = false }) {
+    if (clipName === this._clipName && !restart) {
+      return;
+    }
+    if (clipName !== this._clipName) {
+      this._blendImageName = this._imageName;
+      this._blendTime = AnimatingSprite._blendDuration;
+    }
+    this._clipName = clipName;
+    this._isPlayingOnce = false;
+    this._clipTime = 0;
+    this._clipDistance = 0;
+    this._frame = null;
+  }
+
+  /**
+   * Move the clip along and show the right frame of it. A clip that is played once goes back to the clip
+   * that fits what the game object is doing after its last frame.
+   */
+  _advanceClip({ dt }) {
+    this._clipTime += dt;
+    this._clipDistance += this._velocity.mag() * dt;
+
+    let clip = AnimatingSprite._getClip({ spriteSheetName: this._spriteSheetName, clipName: this._clipName });
+    let frame = this._frameOfClip({ clip: clip });
+    if (this._isPlayingOnce && frame >= clip.frameCount) {
+      this._startClip({ clipName: this._chooseClip(), restart: true });
+      clip = AnimatingSprite._getClip({ spriteSheetName: this._spriteSheetName, clipName: this._clipName });
+      frame = 0;
+    }
+    frame %= clip.frameCount;
+
+    // If the sheet doesn't have frames for a diagonal, the side it is closest to is shown instead.
+    const sheetDirection = this._direction in clip.rows ?
+      this._direction : AnimatingSprite._diagonalSides[this._direction];
+    this._imageName = AnimatingSprite.imageName({
+      spriteSheetName: this._spriteSheetName, clipName: this._clipName, direction: sheetDirection, frame: frame
+    });
+    if (frame !== this._frame) {
+      this._frame = frame;
+      this._frameListeners.forEach(listener => listener({
+        sprite: this, clipName: this._clipName, direction: this._direction, frame: frame
+      }));
+    }
+  }
+
+  /**
+   * Tests whether the game object's sprite sheet has the given clip. Only WALK has to be there, so a
+   * game object checks before it plays one of the others.
+   */
+  _hasClip({ clipName }) {
+    return clipName in AnimatingSprite._spriteSheets[this._spriteSheetName].clips;
+  }
+
+  /**
+   * Work out which frame of the clip should be showing, counting from the start of the clip. It can be past
+   * the last frame; looping clips wrap around.
+   */
+  _frameOfClip({ clip }) {
+    if (clip.distancePerFrame) {
+      return Math.floor(this._clipDistance / clip.distancePerFrame);
+    }
+    return Math.floor(this._clipTime * clip.framesPerSecond);
+  }
+
+  /**
+   * Save where the animation is up to as well, so it doesn't jump when the game is loaded. The frame
+   * listeners aren't saved; they belong to whoever is listening.
+   */
+  toJSON() {
+    return Object.assign(super.toJSON(), {
+      spriteSheetName: this._spriteSheetName,
+      direction: this._direction,
+      clipName: this._clipName,
+      isPlayingOnce: this._isPlayingOnce,
+      clipTime: this._clipTime,
+      clipDistance: this._clipDistance,
+      frame: this._frame,
+      blendImageName: this._blendImageName,
+      blendTime: this._blendTime
+    });
+  }
+
+  _loadJSON({ data }) {
+    super._loadJSON({ data: data });
+    this._spriteSheetName = data.spriteSheetName;
+    this._direction = data.direction;
+    this._clipName = data.clipName;
+    this._isPlayingOnce = data.isPlayingOnce;
+    this._clipTime = data.clipTime;
+    this._clipDistance = data.clipDistance;
+    this._frame = data.frame;
+    this._blendImageName = data.blendImageName;
+    this._blendTime = data.blendTime;
+  }
+}
+
+/**
+ * The animation clips. Every sprite sheet needs WALK; the others are optional, and a game object falls back
+ * to walking (or standing on a walking frame) when its sheet doesn't have them.
+ */
+AnimatingSprite.CLIPS = Object.freeze({
+  // Standing still.
+  IDLE: 'idle',
+  // Moving about.
+  WALK: 'walk',
+  // Eating or drinking, with the head down.
+  GRAZE: 'graze',
+  // A jump in surprise, played once.
+  STARTLED: 'startled'
+});
+
+/**
+ * The directions that an AnimatingSprite can face, going round clockwise from right. A sprite sheet says
+ * which row of frames to use for each of them.
+ */
+AnimatingSprite.DIRECTIONS = ['right', 'downRight', 'down', 'downLeft', 'left', 'upLeft', 'up', 'upRight'];
+
+/**
+ * The side that is shown for each diagonal when a sprite sheet doesn't have frames for it. The animals are
+ * longer than they are tall, so their side view looks closest when they walk at an angle.
+ */
+AnimatingSprite._diagonalSides = { downRight: 'right', downLeft: 'left', upLeft: 'left', upRight: 'right' };
+
+/**
+ * Get the name of one image in an animation clip, for example "cow_walk_left_2".
+ */
+AnimatingSprite.imageName = ({ spriteSheetName, clipName, direction, frame }) =>
+  `${spriteSheetName}_${clipName}_${direction}_${frame}`;
+
+/**
+ * Set the sprite sheets from the asset manifest, which say what clips each kind of game object has. The
+ * simulation only needs to know how many frames each clip has and how fast they go; the renderer cuts the
+ * images out of the sheets.
+ */
+AnimatingSprite.setSpriteSheets = ({ spriteSheets }) => {
+  AnimatingSprite._spriteSheets = spriteSheets;
+};
+
+/**
+ * Get one clip from the sprite sheets, like { frameCount, distancePerFrame, rows }.
+ */
+AnimatingSprite._getClip = ({ spriteSheetName, clipName }) => {
+  const spriteSheet = (AnimatingSprite._spriteSheets || {})[spriteSheetName];
+  if (!spriteSheet) {
+    throw new Error(`No sprite sheet named "${spriteSheetName}" has been set from the asset manifest`);
+  }
+  const clip = spriteSheet.clips[clipName];
+  if (!clip) {
+    throw new Error(`The "${spriteSheetName}" sprite sheet has no "${clipName}" clip`);
+  }
+  return clip;
+};
+
+/**
+ * Configure the animation settings.
+ */
+AnimatingSprite.configure = () => {
+  // How many seconds the old image takes to fade out when the clip changes.
+  AnimatingSprite._blendDuration = 0.15;
+}
+
+/**
+ * Encapsulates a cow. A cow is always in one of the Cow.STATES. The GameManager decides who it follows,
+ * which wolf it runs away from and which patch of grass or water it heads for, and the cow works out how
+ * to get there. Cows get hungry and thirsty over time, and each cow has its own traits, like how fast and
+ * how stubborn it is.
+ */
+class Cow extends AnimatingSprite {
+  /**
+   * flock is the Flock the cow belongs to. It is optional; a cow without a flock moves on its own. traits
+   * is optional too; without it, the cow gets random traits (see Cow.randomTraits()).
+   */
+  constructor({ position, flock = null, traits = Cow.randomTraits() }) {
+    super({
+      spriteSheetName: 'cow',
+      colliderScale: Cow._colliderScale,
+
+      size: Cow._size.copy(),
+      position: position.copy(),
+      velocity: MathHelper.VECTOR_ZERO()
+    });
+
+    this._flock = flock;
+    this._traits = Object.assign({}, traits);
+    this._state = Cow.STATES.IDLE;
+
+    // This is the velocity the cow picked for itself while randomly moving about, before the flock
+    // steers it.
+    this._wanderVelocity = MathHelper.VECTOR_ZERO();
+
+    // When a following cow runs into a wall, it slides along the other axis for a little while.
+    this._slideAxis = null;
+    this._slideTime = 0;
+
+    // The position of a nearby wolf that the cow is running away from, or null if there isn't one.
+    this._threatPosition = null;
+
+    // What the weather is doing to the cow (see Weather.getCowEffect()). The GameManager sets it each frame.
+    this._weatherEffect = {
+      speedScale: 1,
+      behavior: Weather.COW_BEHAVIORS.NONE,
+      windDirection: MathHelper.VECTOR_ZERO()
+    };
+
+    // How hungry and thirsty the cow is, from 0 (not at all) to 1 (very). They start out different for
+    // each cow, so that the cows don't all get hungry at once.
+    this._needs = {
+      hunger: Platform.random() * Cow._startingNeed,
+      thirst: Platform.random() * Cow._startingNeed
+    };
+
+    // The patch the cow is heading for (or eating or drinking at) and the spot in it that it's heading
+    // for. isFeeding is true once it has got there.
+    this._patch = null;
+    this._patchSpot = null;
+    this._isFeeding = false;
+    // After giving up on getting to a patch, the cow waits this long before trying again.
+    this._patchCooldown = 0;
+
+    // How much longer the cow refuses to be led.
+    this._resistTime = 0;
+
+    // The grid the cow finds its way around obstacles with. Without one, the cow walks straight toward
+    // where it wants to go. path is the list of positions the cow is walking through to get there,
+    // pathCell is the grid cell of the destination that the path was found for, and repathTime is how
+    // long until the cow looks for a new path anyway.
+    this._navigationGrid = null;
+    this._path = null;
+    this._pathCell = null;
+    this._repathTime = 0;
+  }
+
+  /**
+   * Update the position and animation variables.
+   */
+  tick({ dt }) {
+    this._updateNeeds({ dt: dt });
+    this._resistTime = Math.max(this._resistTime - dt, 0);
+    this._patchCooldown = Math.max(this._patchCooldown - dt, 0);
+    const previousState = this._state;
+    this._state = this._chooseState();
+
+    // A cow that has just noticed a wolf jumps in surprise as it starts to run, if its sprite sheet has a
+    // clip for it.
+    if (this._state === Cow.STATES.FLEEING && previousState !== Cow.STATES.FLEEING &&
+      this._hasClip({ clipName: AnimatingSprite.CLIPS.STARTLED })) {
+      this.playClip({ clipName: AnimatingSprite.CLIPS.STARTLED });
+    }
+
+    // Each state has its own way of moving.
+    switch (this._state) {
+      // Following the person: tickTarget(dt) towards the target position.
+      case Cow.STATES.FOLLOWING:
+        this._tickTarget({ dt: dt });
+        break;
+      // A wolf is close: tickFleeing(dt) and run away from it.
+      case Cow.STATES.FLEEING:
+        this._tickFleeing({ dt: dt });
+        break;
+      // The cow has just refused to be led, so it stands its ground.
+      case Cow.STATES.RESISTING:
+        this._velocity = MathHelper.VECTOR_ZERO();
+        break;
+      // The cow is at a patch: tickFeeding(dt) to eat or drink.
+      case Cow.STATES.GRAZING:
+      case Cow.STATES.DRINKING:
+        this._tickFeeding({ dt: dt });
+        break;
+      // Otherwise, the cow heads for the patch it wants, or tickNormal(dt) and randomly move about.
+      default:
+        if (this._patch) {
+          this._tickSeeking({ dt: dt });
+        } else {
+          this._tickNormal({ dt: dt });
+          this._state = this._wanderVelocity.mag() > 0 ? Cow.STATES.WANDERING : Cow.STATES.IDLE;
+        }
+    }
+
+    // The weather can make the cow faster or slower, whatever it is doing.
+    this._velocity = this._velocity.copy().mult(this._weatherEffect.speedScale);
+
+    // Let the flock adjust the velocity so that the cow keeps its distance from the others (and moves with
+    // the herd, if the level turns flocking on.)
+    if (this._flock) {
+      this._velocity = this._flock.steer({
+        cow: this,
+        velocity: this._velocity,
+        maxSpeed: this._getMaxSpeed(),
+        isFollowing: this._state === Cow.STATES.FOLLOWING
+      });
+    }
+
+    // Call the parent (AnimatingSprite's) tick(dt) to handle updating the animation sequence and position.
+    super.tick({ dt: dt });
+  }
+
+  /**
+   * Decide which state the cow is in. Following the person comes first, then running away from wolves,
+   * then refusing to be led, then eating and drinking.
+   */
+  _chooseState() {
+    if (this._targetPosition) {
+      return Cow.STATES.FOLLOWING;
+    }
+    if (this._threatPosition) {
+      return Cow.STATES.FLEEING;
+    }
+    if (this._resistTime > 0) {
+      return Cow.STATES.RESISTING;
+    }
+    if (this._patch) {
+      // Once the cow gets to its spot, it stays there until it has had enough.
+      if (!this._isFeeding && this._position.dist(this._patchSpot) < Cow._arrivalDistance) {
+        this._isFeeding = true;
+      }
+      if (this._isFeeding) {
+        return this._patch.getType() === Patch.TYPES.WATER ? Cow.STATES.DRINKING : Cow.STATES.GRAZING;
+      }
+      return Cow.STATES.WANDERING;
+    }
+    return this._wanderVelocity.mag() > 0 ? Cow.STATES.WANDERING : Cow.STATES.IDLE;
+  }
+
+  /**
+   * Cows put their heads down while they eat and drink, if their sprite sheet has a clip for it. Otherwise
+   * they walk or stand about like any other animal.
+   */
+  _chooseClip() {
+    const isEating = this._state === Cow.STATES.GRAZING || this._state === Cow.STATES.DRINKING;
+    if (isEating && this._hasClip({ clipName: AnimatingSprite.CLIPS.GRAZE })) {
+      return AnimatingSprite.CLIPS.GRAZE;
+    }
+    return super._chooseClip();
+  }
+
+  /**
+   * The cow gets hungrier and thirstier as time goes by.
+   */
+  _updateNeeds({ dt }) {
+    this._needs.hunger = Math.min(this._needs.hunger + this._traits.hungerRate * dt, 1);
+    this._needs.thirst = Math.min(this._needs.thirst + this._traits.thirstRate * dt, 1);
+  }
+
+  /**
+   * Get the fastest the cow can move in its current state.
+   */
+  _getMaxSpeed() {
+    const speedScale = this._weatherEffect.speedScale;
+    switch (this._state) {
+      case Cow.STATES.FOLLOWING:
+        return this._traits.targetSpeed * speedScale;
+      case Cow.STATES.FLEEING:
+        return this._traits.fleeSpeed * speedScale;
+      default:
+        return this._traits.normalSpeed * speedScale;
+    }
+  }
+
+  /**
+   * This is the following the person case. Set the motion of the cow to be toward the person, along a
+   * path around anything in the way. If the cow is close to the person, then don't move at all.
+   */
+  _tickTarget({ dt }) {
+    if (this._navigationGrid && this._position.dist(this._targetPosition) <= Cow._targetPadding) {
+      this._velocity = MathHelper.VECTOR_ZERO();
+      return;
+    }
+    const pathVelocity = this._steerAlongPath({
+      destination: this._targetPosition, speed: this._traits.targetSpeed, dt: dt
+    });
+    if (pathVelocity) {
+      this._velocity = pathVelocity;
+      return;
+    }
+
+    // Without a path, the cow walks toward the person, but only along x or y.
+    // The cow normally moves along x first. If it recently ran into a wall, it moves along the other
+    // direction for a little while instead, so that it slides along the wall rather than pushing into it.
+    this._slideTime = Math.max(this._slideTime - dt, 0);
+    const slideAxis = this._slideTime > 0 ? this._slideAxis : null;
+    const preferY = slideAxis === 'y';
+
+    // Work out which way the cow needs to go along x and along y (-1, 1, or 0 if it is close enough.)
+    // While sliding, the cow lines up exactly with the target along the sliding direction, which gets it
+    // through gaps like the fence opening.
+    const offset = this._targetPosition.copy().sub(this._position);
+    const paddingX = slideAxis === 'x' ? 1 : Cow._targetPadding;
+    const paddingY = slideAxis === 'y' ? 1 : Cow._targetPadding;
+    const directionX = Math.abs(offset.x) > paddingX ? Math.sign(offset.x) : 0;
+    const directionY = Math.abs(offset.y) > paddingY ? Math.sign(offset.y) : 0;
+
+    if (directionX !== 0 && !(preferY && directionY !== 0)) {
+      this._velocity = MathHelper.VECTOR_RIGHT().mult(directionX * this._traits.targetSpeed);
+    } else if (directionY !== 0) {
+      this._velocity = MathHelper.VECTOR_DOWN().mult(directionY * this._traits.targetSpeed);
+    } else {
+      this._velocity = MathHelper.VECTOR_ZERO();
+    }
+  }
+
+  /**
+   * When a cow walking along a path runs into a wall, it finds a new path. Otherwise, when the cow runs
+   * into a wall while following, it slides along the wall for a little while. When it runs into a wall on
+   * the way to a patch, it gives up on the patch for a while. When it runs into a wall while wandering, it
+   * turns around.
+   */
+  _onBlocked({ blockedX, blockedY }) {
+    // A cow walking along a path looks for a new one, in case it was pushed off the old one.
+    if (this._path) {
+      this._path = null;
+      return;
+    }
+
+    if (this._targetPosition) {
+      this._slideAxis = blockedX ? 'y' : 'x';
+      this._slideTime = Cow._slideDuration;
+      return;
+    }
+
+    if (this._patch && !this._isFeeding) {
+      this.leavePatch();
+      this._patchCooldown = Cow._patchCooldown;
+    }
+
+    if (blockedX) {
+      this._wanderVelocity.x *= -1;
+    }
+    if (blockedY) {
+      this._wanderVelocity.y *= -1;
+    }
+  }
+
+  /**
+   * This is the normal motion case. With a probability of 1/10 every second, either have
+   * the cow move in a random direction or if it is already moving, have it stop. The cow doesn't walk
+   * toward obstacles it can see ahead of it. In bad weather, the cow wanders the way the weather sends it
+   * instead of in a random direction, and a cow scattered by thunder keeps changing direction and never
+   * stops.
+   */
+  _tickNormal({ dt }) {
+    const isScattering = this._weatherEffect.behavior === Weather.COW_BEHAVIORS.SCATTER;
+    let probability = 0.1 * dt * (isScattering ? Cow._scatterRestlessness : 1);
+    let roll = Platform.random();
+
+    // If the cow is about to walk into something, turn around.
+    if (!this._isClearAhead({ direction: this._wanderVelocity })) {
+      this._wanderVelocity.mult(-1);
+    }
+
+    // The 1/10 chance of changing motion has manifested.
+    if (roll < probability) {
+      // If the cow is moving, stop the cow.
+      // Otehrwise, have it move in a random direction.
+      if (this._wanderVelocity.mag() > 0 && !isScattering) {
+        this._wanderVelocity = MathHelper.VECTOR_ZERO();
+      } else {
+        const choices = [
+          MathHelper.VECTOR_LEFT(),
+          MathHelper.VECTOR_RIGHT(),
+          MathHelper.VECTOR_UP(),
+          MathHelper.VECTOR_DOWN()
+        ].filter(direction => this._isClearAhead({ direction: direction }));
+        if (choices.length > 0) {
+          this._wanderVelocity = this._chooseWanderDirection({ choices: choices }).mult(this._traits.normalSpeed);
+        }
+      }
+    }
+
+    this._velocity = this._wanderVelocity.copy();
+  }
+
+  /**
+   * Pick which of the directions to wander in. In calm weather it is a random one; otherwise it is the one
+   * closest to the way the weather sends the cow.
+   */
+  _chooseWanderDirection({ choices }) {
+    const weatherDirection = this._getWeatherDirection();
+    if (!weatherDirection) {
+      return MathHelper.randomChoice({ choices: choices });
+    }
+    const alignment = direction => direction.x * weatherDirection.x + direction.y * weatherDirection.y;
+    return choices.reduce((best, direction) => (alignment(direction) > alignment(best) ? direction : best));
+  }
+
+  /**
+   * Get the way the weather sends the cow, or null if it can wander anywhere. A huddling cow heads for the
+   * middle of the cows near it, until it is close enough, and a scattering cow heads away from it. A
+   * drifting cow goes with the wind. A cow without a flock doesn't know where the others are, so it only
+   * drifts.
+   */
+  _getWeatherDirection() {
+    const BEHAVIORS = Weather.COW_BEHAVIORS;
+    const behavior = this._weatherEffect.behavior;
+    if (behavior === BEHAVIORS.DRIFT) {
+      return this._weatherEffect.windDirection;
+    }
+    if ((behavior !== BEHAVIORS.HUDDLE && behavior !== BEHAVIORS.SCATTER) || !this._flock) {
+      return null;
+    }
+
+    const center = this._flock.getNeighborCenter({ cow: this, radius: Cow._huddleRadius });
+    if (!center) {
+      return null;
+    }
+    const toCenter = center.sub(this._position);
+    if (behavior === BEHAVIORS.SCATTER) {
+      return toCenter.mult(-1);
+    }
+    return toCenter.mag() > Cow._huddleDistance ? toCenter : null;
+  }
+
+  /**
+   * Tests whether there is nothing in the way a little ahead of the cow in the given direction. Without a
+   * navigation grid, the cow can't see obstacles, so the way always looks clear.
+   */
+  _isClearAhead({ direction }) {
+    if (!this._navigationGrid || direction.mag() === 0) {
+      return true;
+    }
+    const ahead = MathHelper.normalize({ vector: direction }).mult(Cow._lookAheadDistance);
+    return this._navigationGrid.isWalkable({ position: this._position.copy().add(ahead) });
+  }
+
+  /**
+   * This is the running away case, which takes over from the normal motion while a wolf is close. The cow
+   * runs straight away from the wolf. Once the wolf is gone, it keeps wandering the same way, but slower.
+   */
+  _tickFleeing({ dt }) {
+    const away = MathHelper.normalize({ vector: this._position.copy().sub(this._threatPosition) });
+    this._velocity = away.copy().mult(this._traits.fleeSpeed);
+    this._wanderVelocity = away.mult(this._traits.normalSpeed);
+  }
+
+  /**
+   * This is the heading for a patch case. The cow walks along a path to its spot in the patch. If there
+   * is no way there, it gives up on the patch for a while. Without a navigation grid, it walks straight
+   * toward the spot.
+   */
+  _tickSeeking({ dt }) {
+    const pathVelocity = this._steerAlongPath({
+      destination: this._patchSpot, speed: this._traits.normalSpeed, dt: dt
+    });
+    if (pathVelocity) {
+      this._velocity = pathVelocity;
+    } else if (this._navigationGrid) {
+      this.leavePatch();
+      this._patchCooldown = Cow._patchCooldown;
+      this._velocity = MathHelper.VECTOR_ZERO();
+    } else {
+      const toSpot = this._patchSpot.copy().sub(this._position);
+      this._velocity = MathHelper.normalize({ vector: toSpot }).mult(this._traits.normalSpeed);
+    }
+  }
+
+  /**
+   * Get the velocity that takes the cow along its path to the destination, finding a new path if the
+   * destination has moved to another grid cell or it is time to look again. Returns null if the cow has
+   * no navigation grid or there is no way there.
+   */
+  _steerAlongPath({ destination, speed, dt }) {
+    if (!this._navigationGrid) {
+      return null;
+    }
+
+    this._repathTime -= dt;
+    const destinationCell = this._navigationGrid.getCell({ position: destination });
+    if (!this._path || destinationCell !== this._pathCell || this._repathTime <= 0) {
+      this._path = this._navigationGrid.findPath({ from: this._position, to: destination });
+      this._pathCell = destinationCell;
+      this._repathTime = Cow._repathInterval;
+    }
+    if (!this._path) {
+      return null;
+    }
+
+    // Once the cow gets close to the next position on the path, it heads for the one after.
+    while (this._path.length > 1 && this._position.dist(this._path[0]) < Cow._waypointDistance) {
+      this._path.shift();
+    }
+    return MathHelper.normalize({ vector: this._path[0].copy().sub(this._position) }).mult(speed);
+  }
+
+  /**
+   * This is the eating or drinking case. The cow stands still and gets less hungry (or thirsty) until it
+   * has had enough, and then it goes back to wandering about.
+   */
+  _tickFeeding({ dt }) {
+    this._velocity = MathHelper.VECTOR_ZERO();
+    const need = this._state === Cow.STATES.DRINKING ? 'thirst' : 'hunger';
+    this._needs[need] = Math.max(this._needs[need] - Cow._feedRate * dt, 0);
+    if (this._needs[need] === 0) {
+      this.leavePatch();
+    }
+  }
+
+  /**
+   * Get the type of patch the cow wants to go to, or null if it doesn't need one right now. A cow that is
+   * already at a patch, following, running away or that has just given up on a patch doesn't want one.
+   */
+  getWantedPatchType() {
+    if (this._patch || this._patchCooldown > 0 || this._targetPosition || this._threatPosition) {
+      return null;
+    }
+
+    // If the cow is both hungry and thirsty, it goes for whichever it needs most.
+    const { hunger, thirst } = this._needs;
+    if (Math.max(hunger, thirst) < Cow._needThreshold) {
+      return null;
+    }
+    return thirst > hunger ? Patch.TYPES.WATER : Patch.TYPES.GRASS;
+  }
+
+  /**
+   * Head for a spot in a patch, to eat or drink there.
+   */
+  headForPatch({ patch, spot }) {
+    this._patch = patch;
+    this._patchSpot = spot.copy();
+    this._isFeeding = false;
+    this._path = null;
+  }
+
+  /**
+   * Stop heading for (or eating or drinking at) a patch.
+   */
+  leavePatch() {
+    this._patch = null;
+    this._patchSpot = null;
+    this._isFeeding = false;
+    this._path = null;
+  }
+
+  /**
+   * This is called when the person tries to lead the cow. Stubborn cows sometimes refuse, and then
+   * refuse again for a little while. Returns whether the cow agreed to follow.
+   */
+  tryToLead() {
+    if (this._resistTime > 0) {
+      return false;
+    }
+    if (Platform.random() < this._traits.stubbornness) {
+      this._resistTime = Cow._resistDuration;
+      this._state = Cow.STATES.RESISTING;
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Get the state the cow is in. It is one of the Cow.STATES.
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Get how hungry and thirsty the cow is, from 0 to 1.
+   */
+  getNeeds() {
+    return Object.assign({}, this._needs);
+  }
+
+  /**
+   * Get the cow's traits.
+   */
+  getTraits() {
+    return Object.assign({}, this._traits);
+  }
+
+  /**
+   * Change the velocity of the cow. The cow keeps wandering in the new direction.
+   */
+  setVelocity({ velocity: velocity }) {
+    super.setVelocity({ velocity: velocity });
+    this._wanderVelocity = velocity.copy();
+  }
+
+  /**
+   * Get the position the cow is following, or null if it isn't following anything.
+   */
+  getTargetPosition() {
+    return this._targetPosition ? this._targetPosition.copy() : null;
+  }
+
+  /**
+   * Start following the target. A cow that is following forgets about the patch it was heading for.
+   */
+  setTargetPosition({ position }) {
+    this._targetPosition = position;
+    this.leavePatch();
+  }
+
+  /**
+   * Stop following the target, and forget the way to it.
+   */
+  unsetTargetPosition() {
+    this._targetPosition = null;
+    this._path = null;
+  }
+
+  /**
+   * Multiply some of the cow's speeds, like { normalSpeed: 2 } to make it wander twice as fast. The debug
+   * overlay's tuning panel uses this when it changes the speed settings, so the cows in the level speed up
+   * or slow down straight away and stay as much faster or slower than each other as they were.
+   */
+  scaleSpeeds({ scales }) {
+    Object.entries(scales).forEach(([name, scale]) => { this._traits[name] *= scale; });
+  }
+
+  /**
+   * Set the grid the cow uses to find its way around obstacles.
+   */
+  setNavigationGrid({ navigationGrid }) {
+    this._navigationGrid = navigationGrid;
+  }
+
+  /**
+   * Start running away from a wolf or a dog at the given position.
+   */
+  setThreatPosition({ position }) {
+    this._threatPosition = position;
+  }
+
+  /**
+   * Stop running away, because nothing is chasing the cow any more.
+   */
+  unsetThreatPosition() {
+    this._threatPosition = null;
+  }
+
+  /**
+   * Set what the weather is doing to the cow. effect is from Weather.getCowEffect().
+   */
+  setWeatherEffect({ effect }) {
+    this._weatherEffect = effect;
+  }
+
+  /**
+   * Save everything the cow is thinking about too: what it is doing, what it needs, where it is going and
+   * how it is getting there. The patch it is heading for is saved as its level data, since the patch
+   * itself is part of the level.
+   */
+  toJSON() {
+    const vectorOrNull = vector => (vector ? MathHelper.vectorToArray(vector) : null);
+    return Object.assign(super.toJSON(), {
+      traits: Object.assign({}, this._traits),
+      state: this._state,
+      wanderVelocity: MathHelper.vectorToArray(this._wanderVelocity),
+      slideAxis: this._slideAxis,
+      slideTime: this._slideTime,
+      targetPosition: vectorOrNull(this._targetPosition),
+      threatPosition: vectorOrNull(this._threatPosition),
+      needs: Object.assign({}, this._needs),
+      patch: this._patch ? this._patch.toJSON() : null,
+      patchSpot: vectorOrNull(this._patchSpot),
+      isFeeding: this._isFeeding,
+      patchCooldown: this._patchCooldown,
+      resistTime: this._resistTime,
+      path: this._path ? this._path.map(position => MathHelper.vectorToArray(position)) : null,
+      pathCell: this._pathCell,
+      repathTime: this._repathTime
+    });
+  }
+
+  /**
+   * patches are the patches of the level the cow is loaded into. The cow goes back to heading for the one
+   * it was saved heading for.
+   */
+  _loadJSON({ data, patches = [] }) {
+    const vectorOrNull = array => (array ? MathHelper.vectorFromArray(array) : null);
+    super._loadJSON({ data: data });
+    this._traits = Object.assign({}, data.traits);
+    this._state = data.state;
+    this._wanderVelocity = MathHelper.vectorFromArray(data.wanderVelocity);
+    this._slideAxis = data.slideAxis;
+    this._slideTime = data.slideTime;
+    this._targetPosition = vectorOrNull(data.targetPosition);
+    this._threatPosition = vectorOrNull(data.threatPosition);
+    this._needs = Object.assign({}, data.needs);
+    const patchText = JSON.stringify(data.patch);
+    this._patch = data.patch ? patches.find(patch => JSON.stringify(patch.toJSON()) === patchText) || null : null;
+    this._patchSpot = this._patch ? vectorOrNull(data.patchSpot) : null;
+    this._isFeeding = this._patch ? data.isFeeding : false;
+    this._patchCooldown = data.patchCooldown;
+    this._resistTime = data.resistTime;
+    this._path = data.path ? data.path.map(position => MathHelper.vectorFromArray(position)) : null;
+    this._pathCell = data.pathCell;
+    this._repathTime = data.repathTime;
+  }
+}
+
+/**
+ * Make a cow from a save made by Cow.toJSON(). flock and patches are the level's flock and patches, like
+ * the ones given to the constructor and _loadJSON().
+ */
+Cow.fromJSON = ({ data, flock = null, patches = [] }) => {
+  const cow = new Cow({ position: MathHelper.vectorFromArray(data.position), flock: flock, traits: data.traits });
+  cow._loadJSON({ data: data, patches: patches });
+  return cow;
+};
+
+/**
+ * The things a cow can be doing.
+ */
+Cow.STATES = Object.freeze({
+  // Standing around.
+  IDLE: 'idle',
+  // Walking about, or walking to a patch.
+  WANDERING: 'wandering',
+  // Eating at a patch of grass.
+  GRAZING: 'grazing',
+  // Drinking at a patch of water.
+  DRINKING: 'drinking',
+  // Following the person (or the cow in front of it in the herd.)
+  FOLLOWING: 'following',
+  // Running away from a wolf.
+  FLEEING: 'fleeing',
+  // Refusing to be led.
+  RESISTING: 'resisting'
+});
+
+/**
+ * Make a random set of traits for a cow. Some cows are faster than others (at everything), some are more
+ * stubborn, and some get hungry or thirsty sooner. speedScale is optional; all the cow's speeds are
+ * multiplied by it.
+ */
+Cow.randomTraits = ({ speedScale = 1 } = {}) => {
+  const randomBetween = ([min, max]) => min + Platform.random() * (max - min);
+  const speed = randomBetween(Cow._speedRange) * speedScale;
+  return {
+    normalSpeed: Cow._normalSpeed * speed,
+    targetSpeed: Cow._targetSpeed * speed,
+    fleeSpeed: Cow._fleeSpeed * speed,
+    stubbornness: randomBetween(Cow._stubbornnessRange),
+    hungerRate: randomBetween(Cow._needRateRange),
+    thirstRate: randomBetween(Cow._needRateRange)
+  };
+};
+
+/**
+ * Configure the cow's settings. The cow's animations are in the asset manifest.
+ */
+Cow.configure = () => {
+  Cow._size = MathHelper.VECTOR_ONE().mult(128);
+
+  // How big the cow's collider is compared to its image.
+  Cow._colliderScale = 0.3;
+  // How long in seconds a following cow slides along a wall after running into it.
+  Cow._slideDuration = 0.5;
+
+  // This is how far from the target the cow should be when following.
+  Cow._targetPadding = 40;
+  // This is the normal cow speed.
+  Cow._normalSpeed = 20;
+  // This is the speed of the cow when following.
+  Cow._targetSpeed = 40;
+  // How close a wolf needs to be for the cow to run away from it, and how fast it runs.
+  Cow._fleeRange = 140;
+  Cow._fleeSpeed = 42;
+
+  // Each cow's speeds are the ones above times a random amount in this range, and each cow gets a random
+  // stubbornness in this range. Stubbornness is the chance that the cow refuses to be led, and after
+  // refusing it keeps refusing for this many seconds.
+  Cow._speedRange = [0.8, 1.2];
+  Cow._stubbornnessRange = [0, 0.5];
+  Cow._resistDuration = 2;
+
+  // How much hungrier and thirstier each cow gets per second, picked at random in this range, and how
+  // hungry or thirsty it can be at the start. Needs go from 0 to 1.
+  Cow._needRateRange = [0.005, 0.015];
+  Cow._startingNeed = 0.5;
+  // Once the cow is this hungry or thirsty, it goes looking for grass or water.
+  Cow._needThreshold = 0.6;
+  // How quickly eating and drinking lower the cow's hunger and thirst, per second.
+  Cow._feedRate = 0.1;
+  // How close the cow needs to get to its spot in a patch to start eating or drinking.
+  Cow._arrivalDistance = 8;
+  // How many seconds a cow waits after giving up on getting to a patch before looking for one again.
+  Cow._patchCooldown = 10;
+
+  // When walking along a path, how close the cow needs to get to each position on it before heading for
+  // the next, and how often in seconds it looks for a new path even if the destination hasn't moved.
+  Cow._waypointDistance = 12;
+  Cow._repathInterval = 2;
+  // How far ahead a wandering cow looks for obstacles.
+  Cow._lookAheadDistance = 40;
+
+  // In bad weather, how far away the other cows can be for a cow to huddle with them or scatter from them,
+  // and how close to the middle of them a huddling cow gets before it stops heading there. A cow scattered
+  // by thunder changes direction this many times more often than usual.
+  Cow._huddleRadius = 400;
+  Cow._huddleDistance = 80;
+  Cow._scatterRestlessness = 20;
+}
+
+/**
+ * Encapsulates the person.
+ */
+class Person extends AnimatingSprite {
+  /**
+   * spriteSheetName is optional. It is the sprite sheet for how the person looks, so that each player's
+   * person can look different.
+   */
+  constructor({ position, spriteSheetName = 'person' }) {
+    super({
+      spriteSheetName: spriteSheetName,
+      colliderScale: Person._colliderScale,
+
+      size: Person._size.copy(),
+      position: position.copy(),
+      velocity: MathHelper.VECTOR_ZERO()
+    });
+  }
+
+  /**
+   * Set the direction that the person is moving. Should be a unit vector or zero vector.
+   */
+  setControlledDirection({ direction }) {
+    this._velocity = direction.copy().mult(Person._speed);
+  }
+}
+
+/**
+ * Make a person from a save made by Person.toJSON().
+ */
+Person.fromJSON = ({ data }) => {
+  const person = new Person({
+    position: MathHelper.vectorFromArray(data.position),
+    spriteSheetName: data.spriteSheetName
+  });
+  person._loadJSON({ data: data });
+  return person;
+};
+
+/**
+ * Configure the person's settings. The person's animations are in the asset manifest.
+ */
+Person.configure = () => {
+  Person._size = Platform.createVector(32, 32);
+  // How big the person's collider is compared to their image.
+  Person._colliderScale = 0.6;
+  Person._speed = 30;
+}
+
+/**
+ * Encapsulates a fence. The fence is a square pen with an opening in the middle of one of its sides.
+ */
+class Fence extends Sprite {
+  constructor({ position, size, openingSide, openingWidth }) {
+    super({
+      imageName: 'fence',
+      size: size.copy(),
+      position: position.copy(),
+      velocity: MathHelper.VECTOR_ZERO()
+    });
+
+    // The side of the fence that the opening is on ('top', 'bottom', 'left' or 'right') and how wide
+    // the opening is.
+    this._openingSide = openingSide;
+    this._openingWidth = openingWidth;
+  }
+
+  /**
+   * The fence image has its opening at the top, so it is rotated to put the opening on the correct side.
+   */
+  getRotation() {
+    return Fence._openingAngles[this._openingSide];
+  }
+
+  /**
+   * When the fence is turned sideways, the image's width and height are swapped.
+   */
+  getImageSize() {
+    const isSideways = this._openingSide === 'left' || this._openingSide === 'right';
+    return isSideways ? Platform.createVector(this._size.y, this._size.x) : this.getSize();
+  }
+
+  /**
+   * Get the center of the opening and the size of the area that counts as the opening.
+   */
+  _getOpeningBounds() {
+    const halfSize = this.getSize().mult(0.5);
+    switch (this._openingSide) {
+      case 'top':
+        return {
+          position: this.getPosition().sub(Platform.createVector(0, halfSize.y)),
+          size: Platform.createVector(this._openingWidth, Fence._edgeWidth)
+        };
+      case 'bottom':
+        return {
+          position: this.getPosition().add(Platform.createVector(0, halfSize.y)),
+          size: Platform.createVector(this._openingWidth, Fence._edgeWidth)
+        };
+      case 'left':
+        return {
+          position: this.getPosition().sub(Platform.createVector(halfSize.x, 0)),
+          size: Platform.createVector(Fence._edgeWidth, this._openingWidth)
+        };
+      case 'right':
+        return {
+          position: this.getPosition().add(Platform.createVector(halfSize.x, 0)),
+          size: Platform.createVector(Fence._edgeWidth, this._openingWidth)
+        };
+      default:
+        throw new Error(`Unknown fence opening side: ${this._openingSide}`);
+    }
+  }
+
+  /**
+   * Get the position the given distance straight out from the middle of the opening, outside the pen.
+   */
+  getEntrancePosition({ distance }) {
+    const outward = MathHelper.vectorFromArray(Fence._openingDirections[this._openingSide]);
+    return this._getOpeningBounds().position.add(outward.mult(distance));
+  }
+
+  /**
+   * Get the boxes that make up the walls of the fence, for the collision world. Each side is one wall,
+   * except the side with the opening, which is two walls with a gap between them.
+   */
+  getWallColliders() {
+    const thickness = Fence._wallThickness;
+    const halfSize = this.getSize().mult(0.5);
+    const position = this.getPosition();
+
+    // Make one side's walls. center is the middle of the side and along is a unit vector pointing along it.
+    const sideWalls = ({ side, center, along, length }) => {
+      const wallSize = ({ wallLength }) => along.x !== 0 ?
+        Platform.createVector(wallLength, thickness) : Platform.createVector(thickness, wallLength);
+
+      if (side !== this._openingSide) {
+        return [{ position: center, size: wallSize({ wallLength: length + thickness }) }];
+      }
+
+      // The two walls on either side of the opening.
+      const wallLength = (length - this._openingWidth) / 2;
+      const offset = this._openingWidth / 2 + wallLength / 2;
+      return [
+        { position: center.copy().sub(along.copy().mult(offset)), size: wallSize({ wallLength: wallLength }) },
+        { position: center.copy().add(along.copy().mult(offset)), size: wallSize({ wallLength: wallLength }) }
+      ];
+    };
+
+    return [
+      ...sideWalls({
+        side: 'top', center: position.copy().add(Platform.createVector(0, -halfSize.y)),
+        along: MathHelper.VECTOR_RIGHT(), length: this._size.x
+      }),
+      ...sideWalls({
+        side: 'bottom', center: position.copy().add(Platform.createVector(0, halfSize.y)),
+        along: MathHelper.VECTOR_RIGHT(), length: this._size.x
+      }),
+      ...sideWalls({
+        side: 'left', center: position.copy().add(Platform.createVector(-halfSize.x, 0)),
+        along: MathHelper.VECTOR_DOWN(), length: this._size.y
+      }),
+      ...sideWalls({
+        side: 'right', center: position.copy().add(Platform.createVector(halfSize.x, 0)),
+        along: MathHelper.VECTOR_DOWN(), length: this._size.y
+      })
+    ];
+  }
+
+  /**
+   * Tests whether the given position is inside the pen.
+   */
+  isInside({ position: position }) {
+    return MathHelper.positionInBounds({
+      position: position, boundsPosition: this._position, boundsSize: this._size
+    });
+  }
+
+  /**
+   * Fences never change, so a fence is saved the same way it is written in the level data.
+   */
+  toJSON() {
+    return {
+      position: MathHelper.vectorToArray(this._position),
+      size: MathHelper.vectorToArray(this._size),
+      opening: { side: this._openingSide, width: this._openingWidth }
+    };
+  }
+}
+
+/**
+ * Create a fence from how it is written in the level data, for example
+ * { "position": [0, 0], "size": [400, 400], "opening": { "side": "top", "width": 100 } }.
+ */
+Fence.fromLevelData = ({ data }) => new Fence({
+  position: MathHelper.vectorFromArray(data.position),
+  size: MathHelper.vectorFromArray(data.size),
+  openingSide: data.opening.side,
+  openingWidth: data.opening.width
+});
+
+/**
+ * Make a fence from a save made by Fence.toJSON(), which is the same as the level data.
+ */
+Fence.fromJSON = ({ data }) => Fence.fromLevelData({ data: data });
+
+/**
+ * Configure the fence's settings.
+ */
+Fence.configure = () => {
+  Fence._edgeWidth = 100;
+  // How thick the fence's walls are for collisions.
+  Fence._wallThickness = 16;
+  // How far to rotate the fence image (which has its opening at the top) for each opening side.
+  Fence._openingAngles = { top: 0, right: Math.PI / 2, bottom: Math.PI, left: -Math.PI / 2 };
+  // Which way is out of the pen through the opening, for each opening side.
+  Fence._openingDirections = { top: [0, -1], right: [1, 0], bottom: [0, 1], left: [-1, 0] };
+}
+
+/**
+ * Encapsulates a patch of grass or water. Hungry cows go to grass to graze and thirsty cows go to water to
+ * drink. Patches don't move and don't get in anyone's way.
+ */
+class Patch extends Sprite {
+  /**
+   * type is one of the Patch.TYPES. The patch's image has the same name as its type.
+   */
+  constructor({ type, position, size }) {
+    if (!Object.values(Patch.TYPES).includes(type)) {
+      throw new Error(`Unknown patch type: ${type}`);
+    }
+    super({
+      imageName: type,
+      size: size.copy(),
+      position: position.copy(),
+      velocity: MathHelper.VECTOR_ZERO()
+    });
+    this._type = type;
+  }
+
+  /**
+   * Get what the patch is made of. It is one of the Patch.TYPES.
+   */
+  getType() {
+    return this._type;
+  }
+
+  /**
+   * Tests whether the given position is on the patch.
+   */
+  isInside({ position: position }) {
+    return MathHelper.positionInBounds({
+      position: position, boundsPosition: this._position, boundsSize: this._size
+    });
+  }
+
+  /**
+   * Like fences, patches never change, so a patch is saved the same way it is written in the level data.
+   */
+  toJSON() {
+    return {
+      type: this._type,
+      position: MathHelper.vectorToArray(this._position),
+      size: MathHelper.vectorToArray(this._size)
+    };
+  }
+}
+
+/**
+ * The kinds of patches.
+ */
+Patch.TYPES = Object.freeze({
+  GRASS: 'grass',
+  WATER: 'water'
+});
+
+/**
+ * Create a patch from how it is written in the level data, for example
+ * { "type": "grass", "position": [-450, 150], "size": [160, 160] }.
+ */
+Patch.fromLevelData = ({ data }) => new Patch({
+  type: data.type,
+  position: MathHelper.vectorFromArray(data.position),
+  size: MathHelper.vectorFromArray(data.size)
+});
+
+/**
+ * Make a patch from a save made by Patch.toJSON(), which is the same as the level data.
+ */
+Patch.fromJSON = ({ data }) => Patch.fromLevelData({ data: data });
+
+/**
+ * This holds what the players did in one frame. The input code (see P5Input) fills it in from the
+ * keyboard, gamepads or the touch screen, but it can be filled in by anything (for example, a headless
+ * test.)
+ */
+class InputState {
+  /**
+   * players has what each player did, first player first, as { moveX, moveY, actions }. A player who isn't
+   * in the list didn't do anything. With only one player, moveX, moveY and actions can be given directly
+   * instead.
+   */
+  constructor({ moveX = 0, moveY = 0, actions = [], players = null } = {}) {
+    // For each player, the direction they are pushing in, from -1 to 1 on each axis (keys push all the way,
+    // and a joystick can push part of the way), and the GameManager.ACTIONS that they pressed since the
+    // last frame, in order.
+    this.players = (players || [{ moveX: moveX, moveY: moveY, actions: actions }]).map(player => ({
+      moveX: player.moveX || 0,
+      moveY: player.moveY || 0,
+      actions: (player.actions || []).slice()
+    }));
+  }
+
+  /**
+   * Get what one player did. player is the index of the player, starting from 0.
+   */
+  getPlayer({ player }) {
+    return this.players[player] || { moveX: 0, moveY: 0, actions: [] };
+  }
+}
+
+/**
+ * A 2D vector. It has the same functions as the parts of p5.Vector that the game uses, so either one can
+ * be used. Like p5.Vector, functions like add() change the vector itself and return it, so copy() it
+ * first when the original value should be kept.
+ */
+class Vector {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  copy() {
+    return new Vector(this.x, this.y);
+  }
+
+  add(vector) {
+    this.x += vector.x;
+    this.y += vector.y;
+    return this;
+  }
+
+  sub(vector) {
+    this.x -= vector.x;
+    this.y -= vector.y;
+    return this;
+  }
+
+  mult(scale) {
+    this.x *= scale;
+    this.y *= scale;
+    return this;
+  }
+
+  mag() {
+    return Math.sqrt(this.x * this.x + this.y * this.y);
+  }
+
+  dist(vector) {
+    return this.copy().sub(vector).mag();
+  }
+}
+
+/**
+ * The things the simulation needs from the platform it runs on. By default it uses plain JavaScript, but
+ * they can be swapped out with Platform.configure(...), for example to use p5.js's createVector and random
+ * or a random number generator for tests.
+ */
+const Platform = {
+  /**
+   * Creates a new vector.
+   */
+  createVector: (x, y) => new Vector(x, y),
+
+  /**
+   * Returns a random number from 0 (inclusive) to 1 (exclusive).
+   */
+  random: () => Math.random(),
+
+  /**
+   * Replace some of the platform functions, for example Platform.configure({ random: () => 0.5 }).
+   */
+  configure: ({ createVector = Platform.createVector, random = Platform.random }) => {
+    Platform.createVector = createVector;
+    Platform.random = random;
+  }
+};
+
+/**
+ * A random number generator that always produces the same numbers for the same seed. It uses the
+ * mulberry32 algorithm, which is small, fast and good enough for a game.
+ */
+class SeededRandom {
+  constructor({ seed }) {
+    // ">>> 0" turns the seed into a 32 bit unsigned integer.
+    this._state = seed >>> 0;
+  }
+
+  /**
+   * Returns the next random number from 0 (inclusive) to 1 (exclusive).
+   */
+  next() {
+    this._state = (this._state + 0x6D2B79F5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get how far along the numbers the generator is, so that it can be saved.
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Carry on from a state that getState() returned, as if the same numbers had been picked again.
+   */
+  setState({ state }) {
+    this._state = state >>> 0;
+  }
+}
+
+/**
+ * Pick a seed for a game that wasn't given one.
+ */
+SeededRandom.randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+/**
+ * This contains helpful math functions.
+ */
+const MathHelper = {
+  /**
+   * Tests whether the given position is withing the specified bounds.
+   */
+  positionInBounds: ({ position, boundsPosition, boundsSize }) =>
+    (position.x > boundsPosition.x - boundsSize.x / 2 &&
+      position.x < boundsPosition.x + boundsSize.x / 2 &&
+      position.y > boundsPosition.y - boundsSize.y / 2 &&
+      position.y < boundsPosition.y + boundsSize.y / 2),
+
+  /**
+   * Creates a vector from an [x, y] array, which is how vectors are written in the level data.
+   */
+  vectorFromArray: ([x, y]) => Platform.createVector(x, y),
+
+  /**
+   * Turns a vector into an [x, y] array, to save it as JSON.
+   */
+  vectorToArray: vector => [vector.x, vector.y],
+
+  /**
+   * Returns a copy of the vector with a length of 1 (or the zero vector if the vector has no length.)
+   */
+  normalize: ({ vector }) => {
+    const length = vector.mag();
+    return length > 0 ? vector.copy().mult(1 / length) : Platform.createVector(0, 0);
+  },
+
+  /**
+   * Moves the given position to the nearest position inside the specified bounds.
+   */
+  constrainToBounds: ({ position, boundsPosition, boundsSize }) => Platform.createVector(
+    Math.min(Math.max(position.x, boundsPosition.x - boundsSize.x / 2), boundsPosition.x + boundsSize.x / 2),
+    Math.min(Math.max(position.y, boundsPosition.y - boundsSize.y / 2), boundsPosition.y + boundsSize.y / 2)),
+
+  /**
+   * Returns a random position within the specified bounds.
+   */
+  randomInBounds: ({ boundsPosition, boundsSize }) => Platform.createVector(
+    boundsPosition.x + (Platform.random() - 0.5) * boundsSize.x,
+    boundsPosition.y + (Platform.random() - 0.5) * boundsSize.y),
+
+  /**
+   * Returns a random item from the choices array.
+   */
+  randomChoice: ({ choices }) => choices[Math.floor(Platform.random() * choices.length)],
+
+  /**
+   * Returns a short hash of the text (using the FNV-1a algorithm) as a hexadecimal string.
+   */
+  hashString: ({ text }) => {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  },
+
+  /**
+   * Returns frequently used vectors. Vector's are created each time so that new copies are 
+   * returned and accidental overwriting is much less likely.
+   */
+  VECTOR_ZERO: () => Platform.createVector(0, 0),
+  VECTOR_ONE: () => Platform.createVector(1, 1),
+  VECTOR_LEFT: () => Platform.createVector(-1, 0),
+  VECTOR_RIGHT: () => Platform.createVector(1, 0),
+  VECTOR_UP: () => Platform.createVector(0, -1),
+  VECTOR_DOWN: () => Platform.createVector(0, 1)
+
+};
+Object.freeze(MathHelper);
\ No newline at end of file
@@ -1,12 +1,43 @@
+/**
+ * This file connects the game simulation (simulation.js) to p5.js. It loads the images (with assets.js), passes the
+ * keyboard and touch screen on to the input code (input.js) and draws the game. All the game logic lives
+ * in simulation.js.
+ */
+
 /**
  * This is a p5.js binding to preload(). It is called before setup to load resources
  * like images.
  */
 function preload() {
-  // GameManager is a class that contains the game state and high level game operations.
-  // It is the only public scope variable in this project.
-  GameManager.preload();
-  gameManager = new GameManager();
+  // Set up the game settings first, since the renderer and the level editor use them.
+  GameManager.configure();
+  InputBindings.configure();
+  TouchControls.configure();
+  P5LevelEditor.configure();
+  SoundManager.configure();
+  ParticleSystem.configure();
+  P5DebugOverlay.configure();
+  AccessibilitySettings.configure();
+  P5Renderer.preload();
+
+  // loadJSON(...) is a p5.js function to load a JSON file. The levels are listed in the order they are
+  // played. p5.js can't load a JSON array directly, so the array is wrapped in an object.
+  loadJSON('levels.json', data => { levels = data.levels; });
+
+  // The asset manifest says which images to load and what animations the game objects have. The game
+  // needs the animations before it starts, but the images themselves are loaded in setup(), so that a
+  // loading screen can be shown while they load.
+  loadJSON('assets.json', data => {
+    assetManifest = data;
+    AnimatingSprite.setSpriteSheets({ spriteSheets: data.spriteSheets });
+  });
+
+  // getURLParams() is a p5.js function that reads the options after the "?" in the address. Adding
+  // "?seed=123" starts a game with that seed, "?replay=replay.json" plays back a saved replay,
+  // "?save=save.json" carries on a saved game, and "?editor" opens the level editor.
+  urlParams = getURLParams();
+  replay = urlParams.replay ? loadJSON(urlParams.replay) : null;
+  saveFile = urlParams.save ? loadJSON(urlParams.save) : null;
 }
 
 /**
@@ -14,656 +45,1312 @@ function preload() {
  * options.
  */
 function setup() {
-  gameManager.setup();
+  // Resize the canvas to occupy the entire screen in p5.js.
+  createCanvas(windowWidth, windowHeight);
+  // Set the framerate to 30 frames per second in p5.js
+  frameRate(P5Renderer._frameRate);
+
+  // The accessibility settings are kept in localStorage too. Until a language is picked, the first of the
+  // browser's languages that the game has text for is used. The narrator tells screen readers what happens.
+  accessibility = new AccessibilitySettings({
+    storage: window.localStorage,
+    languages: navigator.languages || [navigator.language]
+  });
+  Localization.setLocale({ locale: accessibility.getLocale() });
+  narrator = new Narrator({ element: Narrator.createLiveRegion() });
+
+  // GameManager is a class that contains the game state and high level game operations. When playing back
+  // a replay, the replay creates the GameManager just like it was when it was recorded. Otherwise, a new
+  // game is started and everything that is played is recorded.
+  levelEditor = null;
+  saveSlot = null;
+  if (replay) {
+    input = new ReplayPlayer({ replay: replay });
+    gameManager = input.createGameManager();
+    recorder = null;
+    replayChecked = false;
+    // The loop ticks the game with a fixed timestep.
+    gameLoop = new FixedTimestepLoop({ gameManager: gameManager, recorder: recorder });
+  } else {
+    // The input bindings are kept in the browser's localStorage, so changed bindings are still there next time.
+    input = new P5Input({ bindings: new InputBindings({ storage: window.localStorage }) });
+    window.addEventListener('blur', () => input.releaseAllKeys());
+
+    // The game being played is saved in localStorage every few seconds and when the page is closed. If there
+    // was a game going last time (or a save file was given in the address), it carries on from there.
+    saveSlot = new SaveSlot({ storage: window.localStorage });
+    timeUntilAutoSave = SaveSlot._autoSaveInterval;
+    window.addEventListener('pagehide', () => saveGame());
+    try {
+      startGame({ levels: levels, save: saveFile || saveSlot.load() });
+    } catch (error) {
+      console.warn(`Could not carry on the saved game: ${error}`);
+      startGame({ levels: levels });
+    }
+    if (urlParams.editor !== undefined) {
+      openLevelEditor();
+    }
+  }
+  assets = new P5AssetLoader({ manifest: assetManifest });
+  assets.load();
+  renderer = new P5Renderer({ assets: assets });
+  applyAccessibilitySettings();
+
+  // The high scores are kept in the browser's localStorage so they are still there next time.
+  highScores = new HighScoreTable({ storage: window.localStorage });
+
+  // The sound settings are kept in localStorage too. No sound is played until the first key press, click or
+  // touch, since browsers don't allow it.
+  sounds = new SoundManager({ storage: window.localStorage });
+  // The particles, like the dust under the animals' feet, are only for show.
+  particles = new ParticleSystem();
+  // The debug overlay shows what the game objects are thinking and lets the tuning values be changed.
+  debugOverlay = new P5DebugOverlay();
+  scoreRecorded = false;
 }
 
 /**
- * This is a p5.js binding to draw(). It is called every frame to draw the graphics.
+ * Start a new game with the given levels and record it. The world has the default size for levels that
+ * don't give their own. save is optional; if it is given, the saved game (with its own levels) is carried
+ * on instead, starting out paused so that the players have a moment to get ready. Throws an error if the
+ * save can't be loaded, and then the game that was going carries on.
  */
-function draw() {
-  // Tick does the calculations for where all the objects should be drawn and is called every
-  // frame.
-  gameManager.tick();
+function startGame({ levels, save = null }) {
+  if (save) {
+    gameManager = GameManager.fromJSON({ data: save });
+    if (gameManager.getState() === GameManager.STATES.PLAYING) {
+      gameManager.doAction({ action: GameManager.ACTIONS.PAUSE });
+    }
+  } else {
+    gameManager = new GameManager({
+      worldSize: GameManager._defaultWorldSize.copy(),
+      levels: levels,
+      seed: urlParams.seed === undefined ? undefined : Number(urlParams.seed),
+      assist: accessibility.isAssistOn()
+    });
+    gameManager.setup();
+  }
+  recorder = new ReplayRecorder({ gameManager: gameManager });
+  // A new game starts with one player, and a second player joins by pressing one of their keys or buttons.
+  // A saved game carries on with the players it had.
+  input.setPlayerCount({ playerCount: gameManager.getPlayers().length });
 
-  // Draw draws all the objects to the screen in their new positions.
-  gameManager.draw();
+  // The loop ticks the game with a fixed timestep and records the input of every tick.
+  gameLoop = new FixedTimestepLoop({ gameManager: gameManager, recorder: recorder });
 }
 
 /**
- * This is a p5.js binding to keyTyped(). It is called when a key is typed (pressed and released.)
+ * Use the accessibility settings: play in their language (and tell the browser, so a screen reader reads
+ * the text in the right voice) and draw with their palette.
  */
-function keyTyped() {
-  gameManager.keyTyped({ key: key });
+function applyAccessibilitySettings() {
+  Localization.setLocale({ locale: accessibility.getLocale() });
+  document.documentElement.lang = accessibility.getLocale();
+  renderer.setHighContrast({ isOn: accessibility.isHighContrast() });
 }
 
 /**
- * This class manages the game at a high level. It handles all the p5.js bindings like preload(), setup(),
- * draw(), keyTyped() etc. It also manages calculating the position of the game objects and drawing them,
- * checking for collisions, etc.
+ * Open the level editor. The first time, it starts editing the levels of the game, on the level being
+ * played. After that, it carries on from where it was left.
  */
-class GameManager {
+function openLevelEditor() {
+  if (!levelEditor) {
+    levelEditor = new P5LevelEditor({
+      levels: gameManager.getLevels(),
+      levelIndex: gameManager.getLevelIndex(),
+      // Trying out a level plays just that level.
+      onPlay: ({ level }) => startGame({ levels: [level] })
+    });
+  }
+  levelEditor.open();
+}
 
-  constructor() {
-    this._descriptionText = GameManager._descriptionInitial;
-    this._descriptionFontSize = GameManager._descriptionInitialFontSize;
+/**
+ * This is a p5.js binding to draw(). It is called every frame to draw the graphics.
+ */
+function draw() {
+  // Until all the images have loaded, nothing else happens and the loading screen is drawn instead.
+  if (!assets.isLoaded()) {
+    renderer.drawLoadingScreen({ assets: assets });
+    return;
   }
 
-  /**
-  * Setup the graphics options and create the game objects.
-  */
-  setup() {
-    // Resize the canvas to occupy the entire screen in p5.js.
-    createCanvas(windowWidth, windowHeight);
-    // Set the framerate to 30 frames per second in p5.js
-    frameRate(GameManager._frameRate);
-
-    // Create the controllable person.
-    this._person = new Person({
-      position: MathHelper.VECTOR_ZERO()
-    });
+  // While the level editor is open, the game doesn't run and the editor is drawn instead.
+  if (levelEditor && levelEditor.isOpen()) {
+    levelEditor.tick({ input: input, viewSize: renderer.getLayout().getLogicalSize(), dt: 1.0 / frameRate() });
+    renderer.drawEditor({ editor: levelEditor });
+    return;
+  }
+
+  // Assist mode can't change during a game, so that the game can be replayed exactly. If it is changed on
+  // the title screen, a new game is started in the new mode straight away.
+  if (!replay && gameManager.getState() === GameManager.STATES.TITLE &&
+    gameManager.isAssistOn() !== accessibility.isAssistOn()) {
+    startGame({ levels: gameManager.getLevels() });
+  }
+
+  // Advance does the calculations for where all the objects should be drawn and is called every
+  // frame. It is given the amount of time between frames in seconds.
+  const elapsedTime = 1.0 / frameRate();
+  gameLoop.advance({ elapsedTime: elapsedTime, inputSource: input });
+  sounds.update({ gameManager: gameManager, dt: elapsedTime });
+  particles.update({ gameManager: gameManager, viewSize: renderer.getLayout().getLogicalSize(), dt: elapsedTime });
+  narrator.update({ gameManager: gameManager });
+
+  // Every few seconds, save the game so that it can be carried on later. Replays are never saved.
+  timeUntilAutoSave -= elapsedTime;
+  if (!replay && timeUntilAutoSave <= 0) {
+    timeUntilAutoSave = SaveSlot._autoSaveInterval;
+    saveGame();
+  }
 
-    // Create the fence.
-    this._fence = new Fence({
-      position: MathHelper.VECTOR_ZERO()
+  // When a round is over, add its score to the high scores (but not for replays, which were already
+  // played once, or for levels changed in the editor.) Once a new round starts, the next score can be
+  // recorded.
+  if (gameManager.isGameOver() && !scoreRecorded && !replay && !levelEditor) {
+    highScores.addScore({
+      score: gameManager.getScore(),
+      time: gameManager.getRoundTime(),
+      cows: gameManager.getCowCounts().penned,
+      date: new Date().toISOString()
     });
+    scoreRecorded = true;
+  } else if (!gameManager.isGameOver()) {
+    scoreRecorded = false;
+  }
 
-    // Create 10 cows and randomly place them on the screen. This uses the random
-    // function from p5.js (not the built-in JavaScript one.)
-    this._cows = Array.from({ length: 3 }, () =>
-      new Cow({
-        // createVector is a p5.js function that creates a p5.Vector object.
-        // width and height are p5.js variables that correspond the canvas size.
-        position: createVector(
-          random(-width / 2 + GameManager._edgeWidth, width / 2 - GameManager._edgeWidth),
-          random(-height / 2 + GameManager._edgeWidth, height / 2 - GameManager._edgeWidth))
-      })
-    );
+  // When a replay finishes, report whether it ended up exactly where the recording did.
+  if (replay && input.isFinished() && !replayChecked) {
+    replayChecked = true;
+    console.log(input.matchesRecording({ gameManager: gameManager }) ?
+      'The replay matches the recording.' : 'The replay does not match the recording!');
+  }
 
-    // Create the title.
-    this._title = new Sprite({
-      image: GameManager._titleImage,
-      size: GameManager._titleSize.copy(),
-      position: GameManager._titlePosition.copy(),
-      velocity: MathHelper.VECTOR_ZERO()
-    })
-
-    // Add all the game objects to an array. The cows array is "deconstructed" into individual cows using the
-    // deconstruction operator "...".
-    this._allSprites = [this._title, this._fence, this._person, ...this._cows];
-
-    // This is a slight hack to move all the cows a bit in the beginning to make sure that
-    // their directions have a chance to randomize a bit.
-    for (let i = 0; i < 10; i++) {
-      this.tick({ dt: 1.0 / 30 });
-    }
+  // Draw draws all the objects to the screen in their new positions, and then the touch controls on top.
+  renderer.draw({
+    gameManager: gameManager,
+    highScores: highScores,
+    particles: particles,
+    accessibility: accessibility,
+    debugOverlay: debugOverlay,
+    dt: elapsedTime
+  });
+  if (input instanceof P5Input) {
+    input.getTouchControls().draw();
   }
+}
 
-  /**
-  * Each frame, update the positions of all the game objects.
-  */
-  tick() {
-    // This is the amount of time between frames in seconds. It is passed to all the game object's
-    // tick functions.
-    let dt = 1.0 / frameRate();
-
-    // p5.js has a quirk that returns weird values for frameRate() before draw is called so skip those
-    // frames.
-    if (!dt || !isFinite(dt) || isNaN(dt)) { return; }
-
-    // If one of the arrow keys is pressed, then set the motion of the person to move in
-    // the appropriate direction. If no key is pressed, set the motion of the person to the
-    // zero vector. keyIsDown(key) and the *_ARROW constants are from p5.js.
-    if (keyIsDown(LEFT_ARROW)) {
-      this._person.setControlledDirection({ direction: MathHelper.VECTOR_LEFT() });
-    } else if (keyIsDown(RIGHT_ARROW)) {
-      this._person.setControlledDirection({ direction: MathHelper.VECTOR_RIGHT() });
-    } else if (keyIsDown(UP_ARROW)) {
-      this._person.setControlledDirection({ direction: MathHelper.VECTOR_UP() });
-    } else if (keyIsDown(DOWN_ARROW)) {
-      this._person.setControlledDirection({ direction: MathHelper.VECTOR_DOWN() });
+/**
+ * This is a p5.js binding to windowResized(). It is called when the browser window changes size.
+ */
+function windowResized() {
+  // Resize the canvas to fill the window again, and fit the game into it.
+  resizeCanvas(windowWidth, windowHeight);
+  renderer.resize();
+}
+
+/**
+ * This is a p5.js binding to keyTyped(). It is called when a key is typed (pressed and released.)
+ */
+function keyTyped() {
+  // The sound keys work everywhere, even in the level editor and while a replay is playing.
+  if (key === SoundManager._muteKey) {
+    sounds.toggleMute();
+    return;
+  }
+  if (key === SoundManager._volumeDownKey || SoundManager._volumeUpKeys.includes(key)) {
+    const step = SoundManager._volumeStep;
+    sounds.changeVolume({ change: key === SoundManager._volumeDownKey ? -step : step });
+    return;
+  }
+
+  // Typing the editor key opens the level editor, or closes it and plays the edited levels from the start.
+  // The editor can't be used while a replay is playing.
+  if (key === P5LevelEditor._toggleKey && input instanceof P5Input) {
+    if (levelEditor && levelEditor.isOpen()) {
+      levelEditor.close();
+      startGame({ levels: levelEditor.getLevels() });
     } else {
-      this._person.setControlledDirection({ direction: MathHelper.VECTOR_ZERO() });
+      openLevelEditor();
     }
+    return;
+  }
+  if (levelEditor && levelEditor.isOpen()) {
+    levelEditor.keyTyped({ key: key });
+    return;
+  }
 
-    // If there is currently a cow following the person, then update the motion of the cow
-    // based on the position of the person.
-    if (this._followingCow) {
-      this._followingCow.setTargetPosition({ position: this._person.getPosition() });
-    }
+  // The accessibility keys change the language, the high contrast look and assist mode, and the narrator
+  // says what they were changed to. A change to assist mode starts with the next game.
+  const stateText = isOn => Localization.getText({ key: isOn ? 'on' : 'off' });
+  if (key === AccessibilitySettings._localeKey) {
+    accessibility.nextLocale();
+    applyAccessibilitySettings();
+    narrator.announce({ text: Localization.getText({ key: 'narrationLanguage' }) });
+    return;
+  }
+  if (key === AccessibilitySettings._highContrastKey) {
+    accessibility.toggleHighContrast();
+    applyAccessibilitySettings();
+    narrator.announce({
+      text: Localization.getText({
+        key: 'narrationHighContrast',
+        values: { state: stateText(accessibility.isHighContrast()) }
+      })
+    });
+    return;
+  }
+  if (key === AccessibilitySettings._assistKey) {
+    accessibility.toggleAssist();
+    const isTitle = gameManager.getState() === GameManager.STATES.TITLE;
+    narrator.announce({
+      text: Localization.getText({
+        key: isTitle ? 'narrationAssist' : 'narrationAssistNextGame',
+        values: { state: stateText(accessibility.isAssistOn()) }
+      })
+    });
+    return;
+  }
 
-    // Update the positon of all the game objects by one frame.
-    this._allSprites.forEach(sprite => sprite.tick({ dt: dt }));
-
-    // Test all the cows for possible collisions.
-    this._cows.forEach(cow => {
-      // If the cow is overlapping the fence, change it's velocity to move in the opposite direction.
-      if (this._fence.isOverlapping({ position: cow._position })) {
-        // Set the motion to be in the opposite direction.
-        cow.setVelocity({ velocity: cow.getVelocity().mult(-1) });
-        // Set the movement back one frame.
-        cow.tick({ dt: dt });
-      }
+  // Typing the debug key shows or hides the debug overlay and its tuning panel.
+  if (key === P5DebugOverlay._toggleKey) {
+    debugOverlay.toggle();
+    return;
+  }
 
-      // Add some padding to the edge of the screen for where the cow should turn around.
-      const gameBounds = createVector(width, height).sub(
-        MathHelper.VECTOR_ONE().mult(GameManager._edgeWidth));
+  // Typing the save replay key downloads the replay of the game so far. saveJSON(...) is a p5.js function.
+  if (key === P5Input._saveReplayKey && recorder) {
+    saveJSON(recorder.toJSON(), `replay-${gameManager.getSeed()}.json`);
+  }
 
-      // If the cow is outside the game window, change it's velocity to move in the opposite direction.
-      if (!MathHelper.positionInBounds({
-        position: cow.getPosition(), boundsPosition: MathHelper.VECTOR_ZERO(), boundsSize: gameBounds
-      }
-      )) {
-        // Set the motion to be in the opposite direction.
-        cow.setVelocity({ velocity: cow.getVelocity().mult(-1) });
-        // Set the movement back one frame.
-        cow.tick({ dt: dt });
-      }
-    });
+  // Typing the save game key downloads a save file of the game as it is right now, and the load game key
+  // asks for a save file and carries on the game in it. A save file can be shared to show someone exactly
+  // what was going on.
+  if (key === P5Input._saveGameKey) {
+    saveJSON(gameManager.toJSON(), `save-${gameManager.getSeed()}.json`);
+  }
+  if (key === P5Input._loadGameKey && input instanceof P5Input) {
+    loadGameFile();
+  }
+}
 
-    // If the person is overlapping the fence, prevent them from moving any further.
-    if (this._fence.isOverlapping({ position: this._person.getPosition() })) {
-      // Set the movement back one frame.
-      this._person.setPosition({ position: this._person.getPosition().sub(this._person.getVelocity().mult(dt)) });
-      // Set the motion to be nothing.
-      this._person.setVelocity({ velocity: MathHelper.VECTOR_ZERO() });
-    }
+/**
+ * Save the game in localStorage, so it can be carried on next time. On the title screen and once the round
+ * is over, there is nothing to carry on, so the old save is thrown away instead.
+ */
+function saveGame() {
+  if (!saveSlot) {
+    return;
+  }
+  if (gameManager.getState() === GameManager.STATES.TITLE || gameManager.isGameOver()) {
+    saveSlot.clear();
+  } else {
+    saveSlot.save({ gameManager: gameManager });
+  }
+}
 
-    // If there are no cows outside the fence, then the game is won.
-    const cowsOutsideFence = this._cows.filter(cow => !MathHelper.positionInBounds({
-      position: cow.getPosition(), boundsPosition: this._fence.getPosition(), boundsSize: this._fence.getSize()
-    }));
-    if (cowsOutsideFence.length === 0) {
-      this._descriptionText = GameManager._descriptionSuccess;
-      this._descriptionFontSize = GameManager._descriptionSuccessFontSize;
+/**
+ * Ask for a save file and carry on the game in it. The browser's file picker is opened by clicking a file
+ * input that isn't on the page, the same way the level editor loads levels.
+ */
+function loadGameFile() {
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    if (!file) {
+      return;
     }
-  }
+    const reader = new FileReader();
+    reader.addEventListener('load', () => {
+      try {
+        startGame({ levels: levels, save: JSON.parse(reader.result) });
+      } catch (error) {
+        console.error(`Couldn't load ${file.name}: ${error.message}`);
+      }
+    });
+    reader.readAsText(file);
+  });
+  fileInput.click();
+}
 
-  /**
-  * Each frame, draw all the game objects in their new positionsin p5.js.
-  */
-  draw() {
-    // push() saves the transformation for the coordinate system.
-    push();
+/**
+ * These are p5.js bindings for the mouse, which is only used by the level editor and the debug overlay's
+ * panel (and to start the sound.)
+ */
+function mousePressed() {
+  sounds.start();
+  if (levelEditor && levelEditor.isOpen()) {
+    levelEditor.mousePressed({ position: getMousePosition() });
+    return;
+  }
+  debugOverlay.mousePressed({
+    position: getMousePosition(),
+    viewSize: renderer.getLayout().getLogicalSize(),
+    gameManager: gameManager
+  });
+}
 
-    // background(color) sets the background color each frame. It clears the previous objects from
-    // the screen.
-    background(GameManager._backgroundColor);
+function mouseDragged() {
+  if (levelEditor && levelEditor.isOpen()) {
+    levelEditor.mouseDragged({ position: getMousePosition() });
+    return;
+  }
+  debugOverlay.mouseDragged({
+    position: getMousePosition(),
+    viewSize: renderer.getLayout().getLogicalSize(),
+    gameManager: gameManager
+  });
+}
 
-    // translate(x, y) moves the origin of the coordinate system. It's moved to the center of the
-    // screen for convenience.
-    translate(width / 2, height / 2);
+function mouseReleased() {
+  debugOverlay.mouseReleased();
+}
 
-    // Draw the description text.
-    textSize(this._descriptionFontSize);
-    textFont('Georgia');
-    textAlign(CENTER, CENTER);
-    fill(GameManager._descriptionColor);
-    text(
-      this._descriptionText,
-      GameManager._descriptionPosition.x,
-      GameManager._descriptionPosition.y,
-      GameManager._descriptionSize.x,
-      GameManager._descriptionSize.y);
+/**
+ * Get the mouse position in the view, in logical units. mouseX and mouseY are the p5.js variables with the
+ * mouse position on the canvas.
+ */
+function getMousePosition() {
+  return renderer.getLayout().screenToLogical({ position: createVector(mouseX, mouseY) });
+}
 
-    // Draw all the game objects.
-    this._allSprites.forEach(sprite => sprite.draw());
+/**
+ * This is a p5.js binding to keyPressed(). It is called when a key goes down. Returning false stops the
+ * browser from also using the key.
+ */
+function keyPressed() {
+  // The first key press (or click or touch) is when the sound can start.
+  sounds.start();
 
-    // pop() restores the transformation for the coordinate system in p5.js.
-    pop();
+  // The keyboard is ignored while a replay is playing.
+  if (input instanceof P5Input) {
+    return !input.keyPressed({ key: key });
   }
+}
 
-  /**
-  * This is callen when a key is typed (pressed and released.)
-  */
-  keyTyped({ key: key }) {
-    // When the space bar is pressed, make the first cow within range follow the person, or release the
-    // cow if one is alreaday following the person.
-    if (key === ' ') {
-      // If there is already a cow following the person, then release the cow.
-      if (this._followingCow) {
-        this._followingCow.unsetTargetPosition();
-        this._followingCow = null;
-      } else {
-        // Find any cows that are near the person.
-        let cowsInRange = this._cows.filter(cow =>
-          this._person.getPosition().dist(cow.getPosition()) < GameManager._cowRange);
+/**
+ * This is a p5.js binding to keyReleased(). It is called when a key goes up.
+ */
+function keyReleased() {
+  if (input instanceof P5Input) {
+    input.keyReleased({ key: key });
+  }
+}
 
-        // If there are cows near the person, then make the first cow that was found follow the person.
-        if (cowsInRange.length > 0) {
-          this._followingCow = cowsInRange[0];
-        }
-      }
-    }
+/**
+ * These are p5.js bindings for the touch screen. touches is the p5.js list of every touch on the screen.
+ * Returning false stops the browser from scrolling or zooming the page.
+ */
+function touchStarted() {
+  sounds.start();
+  if (input instanceof P5Input) {
+    input.getTouchControls().touchStarted({ touches: touches });
   }
+  return false;
 }
 
-/*
-* Load all the resources. This loads the images from external files and sets up the 
-* game settings.
-*/
-GameManager.preload = () => {
-  // loadImage(...) is p5.js function to create a p5.js Image. Also set the size and position.
-  // TODO: Could be worth encapsulating the title and description text in a class.
-  GameManager._titleImage = loadImage('title.png');
-  GameManager._titlePosition = createVector(0, -windowHeight / 2 + 60);
-  GameManager._titleSize = createVector(400, 60);
-
-  // Set the transform, color and other description test properties.
-  GameManager._descriptionPosition = createVector(-250, windowHeight / 2 - 110);
-  GameManager._descriptionSize = createVector(480, 80);
-  GameManager._descriptionColor = color(255, 255, 255, 220);
-  GameManager._descriptionInitial = 
-    "Grazing time is over! Can you bring the cows back home? " +
-    "Use the arrow keys to move around and press the space bar near a cow " +
-    "to start leading it or let it go.";
-  GameManager._descriptionInitialFontSize = 18;
-  GameManager._descriptionSuccess = "Yay, you've brought all the cows home!";
-  GameManager._descriptionSuccessFontSize = 24;
+function touchMoved() {
+  if (input instanceof P5Input) {
+    input.getTouchControls().touchMoved({ touches: touches });
+  }
+  return false;
+}
 
-  // Set the target frame rate.
-  GameManager._frameRate = 30;
-  // _edgeWidth is an invisible border around the edge that the cows and person should not be able to to.
-  GameManager._edgeWidth = 80;
-  // The background color.
-  GameManager._backgroundColor = color(0, 200, 0);
-  // How close to a cow the person needs to be to lead it.
-  GameManager._cowRange = 50;
-
-  // Preload each class's resources as well. Ideally, this should happen in the classes themselves,
-  // but it seems p5.js functions are not available right away.
-  // TODO: See if it's possible to do this automatically instead of calling it from here.
-  Person.preload();
-  Fence.preload();
-  Cow.preload();
+function touchEnded() {
+  if (input instanceof P5Input) {
+    input.getTouchControls().touchEnded({ touches: touches });
+  }
+  return false;
 }
 
 /**
- * This is the base class for game objects. It stores the a game object's image, 
- * position and velocity and has a tick(dt) function to calculate the new position
- * every frame.
+ * This class draws the game with p5.js. It asks the GameManager what to draw and draws it.
  */
-class Sprite {
-  constructor({ image, size, position, velocity }) {
-    this._image = image;
-    this._size = size.copy();
-    this._position = position.copy();
-    this._velocity = velocity.copy();
-  }
-
+class P5Renderer {
   /**
-   * Advance the animation one frame. For a Sprite, that means updating the position.
+   * assets is the P5AssetLoader with the images to draw.
    */
-  tick({ dt }) {
-    // Update the position. Multiplying velocity by dt converts from per second to per frame.
-    this._position.add(this.getVelocity().mult(dt));
+  constructor({ assets }) {
+    this._assets = assets;
+    // The camera decides which part of the world is on the screen.
+    this._camera = new Camera();
+    // The level the camera was last following. When it changes, the camera jumps to the new level.
+    this._levelIndex = null;
+
+    // The game is drawn at a fixed logical size and scaled to fit the canvas.
+    this._layout = new ScreenLayout({ logicalSize: P5Renderer._logicalSize });
+    this.resize();
+
+    // The colors everything is drawn with. See P5Renderer._palettes.
+    this._palette = P5Renderer._palettes.normal;
+    // The p5.Graphics that the dark of the dusk is drawn in, so that holes can be cut out of it around the
+    // people. It is made the first time it is needed.
+    this._lightingBuffer = null;
   }
 
   /**
-   * Draw the game object to the screen.
-   */
-  draw() {
-    // p5.js function to draw the image to the screen at the specified position and size.
-    image(
-      this._image,
-      this._position.x - this._size.x / 2,
-      this._position.y - this._size.y / 2,
-      this._size.x,
-      this._size.y
-    );
+  * Turn the high contrast palette on or off.
+  */
+  setHighContrast({ isOn }) {
+    this._palette = isOn ? P5Renderer._palettes.highContrast : P5Renderer._palettes.normal;
   }
 
   /**
-   * Change the velocity of the game object.
-   */
-  setVelocity({ velocity: velocity }) {
-    // Vectors are always copied when we don't want their value to be overwritten by a calculation.
-    // This is an quirk of p5.Vector implementation.
-    this._velocity = velocity.copy();
+  * Fit the game to the size of the canvas. This is called whenever the canvas changes size.
+  */
+  resize() {
+    // createVector(...) is a p5.js function and width and height are the size of the canvas.
+    this._layout.resize({ screenSize: createVector(width, height) });
   }
 
   /**
-  * Get the velocity of the game object.
+  * Each frame, draw all the game objects in their new positions in p5.js, with the particles for what is
+  * happening in the game. dt is the time since the last frame in seconds.
+  *
+  * Everything is drawn in layers (see P5Renderer.LAYERS), one on top of the other: the ground, then the
+  * world of things standing on the ground, then the sky with the weather, then the HUD. accessibility is
+  * the AccessibilitySettings, which are shown on the title screen. debugOverlay is optional; if it is
+  * given, it is drawn over the world and the HUD while it is turned on.
   */
-  getVelocity() {
-    return this._velocity.copy();
+  draw({ gameManager, highScores, particles, accessibility, debugOverlay = null, dt }) {
+    const layout = this._layout;
+    this._moveCamera({ gameManager: gameManager, dt: dt });
+    this._beginView();
+
+    this._drawWorld({
+      worldSize: gameManager.getWorldSize(),
+      tileMap: gameManager.getTileMap(),
+      sprites: gameManager.getAllSprites(),
+      camera: this._camera,
+      particles: particles,
+      lighting: this._getLighting({ gameManager: gameManager }),
+      drawOverlay: debugOverlay ? () => debugOverlay.drawWorld({ gameManager: gameManager }) : undefined
+    });
+    this._drawSky({ gameManager: gameManager, particles: particles });
+
+    // The HUD layer is drawn on top of the world and doesn't move with the camera. Each part is anchored to
+    // an edge of the view, so it stays in the same place whatever the size of the view. Draw the
+    // description text near the bottom.
+    const descriptionCenter = layout.anchor({
+      anchor: ScreenLayout.ANCHORS.BOTTOM, offset: P5Renderer._descriptionOffset
+    });
+    this._drawTextBacking({ center: descriptionCenter, size: P5Renderer._descriptionSize });
+    textSize(gameManager.getDescriptionFontSize());
+    textFont('Georgia');
+    textAlign(CENTER, CENTER);
+    fill(this._palette.textColor);
+    text(
+      gameManager.getDescriptionText(),
+      descriptionCenter.x - P5Renderer._descriptionSize.x / 2,
+      descriptionCenter.y - P5Renderer._descriptionSize.y / 2,
+      P5Renderer._descriptionSize.x,
+      P5Renderer._descriptionSize.y);
+
+    // Draw the title at the top of the view on the title screen.
+    const state = gameManager.getState();
+    if (state === GameManager.STATES.TITLE) {
+      const titleAnchor = layout.anchor({ anchor: ScreenLayout.ANCHORS.TOP });
+      push();
+      translate(titleAnchor.x, titleAnchor.y);
+      this._drawSprite({ sprite: gameManager.getTitleSprite() });
+      pop();
+    }
+
+    // Draw the timer and score, the minimap, and the high scores on the title screen and once the round
+    // is over. The accessibility settings are shown on the title screen, where they are usually changed.
+    this._drawHud({ gameManager: gameManager });
+    this._drawMinimap({ gameManager: gameManager });
+    if (state === GameManager.STATES.TITLE || gameManager.isGameOver()) {
+      this._drawHighScores({ highScores: highScores });
+    }
+    if (state === GameManager.STATES.TITLE) {
+      this._drawOptions({ accessibility: accessibility });
+    }
+
+    // The confetti falls over everything else, except the debug panel.
+    this._drawParticles({ particles: particles, layer: P5Renderer.LAYERS.HUD });
+    if (debugOverlay) {
+      debugOverlay.drawPanel({ viewSize: layout.getLogicalSize(), dt: dt });
+    }
+
+    this._endView();
   }
 
   /**
-  * Change the position of the game object.
-  */
-  setPosition({ position: position }) {
-    this._position = position.copy();
+   * Each frame while the level editor is open, draw the level being edited instead of the game. The level
+   * is drawn the same way as in the game, with the editor's own parts and its toolbar on top.
+   */
+  drawEditor({ editor }) {
+    const levelEditor = editor.getEditor();
+    this._beginView();
+    this._drawWorld({
+      worldSize: levelEditor.getWorldSize(),
+      tileMap: levelEditor.getTileMap(),
+      sprites: [...levelEditor.getPatches(), ...levelEditor.getFences()],
+      camera: editor.getCamera(),
+      drawOverlay: () => editor.drawOverlay()
+    });
+    editor.drawToolbar();
+    this._endView();
   }
 
   /**
-  * Get the position of the game object.
-  */
-  getPosition() {
-    return this._position.copy();
+   * Each frame while the images are loading, draw how much has been loaded so far, or which files are
+   * missing if some couldn't be loaded.
+   */
+  drawLoadingScreen({ assets }) {
+    const failedFiles = assets.getFailedFiles();
+    const center = this._layout.anchor({ anchor: ScreenLayout.ANCHORS.CENTER });
+    const barSize = P5Renderer._loadingBarSize;
+    this._beginView();
+
+    push();
+    textSize(P5Renderer._hudFontSize);
+    textFont('Georgia');
+    textAlign(CENTER, BOTTOM);
+    fill(this._palette.textColor);
+    noStroke();
+    text(
+      failedFiles.length > 0 ?
+        Localization.getText({ key: 'loadingFailed', values: { files: failedFiles.join(', ') } }) :
+        Localization.getText({ key: 'loading' }),
+      center.x,
+      center.y - barSize.y);
+
+    // The bar is an outline that fills up from the left as the files load.
+    stroke(this._palette.textColor);
+    noFill();
+    rect(center.x - barSize.x / 2, center.y - barSize.y / 2, barSize.x, barSize.y);
+    noStroke();
+    fill(this._palette.textColor);
+    rect(center.x - barSize.x / 2, center.y - barSize.y / 2, barSize.x * assets.getProgress(), barSize.y);
+    pop();
+
+    this._endView();
   }
 
   /**
-  * Change the size of the game object.
-  */
-  setSize({ size: size }) {
-    this._size = size.copy();
+   * Get the layout of the view in the window.
+   */
+  getLayout() {
+    return this._layout;
   }
 
   /**
-  * Get the size of the game object.
-  */
-  getSize() {
-    return this._size.copy();
+   * Start drawing a frame. Everything drawn until _endView() is in logical units.
+   */
+  _beginView() {
+    const viewPosition = this._layout.getViewPosition();
+
+    // background(color) sets the background color each frame. It clears the previous objects from
+    // the screen. Anything that isn't covered by the game view is left in this color.
+    background(P5Renderer._letterboxColor);
+
+    // push() saves the transformation for the coordinate system. Everything in the game view is drawn in
+    // logical units, so the origin is moved to the top left corner of the view and scaled to fit.
+    push();
+    translate(viewPosition.x, viewPosition.y);
+    scale(this._layout.getScale());
   }
-}
 
-/**
- * This is the class for game objects that change their image every frame (for example, the cow and person.)
- * to do flipbook style animation.
- */
-class AnimatingSprite extends Sprite {
-  constructor({ imageLeftArray, imageRightArray, imageUpArray, imageDownArray, size, position, velocity, distancePerFrame }) {
-    super({
-      image: imageDownArray[0],
-      size: size.copy(),
-      position: position.copy(),
-      velocity: velocity.copy(),
-    });
+  /**
+   * Finish drawing a frame.
+   */
+  _endView() {
+    // pop() restores the transformation for the coordinate system in p5.js.
+    pop();
 
-    // These arrays hold the images in sequence for the walking animation in each of the directions.
-    this._imageLeftArray = imageLeftArray;
-    this._imageRightArray = imageRightArray;
-    this._imageUpArray = imageUpArray;
-    this._imageDownArray = imageDownArray;
+    // Cover up anything from the world that was drawn outside the view.
+    noStroke();
+    fill(P5Renderer._letterboxColor);
+    this._layout.getLetterboxBars().forEach(bar => rect(bar.position.x, bar.position.y, bar.size.x, bar.size.y));
+  }
 
-    // This is the distance that the game object can move before switching to the next frame in
-    // the sequence. It's better to use distance than time so that the images are flipped faster
-    // when the game object moves faster.
-    this._distancePerFrame = distancePerFrame;
+  /**
+   * Draw the world as the camera sees it: the ground layer, then the world layer with the sprites that are
+   * in the view. particles is optional; it is the ParticleSystem whose dust and hearts are drawn with the
+   * world. lighting is optional too; it is how dark it is (see _getLighting()). drawOverlay is optional as
+   * well; it draws anything else on top, in world coordinates.
+   */
+  _drawWorld({ worldSize, tileMap, sprites, camera, particles = null, lighting = null, drawOverlay = () => {} }) {
+    const viewSize = this._layout.getLogicalSize();
+    const cameraPosition = camera.getPosition();
+    const LAYERS = P5Renderer.LAYERS;
 
-    // This is how long the game object has been active in seconds. It helps to determine which
-    // frame to draw in the seqence of images.
-    this._elapsedTime = 0;
+    // The view is filled with a different color first, so that if the world is smaller than the view,
+    // its edge can be seen.
+    push();
+    noStroke();
+    fill(this._palette.outsideColor);
+    rect(0, 0, viewSize.x, viewSize.y);
+
+    // translate(x, y) moves the origin of the coordinate system. It's moved so that the camera's position
+    // is in the center of the view, so everything in the world is drawn relative to the camera.
+    translate(viewSize.x / 2 - cameraPosition.x, viewSize.y / 2 - cameraPosition.y);
+    const visibleSprites = sprites
+      .filter(sprite => camera.isVisible({ position: sprite.getPosition(), size: sprite.getImageSize() }));
+
+    // The ground layer is the ground itself, its tiles and the patches of grass and water, with the dust
+    // kicked up from it. Everything else stands on top of it.
+    fill(this._palette.backgroundColor);
+    rect(-worldSize.x / 2, -worldSize.y / 2, worldSize.x, worldSize.y);
+    this._drawTiles({ tileMap: tileMap, camera: camera });
+    visibleSprites
+      .filter(sprite => this._getSpriteLayer({ sprite: sprite }) === LAYERS.GROUND)
+      .forEach(sprite => this._drawSprite({ sprite: sprite }));
+    this._drawParticles({ particles: particles, layer: LAYERS.GROUND });
+
+    // The world layer is the fences, the people and the animals. They are drawn from the top of the world
+    // down, by where the bottom of each image is (where it stands), so that something standing in front of
+    // something else is drawn over it.
+    const getBottom = sprite => sprite.getPosition().y + sprite.getImageSize().y / 2;
+    visibleSprites
+      .filter(sprite => this._getSpriteLayer({ sprite: sprite }) === LAYERS.WORLD)
+      .sort((first, second) => getBottom(first) - getBottom(second))
+      .forEach(sprite => {
+        this._drawOutline({ sprite: sprite });
+        this._drawSprite({ sprite: sprite });
+      });
+    this._drawParticles({ particles: particles, layer: LAYERS.WORLD });
+    this._drawLighting({ lighting: lighting, camera: camera });
+    drawOverlay();
+    pop();
+  }
 
-    // This is the last image that was drawn. This is useful to maintain the last direction when
-    // the velocity is set to zero.
-    this._lastImage = this._imageDownArray[0];
+  /**
+   * Get how dark the world is, as { color, visibilityRadius, lightPositions }, or null in the daytime. The
+   * world is covered in color, which goes from the orange of sunset to the dark blue of night, except for
+   * a circle with a radius of visibilityRadius around each of the lightPositions, where the people are.
+   */
+  _getLighting({ gameManager }) {
+    const dayClock = gameManager.getDayClock();
+    const visibilityRadius = dayClock.getVisibilityRadius();
+    if (visibilityRadius === null) {
+      return null;
+    }
+    return {
+      // lerpColor(...) is a p5.js function that mixes two colors.
+      color: lerpColor(P5Renderer._duskColor, P5Renderer._nightColor, 1 - dayClock.getLight()),
+      visibilityRadius: visibilityRadius,
+      lightPositions: gameManager.getPlayers().map(({ person }) => person.getPosition())
+    };
   }
 
   /**
-   * This is an internal function that decides which image to draw based on the direction the
-   * game object is moving, the last time it was moving and the amount of time that has passed.
+   * Draw the dark of the dusk over the view, in world coordinates. The dark is drawn in its own buffer
+   * first, so that the circles around the people can be cut out of it. Each circle has a soft edge, made of
+   * rings that each cut out a little more of the dark.
    */
-  _getImage() {
-
-    // Based on the current direction of motion, set currentImageArray to the appropriate sequence of
-    // animation frames. If the game object is not moving, currentImageArray remains undefined.
-    let currentImageArray;
-    if (this._velocity.x < 0) {
-      currentImageArray = this._imageLeftArray;
-    } else if (this._velocity.x > 0) {
-      currentImageArray = this._imageRightArray;
-    } else if (this._velocity.y < 0) {
-      currentImageArray = this._imageUpArray;
-    } else if (this._velocity.y > 0) {
-      currentImageArray = this._imageDownArray;
+  _drawLighting({ lighting, camera }) {
+    if (!lighting) {
+      return;
     }
 
-    // If the currentImageArray is set, then the game object is moving, so set the _lastImage to the
-    // next frame in the animation sequence.
-    if (currentImageArray) {
-      // frameCount is dependent of the time that has passed, the velocity of motion and how 
-      // far the game object travels before advancing frames.
-      let frameCount = floor(this._elapsedTime * this._velocity.mag() / this._distancePerFrame);
+    // createGraphics(...) is a p5.js function that makes an offscreen buffer to draw in.
+    const viewSize = this._layout.getLogicalSize();
+    if (!this._lightingBuffer || this._lightingBuffer.width !== viewSize.x ||
+      this._lightingBuffer.height !== viewSize.y) {
+      this._lightingBuffer = createGraphics(viewSize.x, viewSize.y);
+    }
+    const buffer = this._lightingBuffer;
+    const viewTopLeft = camera.getPosition().sub(viewSize.copy().mult(0.5));
+    buffer.clear();
+    buffer.noStroke();
+    buffer.fill(lighting.color);
+    buffer.rect(0, 0, viewSize.x, viewSize.y);
+
+    // In the REMOVE blend mode, drawing takes away from what is already there instead of adding to it.
+    buffer.blendMode(REMOVE);
+    const steps = P5Renderer._lightEdgeSteps;
+    lighting.lightPositions.forEach(position => {
+      for (let step = 0; step < steps; step++) {
+        const radius = lighting.visibilityRadius * (1 + P5Renderer._lightEdgeWidth * (1 - step / (steps - 1)));
+        buffer.fill(0, step === steps - 1 ? 255 : 255 / steps);
+        buffer.circle(position.x - viewTopLeft.x, position.y - viewTopLeft.y, radius * 2);
+      }
+    });
+    buffer.blendMode(BLEND);
+    image(buffer, viewTopLeft.x, viewTopLeft.y, viewSize.x, viewSize.y);
+  }
 
-      // Wrap the frameCount around to select an image from the currentImageArray, so the cows and people
-      // can display their walking animation.
-      this._lastImage = currentImageArray[frameCount % currentImageArray.length];
+  /**
+   * Draw the sky layer over the view: a grey tint over everything in bad weather, then the rain and the
+   * gusts of wind, then the flash of a clap of thunder.
+   */
+  _drawSky({ gameManager, particles }) {
+    const viewSize = this._layout.getLogicalSize();
+    const weather = gameManager.getWeather();
+    push();
+    noStroke();
+    const weatherTint = P5Renderer._weatherTints[weather.getKind()];
+    if (weatherTint) {
+      fill(weatherTint);
+      rect(0, 0, viewSize.x, viewSize.y);
+    }
+    this._drawParticles({ particles: particles, layer: P5Renderer.LAYERS.SKY });
+
+    // The flash is brightest right at the clap and fades away quickly.
+    const timeSinceThunderclap = weather.getTimeSinceThunderclap();
+    if (timeSinceThunderclap !== null && timeSinceThunderclap < P5Renderer._thunderFlashDuration) {
+      fill(...P5Renderer._thunderFlashColor, 255 * (1 - timeSinceThunderclap / P5Renderer._thunderFlashDuration));
+      rect(0, 0, viewSize.x, viewSize.y);
     }
+    pop();
+  }
 
-    return this._lastImage;
+  /**
+   * If the palette has outlines, draw a ring of color around a person, dog, cow or wolf, so that each kind
+   * stands out from the ground and from each other. The ring is drawn first, so it shows around the sprite.
+   */
+  _drawOutline({ sprite }) {
+    const outlineColors = this._palette.outlineColors;
+    if (!outlineColors) {
+      return;
+    }
+    const color = sprite instanceof Person ? outlineColors.person :
+      sprite instanceof Dog ? outlineColors.dog :
+      sprite instanceof Cow ? outlineColors.cow :
+      sprite instanceof Wolf ? outlineColors.wolf : null;
+    if (!color) {
+      return;
+    }
+    const position = sprite.getPosition();
+    push();
+    noFill();
+    stroke(color);
+    strokeWeight(P5Renderer._outlineWeight);
+    circle(position.x, position.y, sprite.getImageSize().x * P5Renderer._outlineScale);
+    pop();
   }
 
   /**
-   * Update the position and animation variables.
+   * Get the layer a sprite is drawn in. It is one of the P5Renderer.LAYERS. Patches lie flat on the
+   * ground; everything else stands up in the world.
    */
-  tick({ dt }) {
-    // Keep track of how much time has passed so that the correct animation frame in the sequence
-    // can be determined.
-    this._elapsedTime += dt;
+  _getSpriteLayer({ sprite }) {
+    return sprite instanceof Patch ? P5Renderer.LAYERS.GROUND : P5Renderer.LAYERS.WORLD;
+  }
 
-    // Set the correct image based on the direction and animation sequence.
-    super._image = this._getImage();
+  /**
+   * Draw the particles of the kinds that are in the given layer. particles is the ParticleSystem, or null
+   * if there are no particles to draw.
+   */
+  _drawParticles({ particles, layer }) {
+    if (!particles) {
+      return;
+    }
 
-    // Call the parent (Sprite's) tick(dt) to have it perform the basic position calculations.
-    super.tick({ dt: dt });
+    push();
+    noStroke();
+    rectMode(CENTER);
+    Object.values(ParticleSystem.KINDS)
+      .filter(kind => P5Renderer._particleLayers[kind] === layer)
+      .forEach(kind => particles.getParticles({ kind: kind }).forEach(particle => {
+        const size = particle.size;
+        push();
+        translate(particle.position.x, particle.position.y);
+        rotate(particle.rotation);
+        fill(...particle.color, 255 * particle.opacity);
+        switch (kind) {
+          case ParticleSystem.KINDS.DUST:
+            circle(0, 0, size);
+            break;
+          // A heart is two curves that meet at the point at the bottom. It is drawn upright, however the
+          // particle is turned, with only a little wobble.
+          case ParticleSystem.KINDS.HEART:
+            rotate(-particle.rotation + Math.sin(particle.rotation) * 0.3);
+            beginShape();
+            vertex(0, -size * 0.2);
+            bezierVertex(size * 0.5, -size * 0.7, size, -size * 0.1, 0, size * 0.5);
+            bezierVertex(-size, -size * 0.1, -size * 0.5, -size * 0.7, 0, -size * 0.2);
+            endShape(CLOSE);
+            break;
+          // Confetti is a little strip of paper.
+          case ParticleSystem.KINDS.CONFETTI:
+            rect(0, 0, size, size / 2);
+            break;
+          // Raindrops and gusts of wind are thin streaks along the way they are going.
+          case ParticleSystem.KINDS.RAIN:
+          case ParticleSystem.KINDS.WIND:
+            rect(0, 0, size, P5Renderer._streakWidth);
+            break;
+        }
+        pop();
+      }));
+    pop();
   }
-}
 
-/**
- * Encapsulates a cow.
- */
-class Cow extends AnimatingSprite {
-  constructor({ position }) {
-    super({
-      imageLeftArray: Cow._imageLeftArray,
-      imageRightArray: Cow._imageRightArray,
-      imageUpArray: Cow._imageUpArray,
-      imageDownArray: Cow._imageDownArray,
-      distancePerFrame: Cow._distanceFromFrame,
-
-      size: Cow._size.copy(),
-      position: position.copy(),
-      velocity: MathHelper.VECTOR_ZERO()
+  /**
+   * Draw the tiles that are in the view. Grass is the same color as the background, so it is skipped.
+   * Trees are drawn as a round top on grass.
+   */
+  _drawTiles({ tileMap, camera }) {
+    const tileSize = tileMap.getTileSize();
+    const size = MathHelper.VECTOR_ONE().mult(tileSize);
+    push();
+    noStroke();
+    rectMode(CENTER);
+    tileMap.forEachTile(({ type, position }) => {
+      if (type === TileMap.TILES.GRASS || !camera.isVisible({ position: position, size: size })) {
+        return;
+      }
+      if (type === TileMap.TILES.TREE) {
+        fill(this._palette.treeColor);
+        circle(position.x, position.y, tileSize * 0.9);
+      } else {
+        fill(this._palette.tileColors[type]);
+        rect(position.x, position.y, tileSize, tileSize);
+      }
     });
+    pop();
   }
 
   /**
-   * Update the position and animation variables.
+   * Move the camera toward the person, or to the middle of both people when two are playing. When a new
+   * level starts, the camera jumps straight there instead, and it does the same if dt is a weird value
+   * (p5.js returns weird values for frameRate() before draw is called.)
    */
-  tick({ dt }) {
-    // If the cow is following the person, then tickTarget(dt) towards the target position.
-    // Otherwise, tickNormal(dt) and randomly move about.
-    if (this._targetPosition) {
-      this._tickTarget({ dt: dt })
+  _moveCamera({ gameManager, dt }) {
+    const cameraTarget = {
+      target: gameManager.getPlayersCenter(),
+      worldSize: gameManager.getWorldSize(),
+      viewSize: this._layout.getLogicalSize()
+    };
+
+    if (gameManager.getLevelIndex() !== this._levelIndex || !dt || !isFinite(dt)) {
+      this._levelIndex = gameManager.getLevelIndex();
+      this._camera.jumpTo(cameraTarget);
     } else {
-      this._tickNormal({ dt: dt })
+      this._camera.follow(Object.assign({ dt: dt }, cameraTarget));
     }
-
-    // Call the parent (AnimatingSprite's) tick(dt) to handle updating the animation sequence and position.
-    super.tick({ dt: dt });
   }
 
   /**
-   * This is the following the person case. Set the motion of the cow to be toward the person, but constrain
-   * the motion to x and y only. If the cow is close to the person, then don't move at all.
+   * Draw a small map of the whole world in the bottom left corner of the view, with the patches, the
+   * fences, the cows, the person and the part of the world that is in the view. It is only drawn if the
+   * world doesn't fit in the view.
    */
-  _tickTarget({ dt }) {
-    if (this._position.x > this._targetPosition.x + 40) {
-      this._velocity = MathHelper.VECTOR_LEFT().mult(Cow._targetSpeed);
-    } else if (this._position.x < this._targetPosition.x - Cow._targetPadding) {
-      this._velocity = MathHelper.VECTOR_RIGHT().mult(Cow._targetSpeed);
-    } else if (this._position.y > this._targetPosition.y + Cow._targetPadding) {
-      this._velocity = MathHelper.VECTOR_UP().mult(Cow._targetSpeed);
-    } else if (this._position.y < this._targetPosition.y - Cow._targetPadding) {
-      this._velocity = MathHelper.VECTOR_DOWN().mult(Cow._targetSpeed);
-    } else {
-      this._velocity = MathHelper.VECTOR_ZERO();
+  _drawMinimap({ gameManager }) {
+    const worldSize = gameManager.getWorldSize();
+    const viewSize = this._layout.getLogicalSize();
+    if (worldSize.x <= viewSize.x && worldSize.y <= viewSize.y) {
+      return;
     }
+
+    // The map is scaled so that the whole world fits in the map's width.
+    const mapScale = P5Renderer._minimapWidth / worldSize.x;
+    const mapSize = worldSize.copy().mult(mapScale);
+    const margin = P5Renderer._hudMargin;
+    const mapCenter = this._layout.anchor({
+      anchor: ScreenLayout.ANCHORS.BOTTOM_LEFT,
+      offset: Platform.createVector(margin + mapSize.x / 2, -margin - mapSize.y / 2)
+    });
+
+    push();
+    // Move the origin to the middle of the map and scale it, so that world positions can be drawn
+    // directly. strokeWeight is divided by the scale so that lines are still 1 unit wide.
+    translate(mapCenter.x, mapCenter.y);
+    scale(mapScale);
+    strokeWeight(1 / mapScale);
+    rectMode(CENTER);
+
+    stroke(this._palette.textColor);
+    fill(P5Renderer._minimapColor);
+    rect(0, 0, worldSize.x, worldSize.y);
+
+    // The patches of grass and water, then the fences, drawn as outlines.
+    noStroke();
+    gameManager.getPatches().forEach(patch => {
+      fill(P5Renderer._minimapPatchColors[patch.getType()]);
+      rect(patch.getPosition().x, patch.getPosition().y, patch.getSize().x, patch.getSize().y);
+    });
+    noFill();
+    stroke(P5Renderer._minimapFenceColor);
+    gameManager.getFences().forEach(fence =>
+      rect(fence.getPosition().x, fence.getPosition().y, fence.getSize().x, fence.getSize().y));
+
+    // The cows, with the ones in a herd in a different color, then the wolves, the dogs and the people.
+    noStroke();
+    const herd = gameManager.getHerd();
+    const dotSize = P5Renderer._minimapDotSize / mapScale;
+    gameManager.getCows().forEach(cow => {
+      fill(herd.includes(cow) ? P5Renderer._minimapHerdColor : P5Renderer._minimapCowColor);
+      circle(cow.getPosition().x, cow.getPosition().y, dotSize);
+    });
+    fill(P5Renderer._minimapWolfColor);
+    gameManager.getWolves().filter(wolf => wolf.isPresent()).forEach(wolf =>
+      circle(wolf.getPosition().x, wolf.getPosition().y, dotSize * 1.5));
+    fill(P5Renderer._minimapDogColor);
+    gameManager.getPlayers().forEach(({ dog }) => circle(dog.getPosition().x, dog.getPosition().y, dotSize));
+    gameManager.getPlayers().forEach(({ person }, index) => {
+      fill(P5Renderer._minimapPersonColors[index]);
+      circle(person.getPosition().x, person.getPosition().y, dotSize * 1.5);
+    });
+
+    // The part of the world that is in the view.
+    const cameraPosition = this._camera.getPosition();
+    noFill();
+    stroke(this._palette.textColor);
+    rect(cameraPosition.x, cameraPosition.y, viewSize.x, viewSize.y);
+    pop();
   }
 
   /**
-   * This is the normal motion case. With a probability of 1/10 every second, either have
-   * the cow move in a random direction or if it is already moving, have it stop.
+   * Draw the timer, the score and how many cows are home in the top left corner of the view. Once a second
+   * player has joined, it also shows which keys each player moves with, since the arrow keys move the
+   * second player from then on.
    */
-  _tickNormal({ dt }) {
-    let probability = 0.1 * dt;
-    let roll = random(0, 1);
-
-    // The 1/10 chance of changing motion has manifested.
-    if (roll < probability) {
-      // If the cow is moving, stop the cow.
-      // Otehrwise, have it move in a random direction.
-      if (this._velocity.mag() > 0) {
-        this._velocity = MathHelper.VECTOR_ZERO();
-      } else {
-        this._velocity = random([
-          MathHelper.VECTOR_LEFT(),
-          MathHelper.VECTOR_RIGHT(),
-          MathHelper.VECTOR_UP(),
-          MathHelper.VECTOR_DOWN()
-        ]).mult(Cow._normalSpeed);
-      }
+  _drawHud({ gameManager }) {
+    const cowCounts = gameManager.getCowCounts();
+    const lines = [
+      Localization.getText({
+        key: 'hudTime', values: { time: GameManager.formatTime({ seconds: gameManager.getRoundTime() }) }
+      }),
+      Localization.getText({ key: 'hudScore', values: { score: gameManager.getScore() } }),
+      Localization.getText({ key: 'hudCowsHome', values: cowCounts })
+    ];
+
+    // If the wolves have taken any cows, show how many.
+    if (cowCounts.lost > 0) {
+      lines.push(Localization.getText({ key: 'hudCowsLost', values: cowCounts }));
+    }
+
+    // If the level has a time limit, show how much time is left.
+    const timeLeft = gameManager.getLevelTimeLeft();
+    if (timeLeft !== null) {
+      lines.push(Localization.getText({
+        key: 'hudTimeLeft', values: { time: GameManager.formatTime({ seconds: Math.ceil(timeLeft) }) }
+      }));
+    }
+
+    // If the level has a time of day, show it and when night falls.
+    const dayClock = gameManager.getDayClock();
+    if (dayClock.isRunning()) {
+      lines.push(Localization.getText({
+        key: 'hudClock',
+        values: {
+          clock: DayClock.formatHour({ hour: dayClock.getHour() }),
+          nightfall: DayClock.formatHour({ hour: dayClock.getNightfallHour() })
+        }
+      }));
     }
-  }
 
-  setTargetPosition({ position }) {
-    this._targetPosition = position;
+    if (gameManager.getPlayers().length > 1) {
+      lines.push(Localization.getText({ key: 'hudPlayerOneKeys' }), Localization.getText({ key: 'hudPlayerTwoKeys' }));
+    }
+
+    this._drawTextLines({
+      lines: lines,
+      position: this._layout.anchor({
+        anchor: ScreenLayout.ANCHORS.TOP_LEFT,
+        offset: MathHelper.VECTOR_ONE().mult(P5Renderer._hudMargin)
+      }),
+      align: LEFT
+    });
   }
 
-  unsetTargetPosition() {
-    this._targetPosition = null;
+  /**
+   * Draw the high score table under the title.
+   */
+  _drawHighScores({ highScores }) {
+    const scores = highScores.getScores();
+    const lines = scores.length === 0 ? [Localization.getText({ key: 'noHighScores' })] : scores.map((entry, index) =>
+      Localization.getText({
+        key: 'highScoreEntry',
+        values: { rank: index + 1, score: entry.score, time: GameManager.formatTime({ seconds: entry.time }) }
+      }));
+
+    this._drawTextLines({
+      lines: [Localization.getText({ key: 'highScoresTitle' }), ...lines],
+      position: this._layout.anchor({
+        anchor: ScreenLayout.ANCHORS.TOP,
+        offset: Platform.createVector(0, P5Renderer._highScoresTop)
+      }),
+      align: CENTER
+    });
   }
-}
 
-/**
- * Preload all the images for the cow's animation. There are 4 directions and 4 animation frames in each
- * direction's motion.
- */
-Cow.preload = () => {
-  // This loads all the cow images. Using the ` backtick allows for using variables inside the string.
-  Cow._imageLeftArray = Array.from(Array(4).keys()).map(index => loadImage(`cow_left_${index}.png`));
-  Cow._imageRightArray = Array.from(Array(4).keys()).map(index => loadImage(`cow_right_${index}.png`));
-  Cow._imageUpArray = Array.from(Array(4).keys()).map(index => loadImage(`cow_up_${index}.png`));
-  Cow._imageDownArray = Array.from(Array(4).keys()).map(index => loadImage(`cow_down_${index}.png`));
-
-  Cow._size = MathHelper.VECTOR_ONE().mult(128);
-  Cow._distanceFromFrame = 2.5;
-
-  // This is how far from the target the cow should be when following.
-  Cow._targetPadding = 40;
-  // This is the normal cow speed.
-  Cow._normalSpeed = 20;
-  // This is the speed of the cow when following.
-  Cow._targetSpeed = 40;
-}
+  /**
+   * Draw the accessibility settings and the keys that change them in the bottom right corner of the view.
+   */
+  _drawOptions({ accessibility }) {
+    const stateText = isOn => Localization.getText({ key: isOn ? 'on' : 'off' });
+    const lines = [
+      Localization.getText({
+        key: 'optionLanguage',
+        values: { key: AccessibilitySettings._localeKey, language: Localization.getText({ key: 'languageName' }) }
+      }),
+      Localization.getText({
+        key: 'optionHighContrast',
+        values: { key: AccessibilitySettings._highContrastKey, state: stateText(accessibility.isHighContrast()) }
+      }),
+      Localization.getText({
+        key: 'optionAssist',
+        values: { key: AccessibilitySettings._assistKey, state: stateText(accessibility.isAssistOn()) }
+      })
+    ];
+
+    const margin = P5Renderer._hudMargin;
+    const height = lines.length * P5Renderer._hudFontSize * P5Renderer._lineSpacing;
+    this._drawTextLines({
+      lines: lines,
+      position: this._layout.anchor({
+        anchor: ScreenLayout.ANCHORS.BOTTOM_RIGHT,
+        offset: Platform.createVector(-margin, -margin - height)
+      }),
+      align: RIGHT
+    });
+  }
 
-/**
- * Encapsulates the person.
- */
-class Person extends AnimatingSprite {
-  constructor({ position }) {
-    super({
-      imageLeftArray: Person._imageLeftArray,
-      imageRightArray: Person._imageRightArray,
-      imageUpArray: Person._imageUpArray,
-      imageDownArray: Person._imageDownArray,
-      distancePerFrame: Person._distanceFromFrame,
-
-      size: Person._size.copy(),
-      position: position.copy(),
-      velocity: MathHelper.VECTOR_ZERO()
+  /**
+   * Draw lines of text in the HUD's font, starting at the position and going down. align is LEFT, CENTER
+   * or RIGHT (the p5.js constants), and says which part of the text the position is at.
+   */
+  _drawTextLines({ lines, position, align }) {
+    const lineHeight = P5Renderer._hudFontSize * P5Renderer._lineSpacing;
+    push();
+    textSize(P5Renderer._hudFontSize);
+    textFont('Georgia');
+    textLeading(lineHeight);
+    textAlign(align, TOP);
+
+    // textWidth(...) is a p5.js function that gets how wide some text is in the current font.
+    const size = Platform.createVector(Math.max(...lines.map(line => textWidth(line))), lines.length * lineHeight);
+    const alignOffset = { [LEFT]: 0, [CENTER]: 0.5, [RIGHT]: 1 }[align];
+    this._drawTextBacking({
+      center: Platform.createVector(position.x + size.x * (0.5 - alignOffset), position.y + size.y / 2),
+      size: size
     });
+    fill(this._palette.textColor);
+    text(lines.join('\n'), position.x, position.y);
+    pop();
   }
 
   /**
-   * Set the direction that the person is moving. Should be a unit vector or zero vector.
+   * Draw a box behind some text, if the palette has one, to make the text easier to read over the world.
+   * center and size are the middle and size of the text.
    */
-  setControlledDirection({ direction }) {
-    this._velocity = direction.copy().mult(Person._speed);
+  _drawTextBacking({ center, size }) {
+    if (!this._palette.textBackingColor) {
+      return;
+    }
+    const padding = P5Renderer._textBackingPadding;
+    push();
+    noStroke();
+    rectMode(CENTER);
+    fill(this._palette.textBackingColor);
+    rect(center.x, center.y, size.x + padding * 2, size.y + padding * 2);
+    pop();
   }
-}
 
-/**
- * Preload all the images for the person's animation. There are 4 directions and 3 animation frames in each
- * direction's motion.
- */
-Person.preload = () => {
-  // This loads all the person images.
-  Person._imageLeftArray = Array.from(Array(3).keys()).map(index => loadImage(`person_left_${index}.png`));
-  Person._imageRightArray = Array.from(Array(3).keys()).map(index => loadImage(`person_right_${index}.png`));
-  Person._imageUpArray = Array.from(Array(3).keys()).map(index => loadImage(`person_up_${index}.png`));
-  Person._imageDownArray = Array.from(Array(3).keys()).map(index => loadImage(`person_down_${index}.png`));
-
-  Person._size = createVector(32, 32);
-  Person._distanceFromFrame = 2.5;
-  Person._speed = 30;
-}
+  /**
+   * Draw one game object to the screen.
+   */
+  _drawSprite({ sprite }) {
+    const position = sprite.getPosition();
+    const imageSize = sprite.getImageSize();
 
-/**
- * Encapsulates the fence.
- */
-class Fence extends Sprite {
-  constructor({ position }) {
-    super({
-      image: Fence._image,
-      size: Fence._size.copy(),
-      position: position.copy(),
-      velocity: MathHelper.VECTOR_ZERO()
-    });
+    // Move the origin to the center of the sprite and rotate it, so that the image can be drawn
+    // centered on the origin.
+    push();
+    translate(position.x, position.y);
+    rotate(sprite.getRotation());
+
+    // Game objects that don't have any art yet are drawn as a shape instead.
+    const spriteImage = this._assets.getImage({ name: sprite.getImageName() });
+    if (!spriteImage) {
+      this._drawShape({ sprite: sprite });
+      pop();
+      return;
+    }
+
+    // p5.js function to draw the image to the screen at the specified position and size.
+    image(
+      spriteImage,
+      -imageSize.x / 2,
+      -imageSize.y / 2,
+      imageSize.x,
+      imageSize.y
+    );
+
+    // Just after an animating sprite changes clip, the old image fades out on top of the new one. tint(...)
+    // is a p5.js function that makes the images drawn after it see-through.
+    const blend = sprite instanceof AnimatingSprite ? sprite.getBlend() : null;
+    if (blend) {
+      tint(255, 255 * blend.weight);
+      image(
+        this._assets.getImage({ name: blend.imageName }),
+        -imageSize.x / 2,
+        -imageSize.y / 2,
+        imageSize.x,
+        imageSize.y
+      );
+      noTint();
+    }
+    pop();
   }
 
   /**
-   * Tests whether the given position overlaps any part of the fence.
+   * Draw a game object that doesn't have an image as a plain shape, in its color from
+   * P5Renderer._shapeColors: a body with a head on the side it is moving toward, or facing down the screen
+   * while it stands still. The origin is already at the center of the game object.
    */
-  isOverlapping({ position: position }) {
-    // outerFenceBound is a a little bigger than the fence image.
-    const outerFenceBoundSize = this.getSize().add(MathHelper.VECTOR_ONE().mult(Fence._edgeWidth / 2));
-    // innerFenceBound is a little smaller than the fence image.
-    const innerFenceBoundSize = this.getSize().sub(MathHelper.VECTOR_ONE().mult(Fence._edgeWidth / 2));
-    // openingPosition is the center of where the opening is.
-    const openingPosition = this.getPosition().sub(createVector(0, this._size.y / 2));
-
-    // Test all the bounds.
-    const isInOuterFenceBound = MathHelper.positionInBounds({
-      position: position, boundsPosition: this._position, boundsSize: outerFenceBoundSize
-    });
-    const isInInnerFenceBound = MathHelper.positionInBounds({
-      position: position, boundsPosition: this._position, boundsSize: innerFenceBoundSize
-    });
-    const isInOpening = MathHelper.positionInBounds({
-      position: position, boundsPosition: openingPosition, boundsSize: Fence._openingSize
-    });
+  _drawShape({ sprite }) {
+    const imageSize = sprite.getImageSize();
+    const velocity = sprite.getVelocity();
+    const heading = velocity.mag() > 0 ? MathHelper.normalize({ vector: velocity }) : createVector(0, 1);
+    const head = heading.mult(imageSize.x * P5Renderer._shapeHeadOffset);
 
-    // If the position is between the outerFenceBound and innerFenceBound, but not in the
-    // fence opening, then return true. Otherwise, return false.
-    return isInOuterFenceBound && !isInInnerFenceBound && !isInOpening;
+    push();
+    noStroke();
+    fill(P5Renderer._shapeColors[sprite.getImageName()] || P5Renderer._shapeColors.missing);
+    ellipse(0, 0, imageSize.x * P5Renderer._shapeBodySize.x, imageSize.y * P5Renderer._shapeBodySize.y);
+    circle(head.x, head.y, imageSize.x * P5Renderer._shapeHeadSize);
+    pop();
   }
 }
 
 /**
- * Preload the fence image.
+ * The layers the game is drawn in, from the bottom to the top.
  */
-Fence.preload = () => {
-  Fence._image = loadImage(`fence.png`);
-  Fence._size = MathHelper.VECTOR_ONE().mult(400);
-  Fence._edgeWidth = 100;
-  Fence._openingSize = createVector(100, Fence._edgeWidth);
-}
+P5Renderer.LAYERS = Object.freeze({
+  // The ground and everything lying flat on it, like the patches of grass and water.
+  GROUND: 'ground',
+  // Everything standing on the ground, like the fences, the people and the animals. They are drawn in
+  // order of how far down the world they are standing.
+  WORLD: 'world',
+  // The weather, drawn over the whole view.
+  SKY: 'sky',
+  // The text, the minimap and anything else drawn over the view instead of in the world.
+  HUD: 'hud'
+});
 
-/**
- * This contains helpful math functions.
- */
-const MathHelper = {
-  /**
-   * Tests whether the given position is withing the specified bounds.
-   */
-  positionInBounds: ({ position, boundsPosition, boundsSize }) =>
-    (position.x > boundsPosition.x - boundsSize.x / 2 &&
-      position.x < boundsPosition.x + boundsSize.x / 2 &&
-      position.y > boundsPosition.y - boundsSize.y / 2 &&
-      position.y < boundsPosition.y + boundsSize.y / 2),
+/*
+* Set up the drawing settings.
+*/
+P5Renderer.preload = () => {
+  // The logical size of the game view. It is scaled to fit the window, so it only sets the shape of the
+  // view and how big things are compared to it.
+  P5Renderer._logicalSize = createVector(1280, 800);
+  // The color of the bars around the view when the window is a different shape.
+  P5Renderer._letterboxColor = color(0);
+
+  // Set the transform, color and other description text properties. The description is centered
+  // a little above the bottom of the view.
+  P5Renderer._descriptionOffset = createVector(0, -70);
+  P5Renderer._descriptionSize = createVector(480, 80);
+
+  // Set the HUD and high score table properties. The text itself is in strings.js, in every language.
+  P5Renderer._hudFontSize = 16;
+  P5Renderer._hudMargin = 16;
+  P5Renderer._highScoresTop = 110;
+  // How far apart the lines of text are, compared to the font size.
+  P5Renderer._lineSpacing = 1.25;
+  // How much room to leave around text that has a backing behind it.
+  P5Renderer._textBackingPadding = 6;
+
+  // Set the loading screen properties.
+  P5Renderer._loadingBarSize = createVector(320, 16);
 
-  /**
-   * Returns frequently used vectors. Vector's are created each time so that new copies are 
-   * returned and accidental overwriting is much less likely.
-   */
-  VECTOR_ZERO: () => createVector(0, 0),
-  VECTOR_ONE: () => createVector(1, 1),
-  VECTOR_LEFT: () => createVector(-1, 0),
-  VECTOR_RIGHT: () => createVector(1, 0),
-  VECTOR_UP: () => createVector(0, -1),
-  VECTOR_DOWN: () => createVector(0, 1)
-
-};
-Object.freeze(MathHelper);
\ No newline at end of file
+  // Set the target frame rate.
+  P5Renderer._frameRate = 30;
+
+  // Set the minimap properties. The minimap's height depends on the shape of the world.
+  P5Renderer._minimapWidth = 200;
+  P5Renderer._minimapDotSize = 5;
+  P5Renderer._minimapColor = color(0, 80, 0, 180);
+  P5Renderer._minimapFenceColor = color(200, 150, 90);
+  P5Renderer._minimapCowColor = color(255);
+  P5Renderer._minimapHerdColor = color(255, 220, 0);
+  // The color of each player's person, to match their shirts.
+  P5Renderer._minimapPersonColors = [color(220, 40, 40), color(40, 90, 220)];
+  P5Renderer._minimapWolfColor = color(40);
+  P5Renderer._minimapDogColor = color(140, 90, 40);
+
+  // The game objects without any art yet are drawn as a body and a head (see P5Renderer._drawShape()). The
+  // sizes are compared to the size of the game object's image, and each kind has its own color, by image
+  // name.
+  P5Renderer._shapeBodySize = createVector(0.6, 0.35);
+  P5Renderer._shapeHeadSize = 0.25;
+  P5Renderer._shapeHeadOffset = 0.3;
+  P5Renderer._shapeColors = {
+    wolf: color(90),
+    dog: color(140, 90, 40),
+    missing: color(255, 0, 255)
+  };
+
+  // The colors of the world and the text. backgroundColor is the color of the world and outsideColor is the
+  // color of anything in the view outside the world. Grass tiles are the background color. The high
+  // contrast palette has a darker ground with brighter tiles, a dark backing behind the text, and a ring
+  // around everyone in the world in outlineColors, so that they stand out.
+  P5Renderer._palettes = {
+    normal: {
+      backgroundColor: color(0, 200, 0),
+      outsideColor: color(0, 110, 0),
+      tileColors: {
+        [TileMap.TILES.DIRT]: color(170, 130, 80),
+        [TileMap.TILES.WATER]: color(70, 130, 210),
+        [TileMap.TILES.FENCE]: color(120, 80, 40)
+      },
+      treeColor: color(30, 90, 30),
+      textColor: color(255, 255, 255, 220),
+      textBackingColor: null,
+      outlineColors: null
+    },
+    highContrast: {
+      backgroundColor: color(20, 70, 20),
+      outsideColor: color(0),
+      tileColors: {
+        [TileMap.TILES.DIRT]: color(200, 150, 70),
+        [TileMap.TILES.WATER]: color(0, 110, 255),
+        [TileMap.TILES.FENCE]: color(255, 200, 0)
+      },
+      treeColor: color(0, 30, 0),
+      textColor: color(255),
+      textBackingColor: color(0, 200),
+      outlineColors: {
+        person: color(255, 255, 0),
+        dog: color(0, 200, 255),
+        cow: color(255),
+        wolf: color(255, 40, 40)
+      }
+    }
+  };
+  // How big the ring around everyone in the world is in the high contrast palette, compared to their
+  // image, and how thick its line is.
+  P5Renderer._outlineScale = 0.6;
+  P5Renderer._outlineWeight = 4;
+  // The layer each kind of particle is drawn in. Dust lies on the ground, hearts float among the animals,
+  // the rain and wind blow across the view and confetti falls over everything.
+  P5Renderer._particleLayers = {
+    [ParticleSystem.KINDS.DUST]: P5Renderer.LAYERS.GROUND,
+    [ParticleSystem.KINDS.HEART]: P5Renderer.LAYERS.WORLD,
+    [ParticleSystem.KINDS.RAIN]: P5Renderer.LAYERS.SKY,
+    [ParticleSystem.KINDS.WIND]: P5Renderer.LAYERS.SKY,
+    [ParticleSystem.KINDS.CONFETTI]: P5Renderer.LAYERS.HUD
+  };
+  // How thick the streaks of rain and wind are.
+  P5Renderer._streakWidth = 2;
+
+  // The color the world is covered in as the sun starts to set, and at nightfall. It is a mix of the two in
+  // between. Around the people, the dark fades out over this much of their visibility radius, in this many
+  // steps.
+  P5Renderer._duskColor = color(255, 110, 40, 40);
+  P5Renderer._nightColor = color(5, 10, 40, 235);
+  P5Renderer._lightEdgeWidth = 0.4;
+  P5Renderer._lightEdgeSteps = 6;
+  // The tint over the view in each kind of bad weather, and the color of a flash of thunder and how many
+  // seconds it takes to fade.
+  P5Renderer._weatherTints = {
+    [Weather.KINDS.RAIN]: color(60, 70, 90, 60),
+    [Weather.KINDS.THUNDER]: color(30, 35, 60, 100)
+  };
+  P5Renderer._thunderFlashColor = [255, 255, 235];
+  P5Renderer._thunderFlashDuration = 0.3;
+  P5Renderer._minimapPatchColors = {
+    [Patch.TYPES.GRASS]: color(60, 160, 40),
+    [Patch.TYPES.WATER]: color(60, 120, 220)
+  };
+}
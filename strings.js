@@ -0,0 +1,245 @@
+/**
+ * This file has all the text that the players read (or hear, with a screen reader), in every language the
+ * game can be played in. The code asks for each piece of text by its name, like "hudScore", so adding a
+ * language only needs a new table here; nothing else has to change. Words in {curly brackets} are filled in
+ * with GameManager.formatText().
+ *
+ * The levels' descriptions are part of the level data instead. A level's "description" can be a single
+ * text, or a text for each language, like { "en": "Bring the cows home!", "es": "¡Lleva las vacas a casa!" }.
+ */
+
+/**
+ * Picks the text in the language being played in. The language is shared by the whole game, like the
+ * random number generator in Platform.
+ */
+const Localization = {
+  /**
+   * Get the languages there is text for, as their language codes (like "en").
+   */
+  getLocales: () => Object.keys(Localization.STRINGS),
+
+  /**
+   * Get the language being played in.
+   */
+  getLocale: () => Localization._locale,
+
+  /**
+   * Change the language being played in. locale is a language code, like "es".
+   */
+  setLocale: ({ locale }) => {
+    if (!Localization.STRINGS[locale]) {
+      throw new Error(`Unknown locale: ${locale}`);
+    }
+    Localization._locale = locale;
+  },
+
+  /**
+   * Find the first of the languages that there is text for, or the default language if there aren't any.
+   * languages are language codes in order of preference, like the browser's navigator.languages
+   * (["es-MX", "en-US"]). Only the part before the "-" is used.
+   */
+  findLocale: ({ languages }) => {
+    const locales = languages.map(language => String(language).toLowerCase().split('-')[0]);
+    return locales.find(locale => Localization.STRINGS[locale]) || Localization.DEFAULT_LOCALE;
+  },
+
+  /**
+   * Get a piece of text by its name, with its {names} filled in with the values. If the language being
+   * played in doesn't have it, the default language's text is used instead.
+   */
+  getText: ({ key, values = {} }) => {
+    const text = Localization.STRINGS[Localization._locale][key] ||
+      Localization.STRINGS[Localization.DEFAULT_LOCALE][key];
+    if (text === undefined) {
+      throw new Error(`Unknown text: ${key}`);
+    }
+    return GameManager.formatText({ text: text, values: values });
+  },
+
+  /**
+   * Get the text of a message. The game keeps what it shows as messages instead of as text, so that the
+   * text can change when the language does. A message is either { key, values }, a piece of text in the
+   * tables below, or { text }, where text comes from the level data (see the top of this file).
+   */
+  getMessageText: ({ message }) => {
+    if (message.key) {
+      return Localization.getText({ key: message.key, values: message.values });
+    }
+    const text = message.text;
+    return typeof text === 'string' ? text : text[Localization._locale] || text[Localization.DEFAULT_LOCALE];
+  }
+};
+
+/**
+ * The language the game starts in, and which is used for anything missing from another language.
+ */
+Localization.DEFAULT_LOCALE = 'en';
+Localization._locale = Localization.DEFAULT_LOCALE;
+
+/**
+ * The text for each language, by language code.
+ */
+Localization.STRINGS = {
+  en: {
+    // The name of the language, in the language itself.
+    languageName: 'English',
+    on: 'on',
+    off: 'off',
+
+    // What is going on in the game, shown near the bottom of the screen.
+    descriptionInitial:
+      'Grazing time is over! Can you bring the cows back home? ' +
+      'Use the arrow keys or WASD to move around and press the space bar near a cow ' +
+      'to start leading it or let the last cow go. Press X to let the whole herd go. ' +
+      'Your dog can help: press 1 to send it around a cow, 2 to have it push the cow home, ' +
+      '3 to make it stay and 4 to call it back.',
+    descriptionTitle:
+      'Welcome to the ranch! Press Enter (or tap Lead) to start, and press P at any time to pause. ' +
+      'A friend can join in at any time with the arrow keys, / to lead and . to let their herd go, ' +
+      'and 7, 8, 9 and 0 for their dog. Once they join, you move with WASD.',
+    descriptionPaused: 'Paused. Press P to carry on, or Enter to start over.',
+    descriptionSuccess:
+      "Yay, you've brought all the cows home! You scored {score} points in {time}. Press Enter to play again.",
+    descriptionCowsLost:
+      'Oh no, the wolves took too many cows! You scored {score} points. Press Enter to play again.',
+    descriptionTimeUp:
+      "Oh no, time's up before the cows got home! You scored {score} points. Press Enter to play again.",
+    descriptionNightfall:
+      "Oh no, night fell before the cows got home! You scored {score} points. Press Enter to play again.",
+    descriptionLevelSuccess: "Well done! That's {points} points. On to the next pasture...",
+
+    // The HUD, the high score table and the loading screen.
+    hudTime: 'Time {time}',
+    hudScore: 'Score {score}',
+    hudCowsHome: 'Cows home {penned} / {total}',
+    hudCowsLost: 'Cows lost {lost}',
+    hudTimeLeft: 'Time left {time}',
+    hudClock: 'Clock {clock}, nightfall at {nightfall}',
+    // Which keys each player moves with, once there are two players.
+    hudPlayerOneKeys: 'Player 1: WASD',
+    hudPlayerTwoKeys: 'Player 2: arrow keys',
+    highScoresTitle: 'High Scores',
+    noHighScores: 'No scores yet. Be the first!',
+    highScoreEntry: '{rank}.  {score} points  ({time})',
+    loading: 'Loading...',
+    loadingFailed: 'Could not load: {files}',
+    // The settings that can be changed on the title screen, with the key that changes each one.
+    optionLanguage: '{key}  Language: {language}',
+    optionHighContrast: '{key}  High contrast: {state}',
+    optionAssist: '{key}  Assist mode: {state}',
+
+    // The touch screen buttons.
+    touchLead: 'Lead',
+    touchReleaseHerd: 'Let go',
+    touchPause: 'Pause',
+    touchDogAround: 'Around',
+    touchDogPush: 'Push',
+    touchDogStay: 'Stay',
+    touchDogHeel: 'Heel',
+
+    // What a screen reader says when something happens.
+    narrationCowFollowing: 'A cow is following you. {count} in your herd.',
+    narrationCowFollowingPlayer: 'A cow is following player {player}. {count} in their herd.',
+    narrationPlayerJoined:
+      'Player 2 has joined. The arrow keys move player 2 now, and player 1 moves with WASD.',
+    narrationCowRefused: "The cow won't follow yet.",
+    narrationCowHome: 'A cow is home. {penned} of {total}.',
+    narrationAllCowsHome: 'All the cows are home!',
+    narrationCowLost: 'A wolf took a cow!',
+    narrationWolfArrived: 'A wolf is coming!',
+    narrationDogAround: 'Your dog is going around a cow.',
+    narrationDogPush: 'Your dog is pushing a cow home.',
+    narrationDogStay: 'Your dog is staying.',
+    narrationDogHeel: 'Your dog is coming back to you.',
+    narrationDogPlayer: 'Player {player}: {text}',
+    narrationDusk: 'The sun is setting. Get the cows home before dark!',
+    narrationRain: 'It has started to rain. The cows are huddling together.',
+    narrationWind: 'The wind is picking up. The cows are drifting with it.',
+    narrationThunder: 'A thunderstorm! The thunder scares the cows.',
+    narrationClear: 'The weather has cleared up.',
+    narrationLanguage: 'Language: English.',
+    narrationHighContrast: 'High contrast {state}.',
+    narrationAssist: 'Assist mode {state}.',
+    narrationAssistNextGame: 'Assist mode {state}. This starts with the next game.'
+  },
+
+  es: {
+    languageName: 'Español',
+    on: 'activado',
+    off: 'desactivado',
+
+    descriptionInitial:
+      '¡Se acabó la hora de pastar! ¿Puedes llevar las vacas a casa? ' +
+      'Usa las flechas o WASD para moverte y pulsa la barra espaciadora cerca de una vaca ' +
+      'para empezar a guiarla o soltar la última vaca. Pulsa X para soltar toda la manada. ' +
+      'Tu perro puede ayudar: pulsa 1 para que rodee una vaca, 2 para que la empuje a casa, ' +
+      '3 para que se quede quieto y 4 para llamarlo.',
+    descriptionTitle:
+      '¡Bienvenido al rancho! Pulsa Enter (o toca Guiar) para empezar y pulsa P para hacer una pausa. ' +
+      'Un amigo puede unirse cuando quiera con las flechas, / para guiar y . para soltar su manada, ' +
+      'y 7, 8, 9 y 0 para su perro. Cuando se una, tú te mueves con WASD.',
+    descriptionPaused: 'En pausa. Pulsa P para seguir o Enter para empezar de nuevo.',
+    descriptionSuccess:
+      '¡Bien, has llevado todas las vacas a casa! Has conseguido {score} puntos en {time}. ' +
+      'Pulsa Enter para jugar otra vez.',
+    descriptionCowsLost:
+      '¡Oh no, los lobos se han llevado demasiadas vacas! Has conseguido {score} puntos. ' +
+      'Pulsa Enter para jugar otra vez.',
+    descriptionTimeUp:
+      '¡Oh no, se acabó el tiempo antes de que las vacas llegaran a casa! Has conseguido {score} puntos. ' +
+      'Pulsa Enter para jugar otra vez.',
+    descriptionNightfall:
+      '¡Oh no, se hizo de noche antes de que las vacas llegaran a casa! Has conseguido {score} puntos. ' +
+      'Pulsa Enter para jugar otra vez.',
+    descriptionLevelSuccess: '¡Muy bien! Son {points} puntos. Vamos al siguiente pasto...',
+
+    hudTime: 'Tiempo {time}',
+    hudScore: 'Puntos {score}',
+    hudCowsHome: 'Vacas en casa {penned} / {total}',
+    hudCowsLost: 'Vacas perdidas {lost}',
+    hudTimeLeft: 'Tiempo restante {time}',
+    hudClock: 'Hora {clock}, anochece a las {nightfall}',
+    hudPlayerOneKeys: 'Jugador 1: WASD',
+    hudPlayerTwoKeys: 'Jugador 2: flechas',
+    highScoresTitle: 'Mejores puntuaciones',
+    noHighScores: 'Aún no hay puntuaciones. ¡Sé el primero!',
+    highScoreEntry: '{rank}.  {score} puntos  ({time})',
+    loading: 'Cargando...',
+    loadingFailed: 'No se pudo cargar: {files}',
+    optionLanguage: '{key}  Idioma: {language}',
+    optionHighContrast: '{key}  Alto contraste: {state}',
+    optionAssist: '{key}  Modo de ayuda: {state}',
+
+    touchLead: 'Guiar',
+    touchReleaseHerd: 'Soltar',
+    touchPause: 'Pausa',
+    touchDogAround: 'Rodear',
+    touchDogPush: 'Empujar',
+    touchDogStay: 'Quieto',
+    touchDogHeel: 'Ven',
+
+    narrationCowFollowing: 'Una vaca te sigue. {count} en tu manada.',
+    narrationCowFollowingPlayer: 'Una vaca sigue al jugador {player}. {count} en su manada.',
+    narrationPlayerJoined:
+      'El jugador 2 se ha unido. Ahora las flechas mueven al jugador 2 y el jugador 1 se mueve con WASD.',
+    narrationCowRefused: 'La vaca todavía no quiere seguirte.',
+    narrationCowHome: 'Una vaca está en casa. {penned} de {total}.',
+    narrationAllCowsHome: '¡Todas las vacas están en casa!',
+    narrationCowLost: '¡Un lobo se ha llevado una vaca!',
+    narrationWolfArrived: '¡Viene un lobo!',
+    narrationDogAround: 'Tu perro está rodeando una vaca.',
+    narrationDogPush: 'Tu perro está llevando una vaca a casa.',
+    narrationDogStay: 'Tu perro se queda quieto.',
+    narrationDogHeel: 'Tu perro vuelve contigo.',
+    narrationDogPlayer: 'Jugador {player}: {text}',
+    narrationDusk: 'Se está poniendo el sol. ¡Lleva las vacas a casa antes de que oscurezca!',
+    narrationRain: 'Ha empezado a llover. Las vacas se juntan.',
+    narrationWind: 'Se está levantando viento. Las vacas se dejan llevar por él.',
+    narrationThunder: '¡Una tormenta! Los truenos asustan a las vacas.',
+    narrationClear: 'El tiempo ha mejorado.',
+    narrationLanguage: 'Idioma: español.',
+    narrationHighContrast: 'Alto contraste {state}.',
+    narrationAssist: 'Modo de ayuda {state}.',
+    narrationAssistNextGame: 'Modo de ayuda {state}. Empieza con la próxima partida.'
+  }
+};
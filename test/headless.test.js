@@ -0,0 +1,48 @@
+/**
+ * Tests that the simulation runs headless (see headless.js) and that a seeded game always plays out the same
+ * way. Run them with:
+ *
+ *   node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation, createGame } = require('../headless.js');
+
+/**
+ * How many ticks to play for. At 30 ticks a second, this is five seconds of the first level.
+ */
+const TICK_COUNT = 150;
+
+/**
+ * Start the first level with the given seed, in its own copy of the simulation, and play it for the given
+ * number of ticks without pressing any keys. Returns the game, and the state hash from before the first
+ * tick.
+ */
+const playGame = ({ seed, tickCount = TICK_COUNT }) => {
+  const simulation = loadSimulation();
+  const gameManager = createGame({ simulation: simulation, seed: seed });
+  gameManager.doAction({ action: simulation.GameManager.ACTIONS.START });
+  const startHash = gameManager.getStateHash();
+  for (let i = 0; i < tickCount; i++) {
+    gameManager.tick({ dt: simulation.GameManager._timestep, input: new simulation.InputState() });
+  }
+  return { gameManager: gameManager, startHash: startHash };
+};
+
+test('ticking the game moves things about', () => {
+  const { gameManager, startHash } = playGame({ seed: 1 });
+  assert.notStrictEqual(gameManager.getStateHash(), startHash);
+});
+
+test('the same seed plays out the same way', () => {
+  const first = playGame({ seed: 1 });
+  const second = playGame({ seed: 1 });
+  assert.strictEqual(second.startHash, first.startHash);
+  assert.strictEqual(second.gameManager.getStateHash(), first.gameManager.getStateHash());
+});
+
+test('a different seed plays out differently', () => {
+  const first = playGame({ seed: 1, tickCount: 0 });
+  const second = playGame({ seed: 2, tickCount: 0 });
+  assert.notStrictEqual(second.startHash, first.startHash);
+});
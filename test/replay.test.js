@@ -0,0 +1,75 @@
+/**
+ * Tests that a recorded game plays back exactly the same way, on the headless simulation (see headless.js).
+ * Run them with:
+ *
+ *   node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation, createGame } = require('../headless.js');
+
+/**
+ * How many ticks to record. At 30 ticks a second, this is twenty seconds of the first level.
+ */
+const TICK_COUNT = 600;
+
+/**
+ * The input for each tick of the recording: the game starts, then the player walks about in a pattern,
+ * sends the dog after a cow and tries to lead the nearest cow every few seconds.
+ */
+const scriptedInput = ({ simulation, tickIndex }) => {
+  const ACTIONS = simulation.GameManager.ACTIONS;
+  const actions = tickIndex === 0 ? [ACTIONS.START] :
+    tickIndex === 200 ? [ACTIONS.DOG_PUSH] :
+    tickIndex % 90 === 0 ? [ACTIONS.LEAD] : [];
+  return new simulation.InputState({
+    moveX: tickIndex % 200 < 60 ? -1 : 0.5,
+    moveY: tickIndex % 300 > 180 ? -1 : 0,
+    actions: actions
+  });
+};
+
+/**
+ * Record a seeded game one tick at a time. Returns the replay, as it would be saved to a file, and the
+ * state hash after each tick.
+ */
+const recordGame = ({ seed }) => {
+  const simulation = loadSimulation();
+  const gameManager = createGame({ simulation: simulation, seed: seed });
+  const recorder = new simulation.ReplayRecorder({ gameManager: gameManager });
+  const loop = new simulation.FixedTimestepLoop({ gameManager: gameManager, recorder: recorder });
+
+  const stateHashes = [];
+  for (let tickIndex = 0; tickIndex < TICK_COUNT; tickIndex++) {
+    const input = scriptedInput({ simulation: simulation, tickIndex: tickIndex });
+    loop.advance({ elapsedTime: simulation.GameManager._timestep, inputSource: { takeInputState: () => input } });
+    stateHashes.push(gameManager.getStateHash());
+  }
+  return { replay: JSON.parse(JSON.stringify(recorder.toJSON())), stateHashes: stateHashes };
+};
+
+test('a replay plays back the same state as the recording on every tick', () => {
+  const { replay, stateHashes } = recordGame({ seed: 7 });
+
+  // Play it back in its own copy of the simulation, like a replay loaded from a file.
+  const simulation = loadSimulation();
+  const player = new simulation.ReplayPlayer({ replay: replay });
+  const gameManager = player.createGameManager();
+  const loop = new simulation.FixedTimestepLoop({ gameManager: gameManager });
+
+  const playedHashes = [];
+  while (!player.isFinished()) {
+    loop.advance({ elapsedTime: simulation.GameManager._timestep, inputSource: player });
+    playedHashes.push(gameManager.getStateHash());
+  }
+  assert.deepStrictEqual(playedHashes, stateHashes);
+  assert.ok(player.matchesRecording({ gameManager: gameManager }));
+});
+
+test('a replay from another version is rejected', () => {
+  const simulation = loadSimulation();
+  const gameManager = createGame({ simulation: simulation, seed: 7 });
+  const replay = new simulation.ReplayRecorder({ gameManager: gameManager }).toJSON();
+  assert.throws(() => new simulation.ReplayPlayer({ replay: { ...replay, version: replay.version - 1 } }),
+    /Unsupported replay version/);
+});
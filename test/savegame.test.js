@@ -0,0 +1,74 @@
+/**
+ * Tests that a saved game carries on exactly where it left off, on the headless simulation (see
+ * headless.js). Run them with:
+ *
+ *   node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation, createGame } = require('../headless.js');
+
+/**
+ * How many ticks to play before saving, and again after loading. At 30 ticks a second, this is five
+ * seconds each.
+ */
+const TICK_COUNT = 150;
+
+/**
+ * Play the given number of ticks, walking left and up so that the person doesn't stand still.
+ */
+const playTicks = ({ simulation, gameManager, tickCount }) => {
+  const input = new simulation.InputState({ moveX: -1, moveY: -1 });
+  for (let i = 0; i < tickCount; i++) {
+    gameManager.tick({ dt: simulation.GameManager._timestep, input: input });
+  }
+};
+
+/**
+ * A storage that keeps everything in memory and works like the browser's localStorage. The items are
+ * returned too, so a test can change what was saved.
+ */
+const createMemoryStorage = () => {
+  const items = new Map();
+  const storage = {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, value),
+    removeItem: key => items.delete(key)
+  };
+  return { storage: storage, items: items };
+};
+
+test('a saved game loads in the same state and carries on the same way', () => {
+  // The saved game and the loaded one each have their own copy of the simulation, so they don't share the
+  // random numbers or anything else, just like a game carried on after the page is closed.
+  const savedSimulation = loadSimulation();
+  const savedGame = createGame({ simulation: savedSimulation, seed: 3 });
+  savedGame.doAction({ action: savedSimulation.GameManager.ACTIONS.START });
+  playTicks({ simulation: savedSimulation, gameManager: savedGame, tickCount: TICK_COUNT });
+  const save = JSON.parse(JSON.stringify(savedGame.toJSON()));
+
+  const loadedSimulation = loadSimulation();
+  const loadedGame = loadedSimulation.GameManager.fromJSON({ data: save });
+  assert.strictEqual(loadedGame.getStateHash(), savedGame.getStateHash());
+
+  playTicks({ simulation: savedSimulation, gameManager: savedGame, tickCount: TICK_COUNT });
+  playTicks({ simulation: loadedSimulation, gameManager: loadedGame, tickCount: TICK_COUNT });
+  assert.strictEqual(loadedGame.getStateHash(), savedGame.getStateHash());
+});
+
+test('a save slot gives back the saved game, but not one from another save version', () => {
+  const simulation = loadSimulation();
+  const gameManager = createGame({ simulation: simulation, seed: 3 });
+  const { storage, items } = createMemoryStorage();
+  const saveSlot = new simulation.SaveSlot({ storage: storage });
+
+  saveSlot.save({ gameManager: gameManager });
+  assert.strictEqual(saveSlot.load().version, simulation.GameManager.SAVE_VERSION);
+
+  // Change the version of the save in the storage, as if it was saved by an older version of the game.
+  items.forEach((value, key) => {
+    const save = JSON.parse(value);
+    items.set(key, JSON.stringify({ ...save, version: save.version - 1 }));
+  });
+  assert.strictEqual(saveSlot.load(), null);
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for the game rules, run on the headless simulation (see headless.js). Run them with:
+ *
+ *   node --test test/
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSimulation, createGame } = require('../headless.js');
+
+const simulation = loadSimulation();
+const ACTIONS = simulation.GameManager.ACTIONS;
+const STATES = simulation.GameManager.STATES;
+
+/**
+ * A level with one pen in the middle and two cows, which all have to be penned.
+ */
+const PEN_LEVEL = {
+  name: 'Test Pen',
+  fences: [{ position: [0, 0], size: [400, 400], opening: { side: 'top', width: 100 } }],
+  cows: { count: 2 },
+  goal: { type: 'allCowsPenned' }
+};
+
+/**
+ * The same level with a wolf, which comes onto the ranch as soon as the game starts.
+ */
+const WOLF_LEVEL = { ...PEN_LEVEL, wolves: { count: 1, arriveAfter: 0, returnAfter: 1000 } };
+
+/**
+ * The most ticks to wait for something to happen before giving up.
+ */
+const MAX_TICKS = 600;
+
+/**
+ * Start a game on the given level and put the given cows in the middle of the pen.
+ */
+const startGame = ({ level = PEN_LEVEL, pennedCowIndices }) => {
+  const gameManager = createGame({ simulation: simulation, levels: [level], seed: 1 });
+  gameManager.doAction({ action: ACTIONS.START });
+  const cows = gameManager.getCows();
+  pennedCowIndices.forEach(index => cows[index].setPosition({ position: simulation.Platform.createVector(0, 0) }));
+  return { gameManager: gameManager, cows: cows };
+};
+
+/**
+ * Move the game on by one tick, without pressing any keys.
+ */
+const tick = ({ gameManager }) =>
+  gameManager.tick({ dt: simulation.GameManager._timestep, input: new simulation.InputState() });
+
+test('penning every cow wins the level', () => {
+  const { gameManager } = startGame({ pennedCowIndices: [0, 1] });
+  tick({ gameManager: gameManager });
+  assert.strictEqual(gameManager.getState(), STATES.WON);
+});
+
+test('a wolf taking a cow while the rest are penned loses the level', () => {
+  const { gameManager, cows } = startGame({ level: WOLF_LEVEL, pennedCowIndices: [0] });
+  const wolf = gameManager.getWolves()[0];
+  tick({ gameManager: gameManager });
+  assert.ok(wolf.isPresent());
+
+  // Put the loose cow right next to the wolf, where it can't get away, and let the wolf catch it.
+  cows[1].setPosition({ position: wolf.getPosition().add(simulation.Platform.createVector(10, 0)) });
+  for (let i = 0; i < MAX_TICKS && gameManager.getState() === STATES.PLAYING; i++) {
+    tick({ gameManager: gameManager });
+  }
+  assert.strictEqual(gameManager.getState(), STATES.LOST);
+  // The simulation runs in its own context, with its own Object, so the counts are copied before comparing.
+  assert.deepStrictEqual({ ...gameManager.getCowCounts() }, { penned: 1, total: 2, lost: 1 });
+});
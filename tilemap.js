@@ -0,0 +1,195 @@
+/**
+ * This file has the ground the game is played on. The world is covered in square tiles, like grass, dirt
+ * paths, water and trees. Each kind of tile changes how fast things move over it, and some (like trees)
+ * can't be walked through at all. Like the rest of the simulation, it doesn't use p5.js; the renderer asks
+ * it which tile is where.
+ *
+ * In the level data, a tile map is written as a list of rows, one string per row, with one character per
+ * tile (see TileMap._tileTypes for the characters). For example, { "tileSize": 40, "rows": ["..TT", "::::"] }
+ * is a row of grass with two trees at the end above a dirt path. Tiles that aren't in the rows are grass.
+ */
+
+/**
+ * A grid of tiles covering the whole world, which is centered on (0, 0).
+ */
+class TileMap {
+  /**
+   * worldSize is the size of the level's world. tileSize is the width of each square tile, and rows is the
+   * list of row strings from the level data.
+   */
+  constructor({ worldSize, tileSize = TileMap._defaultTileSize, rows = [] }) {
+    this._tileSize = tileSize;
+    this._columns = Math.ceil(worldSize.x / tileSize);
+    this._rows = Math.ceil(worldSize.y / tileSize);
+    // The position of the top left corner of the map.
+    this._origin = Platform.createVector(-this._columns * tileSize / 2, -this._rows * tileSize / 2);
+
+    // The kind of each tile, row by row. It is one of the TileMap.TILES.
+    this._tiles = new Array(this._columns * this._rows).fill(TileMap.TILES.GRASS);
+    rows.slice(0, this._rows).forEach((rowText, row) => {
+      Array.from(rowText.slice(0, this._columns)).forEach((code, column) => {
+        this._tiles[row * this._columns + column] = TileMap.typeFromCode({ code: code });
+      });
+    });
+  }
+
+  /**
+   * Get the width of each tile.
+   */
+  getTileSize() {
+    return this._tileSize;
+  }
+
+  /**
+   * Get the kind of tile at the given position, or null if the position is outside the map.
+   */
+  getTile({ position }) {
+    const cell = this.getTileCell({ position: position });
+    return cell ? this._tiles[cell.row * this._columns + cell.column] : null;
+  }
+
+  /**
+   * Change the kind of tile at the given position. Positions outside the map are ignored.
+   */
+  setTile({ position, type }) {
+    if (!TileMap._tileTypes[type]) {
+      throw new Error(`Unknown tile type: ${type}`);
+    }
+    const cell = this.getTileCell({ position: position });
+    if (cell) {
+      this._tiles[cell.row * this._columns + cell.column] = type;
+    }
+  }
+
+  /**
+   * Get the column and row of the tile at the given position, or null if it is outside the map.
+   */
+  getTileCell({ position }) {
+    const column = Math.floor((position.x - this._origin.x) / this._tileSize);
+    const row = Math.floor((position.y - this._origin.y) / this._tileSize);
+    if (column < 0 || column >= this._columns || row < 0 || row >= this._rows) {
+      return null;
+    }
+    return { column: column, row: row };
+  }
+
+  /**
+   * Get the middle of the tile that the given position is in. This is used to line things up with the
+   * tiles.
+   */
+  snapToTile({ position }) {
+    return Platform.createVector(
+      this._origin.x + (Math.floor((position.x - this._origin.x) / this._tileSize) + 0.5) * this._tileSize,
+      this._origin.y + (Math.floor((position.y - this._origin.y) / this._tileSize) + 0.5) * this._tileSize);
+  }
+
+  /**
+   * Get how fast things move over the tile at the given position, compared to their normal speed. Outside
+   * the map, things move at their normal speed.
+   */
+  getSpeedFactor({ position }) {
+    const type = this.getTile({ position: position });
+    return type ? TileMap._tileTypes[type].speed : 1;
+  }
+
+  /**
+   * Call callback with { type, position } for every tile, where position is the middle of the tile.
+   */
+  forEachTile(callback) {
+    this._tiles.forEach((type, index) => {
+      const position = this._tileCenter({ column: index % this._columns, row: Math.floor(index / this._columns) });
+      callback({ type: type, position: position });
+    });
+  }
+
+  /**
+   * Get boxes covering all the tiles that can't be walked through, to add to the collision world. Tiles
+   * next to each other in a row are joined into one box, so there are fewer boxes to check.
+   */
+  getObstacleColliders() {
+    const colliders = [];
+    for (let row = 0; row < this._rows; row++) {
+      let runStart = null;
+      for (let column = 0; column <= this._columns; column++) {
+        const isBlocked = column < this._columns &&
+          !TileMap._tileTypes[this._tiles[row * this._columns + column]].walkable;
+        if (isBlocked && runStart === null) {
+          runStart = column;
+        } else if (!isBlocked && runStart !== null) {
+          // The run of blocked tiles goes from runStart up to (but not including) column.
+          const first = this._tileCenter({ column: runStart, row: row });
+          const last = this._tileCenter({ column: column - 1, row: row });
+          colliders.push({
+            position: first.copy().add(last).mult(0.5),
+            size: Platform.createVector((column - runStart) * this._tileSize, this._tileSize)
+          });
+          runStart = null;
+        }
+      }
+    }
+    return colliders;
+  }
+
+  /**
+   * Get the tile map as it is written in the level data. Grass at the end of a row and rows that are all
+   * grass at the bottom are left out.
+   */
+  toJSON() {
+    const trailingGrass = new RegExp(`\\${TileMap._tileTypes[TileMap.TILES.GRASS].code}+$`);
+    const rows = [];
+    for (let row = 0; row < this._rows; row++) {
+      const tiles = this._tiles.slice(row * this._columns, (row + 1) * this._columns);
+      rows.push(tiles.map(type => TileMap._tileTypes[type].code).join('').replace(trailingGrass, ''));
+    }
+    while (rows.length > 0 && rows[rows.length - 1] === '') {
+      rows.pop();
+    }
+    return { tileSize: this._tileSize, rows: rows };
+  }
+
+  _tileCenter({ column, row }) {
+    return Platform.createVector(
+      this._origin.x + (column + 0.5) * this._tileSize,
+      this._origin.y + (row + 0.5) * this._tileSize);
+  }
+}
+
+/**
+ * The kinds of tiles.
+ */
+TileMap.TILES = Object.freeze({
+  GRASS: 'grass',
+  DIRT: 'dirt',
+  WATER: 'water',
+  TREE: 'tree',
+  FENCE: 'fence'
+});
+
+/**
+ * Get the kind of tile that is written as the given character in the level data.
+ */
+TileMap.typeFromCode = ({ code }) => {
+  const type = Object.keys(TileMap._tileTypes).find(type => TileMap._tileTypes[type].code === code);
+  if (!type) {
+    throw new Error(`Unknown tile: "${code}"`);
+  }
+  return type;
+};
+
+/**
+ * Configure the tile settings.
+ */
+TileMap.configure = () => {
+  TileMap._defaultTileSize = 40;
+
+  // For each kind of tile: the character it is written as in the level data, how fast things move over it
+  // compared to their normal speed, and whether it can be walked through at all. Dirt paths are a bit
+  // quicker than grass, and wading through water is slow.
+  TileMap._tileTypes = {
+    [TileMap.TILES.GRASS]: { code: '.', speed: 1, walkable: true },
+    [TileMap.TILES.DIRT]: { code: ':', speed: 1.25, walkable: true },
+    [TileMap.TILES.WATER]: { code: '~', speed: 0.5, walkable: true },
+    [TileMap.TILES.TREE]: { code: 'T', speed: 1, walkable: false },
+    [TileMap.TILES.FENCE]: { code: '#', speed: 1, walkable: false }
+  };
+}
@@ -0,0 +1,330 @@
+/**
+ * This file has the time of day and the weather. A level can start in the afternoon and run until
+ * nightfall, which gives it a natural deadline: the cows have to be home before dark. As the sun sets, it
+ * gets harder to see anything far from the people. A level can have weather too, which comes and goes:
+ * rain makes the cows slow down and huddle together, wind makes them drift along with it, and in a
+ * thunderstorm each clap of thunder scatters them.
+ *
+ * Like the wolves, the clock and the weather only keep track of what is going on; the GameManager ticks
+ * them, tells the cows what the weather is doing to them and ends the round at nightfall. Everything
+ * random about the weather comes from Platform.random(), so replays play out the same way.
+ */
+
+/**
+ * Keeps the time of day for a level. Levels set it with "daylight", for example
+ * { "startHour": 16, "nightfallHour": 20, "secondsPerHour": 40 }: the level starts at 4 in the afternoon,
+ * night falls at 8, and each hour takes 40 seconds. A level without "daylight" stays in the daytime. The
+ * first level is left in the daytime on purpose: it is where the controls are learned, so it isn't timed.
+ */
+class DayClock {
+  /**
+   * settings is the level's "daylight", or null if the level doesn't have one. Any settings it leaves out
+   * come from DayClock._defaultSettings.
+   */
+  constructor({ settings = null } = {}) {
+    this._settings = settings ? Object.assign({}, DayClock._defaultSettings, settings) : null;
+    this._hour = this._settings ? this._settings.startHour : null;
+  }
+
+  /**
+   * Move the clock on by dt seconds.
+   */
+  tick({ dt }) {
+    if (this._settings) {
+      this._hour += dt / this._settings.secondsPerHour;
+    }
+  }
+
+  /**
+   * Tests whether the clock is running. It isn't if the level stays in the daytime.
+   */
+  isRunning() {
+    return this._settings !== null;
+  }
+
+  /**
+   * Get the time of day in hours, like 17.5 for half past five, or null if the clock isn't running.
+   */
+  getHour() {
+    return this._hour;
+  }
+
+  /**
+   * Get the hour that night falls at, or null if the clock isn't running.
+   */
+  getNightfallHour() {
+    return this._settings ? this._settings.nightfallHour : null;
+  }
+
+  /**
+   * Get how many seconds are left until nightfall, or null if the clock isn't running.
+   */
+  getTimeUntilNightfall() {
+    if (!this._settings) {
+      return null;
+    }
+    return Math.max(this._settings.nightfallHour - this._hour, 0) * this._settings.secondsPerHour;
+  }
+
+  /**
+   * Tests whether night has fallen.
+   */
+  isNightfall() {
+    return this._settings !== null && this._hour >= this._settings.nightfallHour;
+  }
+
+  /**
+   * Get how light it is, from 1 (daytime) to 0 (night). It gets darker through the dusk, the last
+   * DayClock._duskHours before nightfall.
+   */
+  getLight() {
+    if (!this._settings) {
+      return 1;
+    }
+    const hoursLeft = this._settings.nightfallHour - this._hour;
+    return Math.min(Math.max(hoursLeft / DayClock._duskHours, 0), 1);
+  }
+
+  /**
+   * Get how far from a person they can see, or null if it is light enough to see everything. The distance
+   * shrinks as it gets darker.
+   */
+  getVisibilityRadius() {
+    const light = this.getLight();
+    if (light >= 1) {
+      return null;
+    }
+    const [nightRadius, duskRadius] = DayClock._visibilityRadiusRange;
+    return nightRadius + (duskRadius - nightRadius) * light;
+  }
+
+  toJSON() {
+    return { settings: this._settings, hour: this._hour };
+  }
+
+  _loadJSON({ data }) {
+    this._hour = data.hour;
+  }
+}
+
+/**
+ * Make a clock from a save made by DayClock.toJSON().
+ */
+DayClock.fromJSON = ({ data }) => {
+  const clock = new DayClock({ settings: data.settings });
+  clock._loadJSON({ data: data });
+  return clock;
+};
+
+/**
+ * Format a time of day in hours as text on a 24 hour clock, like "17:30" for 17.5.
+ */
+DayClock.formatHour = ({ hour }) => {
+  const minutes = Math.floor(hour * 60) % (24 * 60);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Configure the clock's settings.
+ */
+DayClock.configure = () => {
+  DayClock._defaultSettings = {
+    startHour: 16,
+    nightfallHour: 20,
+    secondsPerHour: 40
+  };
+  // How many hours before nightfall it starts to get dark.
+  DayClock._duskHours = 1.5;
+  // How far from a person they can see, [at night, as the dusk starts].
+  DayClock._visibilityRadiusRange = [150, 700];
+}
+
+/**
+ * Keeps the weather for a level. Levels set it with "weather", for example { "kinds": ["rain", "wind"] }.
+ * The weather starts out clear. After a calm spell it turns to one of the kinds for a while, then clears
+ * up again for another calm spell, and so on. A level without "weather" stays clear.
+ */
+class Weather {
+  /**
+   * settings is the level's "weather", or null if the level doesn't have one. Any settings it leaves out
+   * come from Weather._defaultSettings.
+   */
+  constructor({ settings = null } = {}) {
+    this._settings = settings ? Object.assign({}, Weather._defaultSettings, settings) : null;
+    this._kind = Weather.KINDS.CLEAR;
+    // How long until the weather changes.
+    this._timeLeft = this._settings ? Weather._randomBetween({ range: this._settings.calmTime }) : 0;
+    // Which way the wind blows, while it is windy.
+    this._windDirection = MathHelper.VECTOR_RIGHT();
+    // How long until the next clap of thunder in a thunderstorm, and how long ago the last one was (or null
+    // if there hasn't been one in this storm.)
+    this._timeUntilThunderclap = 0;
+    this._timeSinceThunderclap = null;
+  }
+
+  /**
+   * Move the weather on by dt seconds. When the calm spell or the bad weather is over, the weather
+   * changes.
+   */
+  tick({ dt }) {
+    if (!this._settings) {
+      return;
+    }
+
+    this._timeLeft -= dt;
+    if (this._timeLeft <= 0) {
+      if (this._kind === Weather.KINDS.CLEAR) {
+        this._startEvent({ kind: MathHelper.randomChoice({ choices: this._settings.kinds }) });
+      } else {
+        this._kind = Weather.KINDS.CLEAR;
+        this._timeLeft = Weather._randomBetween({ range: this._settings.calmTime });
+      }
+    }
+
+    if (this._timeSinceThunderclap !== null) {
+      this._timeSinceThunderclap += dt;
+    }
+    if (this._kind === Weather.KINDS.THUNDER) {
+      this._timeUntilThunderclap -= dt;
+      if (this._timeUntilThunderclap <= 0) {
+        this._timeSinceThunderclap = 0;
+        this._timeUntilThunderclap = Weather._randomBetween({ range: Weather._thunderclapInterval });
+      }
+    }
+  }
+
+  /**
+   * Turn the weather to the given kind, for a random amount of time. The wind blows along x or y, like the
+   * cows walk.
+   */
+  _startEvent({ kind }) {
+    this._kind = kind;
+    this._timeLeft = Weather._randomBetween({ range: this._settings.eventTime });
+    this._timeSinceThunderclap = null;
+    if (kind === Weather.KINDS.WIND) {
+      this._windDirection = MathHelper.randomChoice({
+        choices: [MathHelper.VECTOR_LEFT(), MathHelper.VECTOR_RIGHT(), MathHelper.VECTOR_UP(), MathHelper.VECTOR_DOWN()]
+      });
+    }
+    if (kind === Weather.KINDS.THUNDER) {
+      this._timeUntilThunderclap = Weather._randomBetween({ range: Weather._thunderclapInterval });
+    }
+  }
+
+  /**
+   * Get what the weather is doing. It is one of the Weather.KINDS.
+   */
+  getKind() {
+    return this._kind;
+  }
+
+  /**
+   * Get which way the wind blows, as a vector with a length of 1. It only matters while it is windy.
+   */
+  getWindDirection() {
+    return this._windDirection.copy();
+  }
+
+  /**
+   * Get how many seconds ago the last clap of thunder was, or null if there hasn't been one in this storm.
+   */
+  getTimeSinceThunderclap() {
+    return this._timeSinceThunderclap;
+  }
+
+  /**
+   * Get what the weather is doing to the cows, as { speedScale, behavior, windDirection }. speedScale is
+   * how much faster (or slower, if it is less than 1) the cows move, and behavior is one of the
+   * Weather.COW_BEHAVIORS, which says which way they wander. Right after a clap of thunder the cows
+   * scatter; the rest of the storm is like rain.
+   */
+  getCowEffect() {
+    const isScattering = this._kind === Weather.KINDS.THUNDER && this._timeSinceThunderclap !== null &&
+      this._timeSinceThunderclap < Weather._scatterDuration;
+    const effect = isScattering ? Weather._thunderclapCowEffect : Weather._cowEffects[this._kind];
+    return { speedScale: effect.speedScale, behavior: effect.behavior, windDirection: this.getWindDirection() };
+  }
+
+  toJSON() {
+    return {
+      settings: this._settings,
+      kind: this._kind,
+      timeLeft: this._timeLeft,
+      windDirection: MathHelper.vectorToArray(this._windDirection),
+      timeUntilThunderclap: this._timeUntilThunderclap,
+      timeSinceThunderclap: this._timeSinceThunderclap
+    };
+  }
+
+  _loadJSON({ data }) {
+    this._kind = data.kind;
+    this._timeLeft = data.timeLeft;
+    this._windDirection = MathHelper.vectorFromArray(data.windDirection);
+    this._timeUntilThunderclap = data.timeUntilThunderclap;
+    this._timeSinceThunderclap = data.timeSinceThunderclap;
+  }
+}
+
+/**
+ * Make the weather from a save made by Weather.toJSON().
+ */
+Weather.fromJSON = ({ data }) => {
+  const weather = new Weather({ settings: data.settings });
+  weather._loadJSON({ data: data });
+  return weather;
+};
+
+/**
+ * What the weather can be doing.
+ */
+Weather.KINDS = Object.freeze({
+  CLEAR: 'clear',
+  RAIN: 'rain',
+  WIND: 'wind',
+  THUNDER: 'thunder'
+});
+
+/**
+ * Which way the weather makes loose cows wander (see Cow._tickNormal()).
+ */
+Weather.COW_BEHAVIORS = Object.freeze({
+  // The cows wander about as they like.
+  NONE: 'none',
+  // The cows wander toward the other cows near them and bunch up, like cows do in the rain.
+  HUDDLE: 'huddle',
+  // The cows wander the way the wind is blowing.
+  DRIFT: 'drift',
+  // The cows bolt away from the other cows near them, in every direction.
+  SCATTER: 'scatter'
+});
+
+/**
+ * Get a random number in the range, which is [lowest, highest].
+ */
+Weather._randomBetween = ({ range }) => range[0] + Platform.random() * (range[1] - range[0]);
+
+/**
+ * Configure the weather's settings. Times are in seconds.
+ */
+Weather.configure = () => {
+  // The kinds of weather a level can have, how long the calm spells between them last and how long each
+  // one lasts, each picked at random in [shortest, longest].
+  Weather._defaultSettings = {
+    kinds: [Weather.KINDS.RAIN, Weather.KINDS.WIND, Weather.KINDS.THUNDER],
+    calmTime: [20, 40],
+    eventTime: [12, 20]
+  };
+  // How long between the claps of thunder in a storm, and how long the cows scatter for after each one.
+  Weather._thunderclapInterval = [3, 7];
+  Weather._scatterDuration = 2;
+
+  // What each kind of weather does to the cows (see getCowEffect()).
+  const BEHAVIORS = Weather.COW_BEHAVIORS;
+  Weather._cowEffects = {
+    [Weather.KINDS.CLEAR]: { speedScale: 1, behavior: BEHAVIORS.NONE },
+    [Weather.KINDS.RAIN]: { speedScale: 0.75, behavior: BEHAVIORS.HUDDLE },
+    [Weather.KINDS.WIND]: { speedScale: 1.2, behavior: BEHAVIORS.DRIFT },
+    [Weather.KINDS.THUNDER]: { speedScale: 0.75, behavior: BEHAVIORS.HUDDLE }
+  };
+  Weather._thunderclapCowEffect = { speedScale: 1.6, behavior: BEHAVIORS.SCATTER };
+}
@@ -0,0 +1,210 @@
+/**
+ * This file has the wolves. A wolf stays away from the ranch for a while, then comes in from the edge of
+ * the world and chases the nearest loose cow. Cows run away from it, and the herd scatters if it gets too
+ * close. If it catches a cow, the cow is lost. Walking up to a wolf scares it off for a while.
+ *
+ * The wolf only moves; the GameManager decides which cow it chases and when it is scared off, the same way
+ * it decides which cow follows which.
+ *
+ * There isn't any art for the wolf yet, so it is a plain Sprite without a sprite sheet, and the renderer
+ * draws it as a shape (see P5Renderer._drawShape()). When the art is made, it can be an AnimatingSprite
+ * like the cow.
+ */
+
+/**
+ * Encapsulates a wolf.
+ */
+class Wolf extends Sprite {
+  /**
+   * returnDelay is how many seconds the wolf stays away after it has been scared off or has caught a cow.
+   */
+  constructor({ returnDelay }) {
+    super({
+      imageName: 'wolf',
+      colliderScale: Wolf._colliderScale,
+
+      size: Wolf._size.copy(),
+      position: MathHelper.VECTOR_ZERO(),
+      velocity: MathHelper.VECTOR_ZERO()
+    });
+
+    this._returnDelay = returnDelay;
+    this._state = Wolf.STATES.AWAY;
+    // How long until the wolf comes back, while it is away.
+    this._timeUntilArrival = 0;
+    // How long the wolf has been running away, while it is running away.
+    this._runningTime = 0;
+    // The position of the cow it is chasing, and the position it is running away from.
+    this._targetPosition = null;
+    this._runningFrom = null;
+  }
+
+  /**
+   * Update the position and animation variables.
+   */
+  tick({ dt }) {
+    switch (this._state) {
+      // While the wolf is away, it isn't in the world at all. It just waits to come back.
+      case Wolf.STATES.AWAY:
+        this._timeUntilArrival -= dt;
+        this._velocity = MathHelper.VECTOR_ZERO();
+        return;
+
+      // While hunting, the wolf heads straight for its target. Unlike a cow, it doesn't stick to moving
+      // along x or y, so it cuts corners.
+      case Wolf.STATES.HUNTING:
+        this._velocity = this._targetPosition ?
+          MathHelper.normalize({ vector: this._targetPosition.copy().sub(this._position) }).mult(Wolf._chaseSpeed) :
+          MathHelper.VECTOR_ZERO();
+        break;
+
+      // While running away, the wolf heads straight away from what scared it, until it is far enough away
+      // to leave the ranch.
+      case Wolf.STATES.RUNNING_AWAY:
+        this._runningTime += dt;
+        if (this._runningTime > Wolf._runAwayDuration) {
+          this.waitAway({ delay: this._returnDelay });
+          return;
+        }
+        this._velocity = MathHelper.normalize({ vector: this._position.copy().sub(this._runningFrom) })
+          .mult(Wolf._runAwaySpeed);
+        break;
+    }
+
+    // Call the parent (Sprite's) tick(dt) to have it perform the basic position calculations.
+    super.tick({ dt: dt });
+  }
+
+  /**
+   * Leave the ranch, and come back after delay seconds.
+   */
+  waitAway({ delay }) {
+    this._state = Wolf.STATES.AWAY;
+    this._timeUntilArrival = delay;
+    this._targetPosition = null;
+    this._velocity = MathHelper.VECTOR_ZERO();
+  }
+
+  /**
+   * Tests whether the wolf is away and it is time for it to come back.
+   */
+  isReadyToArrive() {
+    return this._state === Wolf.STATES.AWAY && this._timeUntilArrival <= 0;
+  }
+
+  /**
+   * Come onto the ranch at the given position and start hunting.
+   */
+  arrive({ position }) {
+    this._state = Wolf.STATES.HUNTING;
+    this._position = position.copy();
+  }
+
+  /**
+   * Run away from the given position, and then leave the ranch.
+   */
+  runAway({ from }) {
+    this._state = Wolf.STATES.RUNNING_AWAY;
+    this._runningTime = 0;
+    this._runningFrom = from.copy();
+    this._targetPosition = null;
+  }
+
+  /**
+   * Get what the wolf is doing. It is one of the Wolf.STATES.
+   */
+  getState() {
+    return this._state;
+  }
+
+  /**
+   * Tests whether the wolf is on the ranch (hunting or running away).
+   */
+  isPresent() {
+    return this._state !== Wolf.STATES.AWAY;
+  }
+
+  /**
+   * Chase the given position, which is the position of the cow the wolf is hunting. The GameManager sets
+   * it again every tick, since the cow keeps moving.
+   */
+  setTargetPosition({ position }) {
+    this._targetPosition = position;
+  }
+
+  /**
+   * Stop chasing anything. A hunting wolf without a target stands still until it is given one.
+   */
+  unsetTargetPosition() {
+    this._targetPosition = null;
+  }
+
+  /**
+   * Save what the wolf is doing too, and how long it has been doing it.
+   */
+  toJSON() {
+    const vectorOrNull = vector => (vector ? MathHelper.vectorToArray(vector) : null);
+    return Object.assign(super.toJSON(), {
+      returnDelay: this._returnDelay,
+      state: this._state,
+      timeUntilArrival: this._timeUntilArrival,
+      runningTime: this._runningTime,
+      targetPosition: vectorOrNull(this._targetPosition),
+      runningFrom: vectorOrNull(this._runningFrom)
+    });
+  }
+
+  _loadJSON({ data }) {
+    const vectorOrNull = array => (array ? MathHelper.vectorFromArray(array) : null);
+    super._loadJSON({ data: data });
+    this._state = data.state;
+    this._timeUntilArrival = data.timeUntilArrival;
+    this._runningTime = data.runningTime;
+    this._targetPosition = vectorOrNull(data.targetPosition);
+    this._runningFrom = vectorOrNull(data.runningFrom);
+  }
+}
+
+/**
+ * Make a wolf from a save made by Wolf.toJSON().
+ */
+Wolf.fromJSON = ({ data }) => {
+  const wolf = new Wolf({ returnDelay: data.returnDelay });
+  wolf._loadJSON({ data: data });
+  return wolf;
+};
+
+/**
+ * The things a wolf can be doing.
+ */
+Wolf.STATES = Object.freeze({
+  // Away from the ranch, waiting to come back.
+  AWAY: 'away',
+  // Chasing a cow.
+  HUNTING: 'hunting',
+  // Running away, after being scared off or catching a cow.
+  RUNNING_AWAY: 'runningAway'
+});
+
+/**
+ * Configure the wolf's settings. The wolf's animations are in the asset manifest.
+ */
+Wolf.configure = () => {
+  Wolf._size = MathHelper.VECTOR_ONE().mult(96);
+  // How big the wolf's collider is compared to its image.
+  Wolf._colliderScale = 0.3;
+
+  // The wolf is a bit faster than a wandering cow and the person, but slower than a cow that is running
+  // away from it, so it only catches cows that are cornered or not paying attention.
+  Wolf._chaseSpeed = 34;
+  Wolf._runAwaySpeed = 70;
+  // How many seconds the wolf runs away for before it leaves the ranch.
+  Wolf._runAwayDuration = 4;
+
+  // How close the wolf needs to get to a cow to catch it.
+  Wolf._catchRange = 24;
+  // How close the wolf can get to a cow in the herd before the whole herd scatters.
+  Wolf._scatterRange = 120;
+  // How close the person needs to get to the wolf to scare it off.
+  Wolf._scareRange = 110;
+}